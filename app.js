@@ -3,199 +3,40 @@
  * Corrects RGB values for accurate LED fan color display
  */
 
-// ===== Device Profiles =====
-// Each device has different LED characteristics and needs different corrections
-const DEVICE_PROFILES = {
-  // ===== Lian Li =====
-  'tl-fans': {
-    name: 'Lian Li TL Fans',
-    brand: 'lianli',
-    software: 'L-Connect',
-    greenReduction: 0.85,
-    hueShift: -8,
-    saturationBoost: 1.15,
-    blueReduction: 0.7,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.08, hueShift: -10 },  // Orange
-      { range: [45, 65], greenMultiplier: 0.15, hueShift: -5 },   // Yellow
-      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },   // Purple
-      { range: [170, 200], greenMultiplier: 0.9, hueShift: 3 },   // Teal/Cyan
-    ]
-  },
-  'strimer': {
-    name: 'Lian Li Strimer',
-    brand: 'lianli',
-    software: 'L-Connect',
-    greenReduction: 0.80,
-    hueShift: -10,
-    saturationBoost: 1.2,
-    blueReduction: 0.65,
-    brightnessRecommendation: 40, // Recommended brightness %
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.10, hueShift: -12 },
-      { range: [45, 65], greenMultiplier: 0.18, hueShift: -6 },
-      { range: [270, 300], blueMultiplier: 0.82, hueShift: 6 },
-      { range: [170, 200], greenMultiplier: 0.88, hueShift: 4 },
-    ]
-  },
-  'sl-fans': {
-    name: 'Lian Li SL Fans',
-    brand: 'lianli',
-    software: 'L-Connect',
-    greenReduction: 0.88,
-    hueShift: -6,
-    saturationBoost: 1.1,
-    blueReduction: 0.75,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.12, hueShift: -8 },
-      { range: [45, 65], greenMultiplier: 0.20, hueShift: -4 },
-      { range: [270, 300], blueMultiplier: 0.88, hueShift: 4 },
-      { range: [170, 200], greenMultiplier: 0.92, hueShift: 2 },
-    ]
-  },
-
-  // ===== Corsair =====
-  'corsair-ql': {
-    name: 'Corsair QL Fans',
-    brand: 'corsair',
-    software: 'iCUE',
-    greenReduction: 0.73, // QL fans need more green reduction for orange
-    hueShift: -12,
-    saturationBoost: 1.2,
-    blueReduction: 0.7,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.09, hueShift: -15 },  // Orange - R255 G24 B0 works
-      { range: [45, 65], greenMultiplier: 0.12, hueShift: -8 },
-      { range: [270, 300], blueMultiplier: 0.80, hueShift: 8 },
-      { range: [170, 200], greenMultiplier: 0.85, hueShift: 5 },
-    ]
-  },
-  'corsair-ll': {
-    name: 'Corsair LL Fans',
-    brand: 'corsair',
-    software: 'iCUE',
-    greenReduction: 0.78,
-    hueShift: -10,
-    saturationBoost: 1.15,
-    blueReduction: 0.72,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.10, hueShift: -12 },
-      { range: [45, 65], greenMultiplier: 0.15, hueShift: -6 },
-      { range: [270, 300], blueMultiplier: 0.82, hueShift: 6 },
-      { range: [170, 200], greenMultiplier: 0.88, hueShift: 4 },
-    ]
-  },
-  'corsair-sp': {
-    name: 'Corsair SP/ML Fans',
-    brand: 'corsair',
-    software: 'iCUE',
-    greenReduction: 0.80,
-    hueShift: -8,
-    saturationBoost: 1.1,
-    blueReduction: 0.75,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.27, hueShift: -10 },  // Based on #FF4500 suggestion
-      { range: [45, 65], greenMultiplier: 0.18, hueShift: -5 },
-      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
-      { range: [170, 200], greenMultiplier: 0.90, hueShift: 3 },
-    ]
-  },
-
-  // ===== NZXT =====
-  'nzxt-aer': {
-    name: 'NZXT Aer RGB',
-    brand: 'nzxt',
-    software: 'CAM',
-    greenReduction: 0.82,
-    hueShift: -8,
-    saturationBoost: 1.15,
-    blueReduction: 0.70,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.05, hueShift: -12 },  // Yellow→orange issue
-      { range: [45, 65], greenMultiplier: 0.10, hueShift: -8 },
-      { range: [270, 300], blueMultiplier: 0.80, hueShift: 8 },
-      { range: [170, 200], greenMultiplier: 0.85, hueShift: 5 },
-    ]
-  },
-  'nzxt-kraken': {
-    name: 'NZXT Kraken',
-    brand: 'nzxt',
-    software: 'CAM',
-    greenReduction: 0.80,
-    hueShift: -10,
-    saturationBoost: 1.2,
-    blueReduction: 0.68,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.02, hueShift: -15 },  // Red appears orange issue
-      { range: [45, 65], greenMultiplier: 0.08, hueShift: -10 },
-      { range: [270, 300], blueMultiplier: 0.78, hueShift: 10 },
-      { range: [170, 200], greenMultiplier: 0.82, hueShift: 6 },
-    ]
-  },
-  'nzxt-hue': {
-    name: 'NZXT Hue 2',
-    brand: 'nzxt',
-    software: 'CAM',
-    greenReduction: 0.85,
-    hueShift: -6,
-    saturationBoost: 1.1,
-    blueReduction: 0.75,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.08, hueShift: -10 },
-      { range: [45, 65], greenMultiplier: 0.12, hueShift: -6 },
-      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
-      { range: [170, 200], greenMultiplier: 0.88, hueShift: 4 },
-    ]
-  },
-
-  // ===== Cooler Master =====
-  'cm-masterfan': {
-    name: 'CM MasterFan',
-    brand: 'coolermaster',
-    software: 'MasterPlus+',
-    greenReduction: 0.85,
-    hueShift: -5,
-    saturationBoost: 1.1,
-    blueReduction: 0.78,
-    // CM has orange tint on white issue - need to reduce red for whites
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.15, hueShift: -8 },
-      { range: [45, 65], greenMultiplier: 0.20, hueShift: -4 },
-      { range: [270, 300], blueMultiplier: 0.88, hueShift: 4 },
-      { range: [170, 200], greenMultiplier: 0.90, hueShift: 2 },
-    ]
-  },
-  'cm-sickleflow': {
-    name: 'CM SickleFlow',
-    brand: 'coolermaster',
-    software: 'MasterPlus+',
-    greenReduction: 0.82,
-    hueShift: -7,
-    saturationBoost: 1.15,
-    blueReduction: 0.75,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.12, hueShift: -10 },
-      { range: [45, 65], greenMultiplier: 0.18, hueShift: -5 },
-      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
-      { range: [170, 200], greenMultiplier: 0.88, hueShift: 3 },
-    ]
-  },
-  'cm-halos': {
-    name: 'CM MasterFan Halo',
-    brand: 'coolermaster',
-    software: 'MasterPlus+',
-    greenReduction: 0.80,
-    hueShift: -8,
-    saturationBoost: 1.2,
-    blueReduction: 0.72,
-    hueCorrections: [
-      { range: [15, 45], greenMultiplier: 0.10, hueShift: -12 },
-      { range: [45, 65], greenMultiplier: 0.15, hueShift: -6 },
-      { range: [270, 300], blueMultiplier: 0.82, hueShift: 6 },
-      { range: [170, 200], greenMultiplier: 0.85, hueShift: 4 },
-    ]
-  }
-};
+import {
+  BRANDS,
+  DEVICE_PROFILES,
+  rgbToHsl,
+  rgbToHex,
+  hexToRgb,
+  isValidHex,
+  hslToRgb,
+  getColorCategory,
+  correct,
+  correctWhite,
+  kelvinToRgb,
+  NAMED_WHITES,
+  simulate,
+  checkGamut,
+  getBrightnessResponse,
+  recommendBrightness,
+  deltaE,
+  ALGORITHMS,
+  registerProfile,
+  unregisterProfile,
+  getProfileSource,
+  getZones,
+  correctZones,
+  getVariants,
+  resolveProfile
+} from './correction.js';
+import { CALIBRATION_COLORS, fitProfile, photoSample } from './calibration.js';
+import { correctGradient } from './gradient.js';
+import { EFFECTS, EFFECT_COLORS, buildEffect, exportEffect } from './effects.js';
+import { sweepHues, largestDisagreement } from './hue-sweep.js';
+import { extractPalette, PALETTE_SIZE } from './palette.js';
+import { EXPORTERS, exporterFor, exportColors } from './exporters.js';
+import { exportProfile, importProfile, validateProfile, ProfileValidationError } from './profile-io.js';
 
 // Contextual tips based on color hue
 const COLOR_TIPS = {
@@ -210,11 +51,91 @@ const COLOR_TIPS = {
   default: 'Use the corrected values in your control software to achieve the desired color.'
 };
 
+// localStorage key for calibrated devices
+const CUSTOM_PROFILES_KEY = 'ledColorCorrector.customProfiles';
+
+// localStorage key for the algorithm chosen for each built-in device
+const ALGORITHMS_KEY = 'ledColorCorrector.algorithms';
+
+// localStorage key for the connection variant chosen for each built-in device
+const VARIANTS_KEY = 'ledColorCorrector.variants';
+
+// localStorage key for saved rigs
+const RIGS_KEY = 'ledColorCorrector.rigs';
+
+// localStorage key for the live output settings
+const LIVE_OUTPUT_KEY = 'ledColorCorrector.liveOutput';
+
+// localStorage keys for favorites and named palettes, and for recent colors
+const SAVED_COLORS_KEY = 'ledColorCorrector.savedColors';
+const RECENT_COLORS_KEY = 'ledColorCorrector.recentColors';
+
+// Favorites are a palette that can't be renamed or deleted
+const FAVORITES_ID = 'favorites';
+
+// Recent colors kept, and how long a color has to stay to count as one
+const MAX_RECENT_COLORS = 12;
+const RECENT_SETTLE_MS = 1500;
+
+// Defaults used when the URL has no (or invalid) state
+const DEFAULT_COLOR = { r: 255, g: 102, b: 0 };
+const DEFAULT_DEVICE = 'tl-fans';
+const DEFAULT_BRIGHTNESS = 100;
+
+// Gradient editor limits and starting stops
+const MAX_GRADIENT_STOPS = 8;
+const DEFAULT_GRADIENT = ['#FF6600', '#800080', '#00CED1'];
+
+// Images are scaled down to this many pixels on the long side before
+// extracting a palette, which keeps it fast without changing the result much
+const PALETTE_SAMPLE_SIZE = 128;
+const DEFAULT_PALETTE_SIZE = 5;
+
+// Photos for profile fitting are shown and sampled at this size
+const PHOTO_SIZE = 320;
+
+// Devices the hue wheel overlays, each drawn with its own dash pattern
+const HUE_WHEEL_DASHES = ['', '6 4', '2 3', '8 3 2 3'];
+
+// Changes closer together than this share one history entry
+const HISTORY_COALESCE_MS = 600;
+
+// Local relay to OpenRGB, WLED and E1.31, started with bin/led-bridge.js
+const LED_BRIDGE_URL = 'http://127.0.0.1:6743';
+
+// Pages the bridge answers unless started with --allow-origin: the published
+// page and anything on localhost
+const LED_BRIDGE_ORIGINS = /^(https:\/\/hardik500\.github\.io|https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?)$/;
+
 // ===== State =====
-let currentDevice = 'tl-fans';
+let currentDevice = DEFAULT_DEVICE;
 let currentBrand = 'lianli';
-let currentBrightness = 100;
-let currentColor = { r: 255, g: 102, b: 0 }; // Default orange
+let currentBrightness = DEFAULT_BRIGHTNESS;
+let currentColor = { ...DEFAULT_COLOR }; // Default orange
+let currentSoftwareColor = { r: 255, g: 34, b: 0 }; // Value set in the vendor software
+let customProfiles = {}; // Calibrated devices by id
+let calibration = null; // { step, samples, result } while the wizard is open
+let photoFit = null; // { photos, drag, result, error } while fitting from photos
+let rigs = []; // Saved rigs: { id, name, devices: [{ device, brightness }] }
+let activeRigId = null;
+let savedPalettes = []; // Favorites first, then named palettes: { id, name, entries: [{ color, device, brightness }] }
+let activeSavedPaletteId = FAVORITES_ID;
+let recentColors = []; // { color, device, brightness }, newest first
+let recentTimer = null; // Pending addition to the recent colors
+let gradientStops = DEFAULT_GRADIENT.map(hexToRgb);
+let effectColors = DEFAULT_GRADIENT.map(hexToRgb);
+let effectPreview = null; // { effect, frame } while the effect animates in the result card
+let hueWheel = { saturation: 100, lightness: 50, compared: [] }; // Sweep settings and devices overlaid on the current one
+let algorithmChoices = {}; // Algorithm picked for built-in devices, by id
+let variantChoices = {}; // Connection variant picked for built-in devices, by id
+let zoneTargets = {}; // Zones with their own target color: { deviceId: { zoneId: { r, g, b } } }
+let nearestColor = null; // Closest reproducible color when the target is out of gamut
+let paletteImage = null; // { name, pixels } of the image the palette came from
+let imagePalette = []; // Extracted colors: { color, share }
+let currentKelvin = 6500; // White point for the white balance mode
+let lastUrlChange = 0; // When the URL state last changed, for coalescing history entries
+let waitingWorker = null; // Service worker with a new version, waiting until the user reloads
+let liveOutput = { controllers: [], live: false, sending: false, pending: null, e131Stream: null }; // Bridge connection and live updates
 
 // ===== DOM Elements =====
 const elements = {
@@ -228,13 +149,114 @@ const elements = {
   targetHex: document.getElementById('targetHex'),
   targetRgb: document.getElementById('targetRgb'),
   correctedPreview: document.getElementById('correctedPreview'),
+  effectPreview: document.getElementById('effectPreview'),
+  effectTargetStrip: document.getElementById('effectTargetStrip'),
+  effectCorrectedStrip: document.getElementById('effectCorrectedStrip'),
   correctedHex: document.getElementById('correctedHex'),
   correctedRgb: document.getElementById('correctedRgb'),
-  deviceButtons: document.querySelectorAll('.device-btn'),
-  brandTabs: document.querySelectorAll('.brand-tab'),
+  predictedHex: document.getElementById('predictedHex'),
+  predictedSwatch: document.getElementById('predictedSwatch'),
+  gamutBadge: document.getElementById('gamutBadge'),
+  gamutWarning: document.getElementById('gamutWarning'),
+  gamutText: document.getElementById('gamutText'),
+  useNearestBtn: document.getElementById('useNearestBtn'),
+  variantPicker: document.getElementById('variantPicker'),
+  variantSelect: document.getElementById('variantSelect'),
+  zoneResults: document.getElementById('zoneResults'),
+  zoneHint: document.getElementById('zoneHint'),
+  zoneCards: document.getElementById('zoneCards'),
+  useNearestLabel: document.getElementById('useNearestLabel'),
+  exportSource: document.getElementById('exportSource'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportColorsBtn: document.getElementById('exportColorsBtn'),
+  algorithmOptions: document.getElementById('algorithmOptions'),
+  simulateInput: document.getElementById('simulateInput'),
+  simulatedPreview: document.getElementById('simulatedPreview'),
+  simulatedHex: document.getElementById('simulatedHex'),
+  simulatedRgb: document.getElementById('simulatedRgb'),
+  deviceSearch: document.getElementById('deviceSearch'),
+  deviceButtonsContainer: document.getElementById('deviceButtons'),
+  brandTabsContainer: document.getElementById('brandTabs'),
+  deviceEmpty: document.getElementById('deviceEmpty'),
   presetButtons: document.querySelectorAll('.preset-btn'),
   copyHex: document.getElementById('copyHex'),
   copyRgb: document.getElementById('copyRgb'),
+  copyLink: document.getElementById('copyLink'),
+  rigSelect: document.getElementById('rigSelect'),
+  rigName: document.getElementById('rigName'),
+  newRigBtn: document.getElementById('newRigBtn'),
+  deleteRigBtn: document.getElementById('deleteRigBtn'),
+  rigDeviceSelect: document.getElementById('rigDeviceSelect'),
+  addRigDeviceBtn: document.getElementById('addRigDeviceBtn'),
+  rigResults: document.getElementById('rigResults'),
+  rigEmpty: document.getElementById('rigEmpty'),
+  favoriteBtn: document.getElementById('favoriteBtn'),
+  savedPaletteSelect: document.getElementById('savedPaletteSelect'),
+  savedPaletteName: document.getElementById('savedPaletteName'),
+  newSavedPaletteBtn: document.getElementById('newSavedPaletteBtn'),
+  deleteSavedPaletteBtn: document.getElementById('deleteSavedPaletteBtn'),
+  savedColors: document.getElementById('savedColors'),
+  savedColorsEmpty: document.getElementById('savedColorsEmpty'),
+  saveColorBtn: document.getElementById('saveColorBtn'),
+  copySavedHex: document.getElementById('copySavedHex'),
+  copySavedRgb: document.getElementById('copySavedRgb'),
+  recentColors: document.getElementById('recentColors'),
+  recentEmpty: document.getElementById('recentEmpty'),
+  liveOutput: document.getElementById('liveOutput'),
+  liveStatus: document.getElementById('liveStatus'),
+  liveStatusText: document.getElementById('liveStatusText'),
+  liveConnectBtn: document.getElementById('liveConnectBtn'),
+  liveBtn: document.getElementById('liveBtn'),
+  openRgbTarget: document.getElementById('openRgbTarget'),
+  openRgbProfileName: document.getElementById('openRgbProfileName'),
+  openRgbProfileBtn: document.getElementById('openRgbProfileBtn'),
+  wledSettings: document.getElementById('wledSettings'),
+  wledHost: document.getElementById('wledHost'),
+  e131Settings: document.getElementById('e131Settings'),
+  e131Host: document.getElementById('e131Host'),
+  e131Universe: document.getElementById('e131Universe'),
+  e131Start: document.getElementById('e131Start'),
+  e131Count: document.getElementById('e131Count'),
+  kelvinSlider: document.getElementById('kelvinSlider'),
+  kelvinValue: document.getElementById('kelvinValue'),
+  whitePresets: document.getElementById('whitePresets'),
+  whiteTargetPreview: document.getElementById('whiteTargetPreview'),
+  whiteTargetHex: document.getElementById('whiteTargetHex'),
+  whiteCorrectedPreview: document.getElementById('whiteCorrectedPreview'),
+  whiteCorrectedHex: document.getElementById('whiteCorrectedHex'),
+  whiteCorrectedRgb: document.getElementById('whiteCorrectedRgb'),
+  copyWhiteHex: document.getElementById('copyWhiteHex'),
+  copyWhiteRgb: document.getElementById('copyWhiteRgb'),
+  gradientStops: document.getElementById('gradientStops'),
+  gradientTarget: document.getElementById('gradientTarget'),
+  gradientCorrected: document.getElementById('gradientCorrected'),
+  gradientWarnings: document.getElementById('gradientWarnings'),
+  paletteDrop: document.getElementById('paletteDrop'),
+  paletteDropText: document.getElementById('paletteDropText'),
+  paletteInput: document.getElementById('paletteInput'),
+  paletteCount: document.getElementById('paletteCount'),
+  paletteSwatches: document.getElementById('paletteSwatches'),
+  addGradientStop: document.getElementById('addGradientStop'),
+  copyGradientHex: document.getElementById('copyGradientHex'),
+  copyGradientRgb: document.getElementById('copyGradientRgb'),
+  effectType: document.getElementById('effectType'),
+  effectSpeed: document.getElementById('effectSpeed'),
+  effectSpeedValue: document.getElementById('effectSpeedValue'),
+  effectColors: document.getElementById('effectColors'),
+  effectSummary: document.getElementById('effectSummary'),
+  addEffectColor: document.getElementById('addEffectColor'),
+  previewEffectBtn: document.getElementById('previewEffectBtn'),
+  downloadEffectBtn: document.getElementById('downloadEffectBtn'),
+  hueWheelSaturation: document.getElementById('hueWheelSaturation'),
+  hueWheelSaturationValue: document.getElementById('hueWheelSaturationValue'),
+  hueWheelLightness: document.getElementById('hueWheelLightness'),
+  hueWheelLightnessValue: document.getElementById('hueWheelLightnessValue'),
+  hueCompareSelect: document.getElementById('hueCompareSelect'),
+  addHueCompareBtn: document.getElementById('addHueCompareBtn'),
+  hueWheel: document.getElementById('hueWheel'),
+  hueCurves: document.getElementById('hueCurves'),
+  hueLegend: document.getElementById('hueLegend'),
+  hueSummary: document.getElementById('hueSummary'),
   toast: document.getElementById('toast'),
   tipBox: document.getElementById('tipBox'),
   tipText: document.querySelector('.tip-text'),
@@ -242,395 +264,2528 @@ const elements = {
   brightnessSection: document.getElementById('brightnessSection'),
   brightnessSlider: document.getElementById('brightnessSlider'),
   brightnessValue: document.getElementById('brightnessValue'),
-  brightnessTip: document.getElementById('brightnessTip')
+  brightnessTip: document.getElementById('brightnessTip'),
+  calibrateBtn: document.getElementById('calibrateBtn'),
+  importProfileBtn: document.getElementById('importProfileBtn'),
+  importProfileInput: document.getElementById('importProfileInput'),
+  exportProfileBtn: document.getElementById('exportProfileBtn'),
+  profileErrors: document.getElementById('profileErrors'),
+  profileErrorsTitle: document.getElementById('profileErrorsTitle'),
+  profileErrorsList: document.getElementById('profileErrorsList'),
+  calibrationWizard: document.getElementById('calibrationWizard'),
+  wizardStep: document.getElementById('wizardStep'),
+  wizardMatch: document.getElementById('wizardMatch'),
+  wizardSent: document.getElementById('wizardSent'),
+  wizardSentSwatch: document.getElementById('wizardSentSwatch'),
+  wizardObservedSwatch: document.getElementById('wizardObservedSwatch'),
+  wizardHue: document.getElementById('wizardHue'),
+  wizardSat: document.getElementById('wizardSat'),
+  wizardLight: document.getElementById('wizardLight'),
+  wizardFinish: document.getElementById('wizardFinish'),
+  wizardName: document.getElementById('wizardName'),
+  wizardSoftware: document.getElementById('wizardSoftware'),
+  wizardFit: document.getElementById('wizardFit'),
+  wizardCancel: document.getElementById('wizardCancel'),
+  wizardBack: document.getElementById('wizardBack'),
+  wizardNext: document.getElementById('wizardNext'),
+  photoFitBtn: document.getElementById('photoFitBtn'),
+  photoFit: document.getElementById('photoFit'),
+  photoFitCount: document.getElementById('photoFitCount'),
+  photoFitInput: document.getElementById('photoFitInput'),
+  photoList: document.getElementById('photoList'),
+  photoFitName: document.getElementById('photoFitName'),
+  photoFitSoftware: document.getElementById('photoFitSoftware'),
+  photoFitSummary: document.getElementById('photoFitSummary'),
+  photoFitReport: document.getElementById('photoFitReport'),
+  photoFitCancel: document.getElementById('photoFitCancel'),
+  photoFitRun: document.getElementById('photoFitRun'),
+  photoFitSave: document.getElementById('photoFitSave'),
+  updateBanner: document.getElementById('updateBanner'),
+  updateReloadBtn: document.getElementById('updateReloadBtn'),
+  updateDismissBtn: document.getElementById('updateDismissBtn')
 };
 
-// ===== Color Utility Functions =====
+// ===== UI Update Functions =====
 
 /**
- * Convert RGB to HSL
+ * Update all UI elements with current color
  */
-function rgbToHsl(r, g, b) {
-  r /= 255;
-  g /= 255;
-  b /= 255;
+function updateUI() {
+  const hex = rgbToHex(currentColor.r, currentColor.g, currentColor.b);
+  const hsl = rgbToHsl(currentColor.r, currentColor.g, currentColor.b);
+  const profile = resolveProfile(currentDevice);
+
+  // Update input elements
+  elements.colorPicker.value = hex;
+  elements.colorPickerOverlay.style.backgroundColor = hex;
+  elements.hexInput.value = hex;
+  elements.rInput.value = currentColor.r;
+  elements.gInput.value = currentColor.g;
+  elements.bInput.value = currentColor.b;
+
+  // Update target preview
+  elements.targetPreview.style.backgroundColor = hex;
+  elements.targetHex.textContent = hex;
+  elements.targetRgb.textContent = `${currentColor.r}, ${currentColor.g}, ${currentColor.b}`;
+
+  // Calculate and display the corrected color for the chosen brightness
+  const adjustedCorrected = correct(currentColor, currentDevice, { brightness: currentBrightness });
+
+  const correctedHex = rgbToHex(adjustedCorrected.r, adjustedCorrected.g, adjustedCorrected.b);
+
+  elements.correctedPreview.style.backgroundColor = correctedHex;
+  elements.correctedHex.textContent = correctedHex;
+  elements.correctedRgb.textContent = `${adjustedCorrected.r}, ${adjustedCorrected.g}, ${adjustedCorrected.b}`;
+
+  // Show what the device should display for the corrected value
+  const predicted = simulate(adjustedCorrected, currentDevice, { brightness: currentBrightness, near: currentColor });
+  const predictedHex = rgbToHex(predicted.r, predicted.g, predicted.b);
+  elements.predictedSwatch.style.backgroundColor = predictedHex;
+  elements.predictedHex.textContent = predictedHex;
+
+  updateVariants();
+  updateGamut();
+  updateZones();
+  updateAlgorithms();
+  updateSimulation();
+  updateWhiteBalance();
+  updateRigResults();
+  updateSavedColors();
+  updateGradient();
+  updateEffect();
+  updatePalette();
+  updateHueWheel();
+  pushLiveColor();
 
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-  let h, s, l = (max + min) / 2;
+  // Update software hint based on device
+  if (profile && profile.software) {
+    elements.softwareHint.textContent = `Enter this value in ${profile.software} to get your desired color`;
+  }
 
-  if (max === min) {
-    h = s = 0;
+  // Update brightness tip from the device's brightness response
+  const recommended = recommendBrightness(profile);
+  const hueDrift = Math.round(Math.abs(getBrightnessResponse(profile, currentBrightness).hueShift));
+  if (recommended) {
+    elements.brightnessTip.textContent = `💡 For ${profile.name}, reducing brightness to ~${recommended}% often improves color accuracy`;
+    elements.brightnessTip.style.display = 'block';
+  } else if (hueDrift >= 1) {
+    elements.brightnessTip.textContent = `💡 ${profile.name} shifts hue by about ${hueDrift}° at ${currentBrightness}%, which is included in the correction`;
   } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-
-    switch (max) {
-      case r:
-        h = ((g - b) / d + (g < b ? 6 : 0)) / 6;
-        break;
-      case g:
-        h = ((b - r) / d + 2) / 6;
-        break;
-      case b:
-        h = ((r - g) / d + 4) / 6;
-        break;
-    }
+    elements.brightnessTip.textContent = '💡 Adjusting brightness can help with color accuracy on some devices';
   }
 
-  return {
-    h: Math.round(h * 360),
-    s: Math.round(s * 100),
-    l: Math.round(l * 100)
-  };
+  // Update tip based on color
+  const category = getColorCategory(hsl.h);
+  elements.tipText.textContent = COLOR_TIPS[category] || COLOR_TIPS.default;
+
+  writeUrlState();
 }
 
 /**
- * Convert HSL to RGB
+ * Flag targets the device can't reproduce and offer the closest one it can
  */
-function hslToRgb(h, s, l) {
-  h /= 360;
-  s /= 100;
-  l /= 100;
+function updateGamut() {
+  const gamut = checkGamut(currentColor, currentDevice, { brightness: currentBrightness });
+  nearestColor = gamut.nearest;
+
+  elements.gamutBadge.hidden = gamut.inGamut;
+  elements.gamutWarning.hidden = gamut.inGamut;
+  if (gamut.inGamut) return;
+
+  const { name } = DEVICE_PROFILES[currentDevice];
+  elements.gamutText.textContent = `${name} can't fully show this color: the correction is clipped by ` +
+    `ΔE ${gamut.deltaE.toFixed(1)}, so it will look duller than intended.`;
+  elements.useNearestBtn.hidden = !nearestColor;
+  if (nearestColor) {
+    const hex = rgbToHex(nearestColor.r, nearestColor.g, nearestColor.b);
+    elements.useNearestBtn.style.setProperty('--preset-color', hex);
+    elements.useNearestLabel.textContent = `Use ${hex} (ΔE ${deltaE(currentColor, nearestColor).toFixed(1)})`;
+  }
+}
 
-  let r, g, b;
+/**
+ * Update the preview of the value currently set in the vendor software
+ */
+function updateSimulation() {
+  const simulated = simulate(currentSoftwareColor, currentDevice, { brightness: currentBrightness });
+  const hex = rgbToHex(simulated.r, simulated.g, simulated.b);
 
-  if (s === 0) {
-    r = g = b = l;
-  } else {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1 / 6) return p + (q - p) * 6 * t;
-      if (t < 1 / 2) return q;
-      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-      return p;
-    };
+  elements.simulatedPreview.style.backgroundColor = hex;
+  elements.simulatedHex.textContent = hex;
+  elements.simulatedRgb.textContent = `${simulated.r}, ${simulated.g}, ${simulated.b}`;
+}
 
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1 / 3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1 / 3);
+// ===== Device Grid =====
+
+/**
+ * Build the brand tabs and device buttons from DEVICE_PROFILES
+ */
+function renderDevices() {
+  const profiles = Object.entries(DEVICE_PROFILES);
+  const brands = Object.keys(BRANDS).filter((brand) => profiles.some(([, p]) => p.brand === brand));
+
+  elements.brandTabsContainer.replaceChildren(...brands.map((brand) => {
+    const tab = document.createElement('button');
+    tab.className = 'brand-tab';
+    tab.dataset.brand = brand;
+    tab.textContent = BRANDS[brand];
+    return tab;
+  }));
+
+  elements.deviceButtonsContainer.replaceChildren(...profiles.map(([id, profile]) => {
+    const btn = document.createElement('button');
+    btn.className = 'device-btn';
+    btn.dataset.device = id;
+    btn.dataset.brand = profile.brand;
+    btn.innerHTML = `
+      <span class="device-icon"></span>
+      <span class="device-name"></span>
+      <span class="device-desc"></span>
+    `;
+    btn.querySelector('.device-icon').textContent = profile.icon || '🛠️';
+    btn.querySelector('.device-name').textContent = profile.model || profile.name;
+    btn.querySelector('.device-desc').textContent = profile.description ||
+      (profile.custom ? 'Custom calibration' : 'Imported profile');
+
+    if (customProfiles[id]) {
+      const remove = document.createElement('span');
+      remove.className = 'device-remove';
+      remove.title = 'Remove device';
+      remove.textContent = '×';
+      btn.prepend(remove);
+    }
+    btn.classList.toggle('active', id === currentDevice);
+    return btn;
+  }));
+
+  filterDevices();
+  if (getActiveRig()) {
+    renderRig();
   }
+}
 
-  return {
-    r: Math.round(r * 255),
-    g: Math.round(g * 255),
-    b: Math.round(b * 255)
-  };
+/**
+ * Show the devices matching the search box, or the current brand's devices
+ */
+function filterDevices() {
+  const query = elements.deviceSearch.value.trim().toLowerCase();
+  let visible = 0;
+
+  document.querySelectorAll('.brand-tab').forEach((tab) => {
+    tab.classList.toggle('active', !query && tab.dataset.brand === currentBrand);
+  });
+
+  document.querySelectorAll('.device-btn').forEach((btn) => {
+    const profile = DEVICE_PROFILES[btn.dataset.device];
+    const matches = query
+      ? `${profile.name} ${profile.model || ''}`.toLowerCase().includes(query)
+      : btn.dataset.brand === currentBrand;
+    btn.classList.toggle('hidden', !matches);
+    if (matches) visible++;
+  });
+
+  elements.deviceEmpty.hidden = visible > 0;
 }
 
 /**
- * Convert RGB to HEX
+ * Show the device buttons of a brand and select its first device
  */
-function rgbToHex(r, g, b) {
-  const toHex = (n) => {
-    const hex = Math.max(0, Math.min(255, Math.round(n))).toString(16);
-    return hex.length === 1 ? '0' + hex : hex;
-  };
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+function selectBrand(brand) {
+  currentBrand = brand;
+  elements.deviceSearch.value = '';
+  filterDevices();
+
+  // Select first device of this brand
+  const firstDevice = document.querySelector(`.device-btn[data-brand="${brand}"]`);
+  if (firstDevice) {
+    selectDevice(firstDevice.dataset.device);
+  }
 }
 
 /**
- * Convert HEX to RGB
+ * Mark a device as the active one
  */
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : null;
+function selectDevice(deviceId) {
+  const btn = document.querySelector(`.device-btn[data-device="${deviceId}"]`);
+  if (!btn) return;
+
+  document.querySelectorAll('.device-btn').forEach((b) => b.classList.remove('active'));
+  btn.classList.add('active');
+  currentDevice = deviceId;
+  currentBrand = btn.dataset.brand;
+  elements.exportFormat.value = exporterFor(DEVICE_PROFILES[deviceId]);
 }
 
 /**
- * Validate HEX color
+ * Set the brightness and keep the slider in sync
  */
-function isValidHex(hex) {
-  return /^#?([a-f\d]{6})$/i.test(hex);
+function setBrightness(value) {
+  currentBrightness = value;
+  elements.brightnessSlider.value = value;
+  elements.brightnessValue.textContent = `${value}%`;
 }
 
-// ===== Color Correction Algorithm =====
+// ===== URL State =====
 
 /**
- * Get the color category based on hue
+ * Build a relative URL holding the current color, device and brightness
  */
-function getColorCategory(hue) {
-  if (hue >= 0 && hue < 15) return 'red';
-  if (hue >= 15 && hue < 45) return 'orange';
-  if (hue >= 45 && hue < 70) return 'yellow';
-  if (hue >= 70 && hue < 150) return 'green';
-  if (hue >= 150 && hue < 200) return 'teal';
-  if (hue >= 200 && hue < 260) return 'blue';
-  if (hue >= 260 && hue < 310) return 'purple';
-  if (hue >= 310 && hue < 340) return 'pink';
-  return 'red'; // 340-360 is still red
+function buildStateUrl() {
+  const params = new URLSearchParams({
+    color: rgbToHex(currentColor.r, currentColor.g, currentColor.b).slice(1),
+    brand: currentBrand,
+    device: currentDevice,
+    brightness: currentBrightness
+  });
+  return `${location.pathname}?${params}`;
 }
 
 /**
- * Apply device-specific color correction
+ * Restore state from the URL, falling back to defaults for anything missing or invalid
  */
-function correctColor(rgb, deviceProfile) {
-  const profile = DEVICE_PROFILES[deviceProfile];
-  const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
-
-  let correctedR = rgb.r;
-  let correctedG = rgb.g;
-  let correctedB = rgb.b;
-  let correctedHue = hsl.h;
-  let correctedSat = hsl.s;
-
-  // Find if this hue falls into a special correction range
-  let specialCorrection = null;
-  for (const correction of profile.hueCorrections) {
-    const [min, max] = correction.range;
-    if (hsl.h >= min && hsl.h <= max) {
-      specialCorrection = correction;
-      break;
-    }
-  }
-
-  // Apply corrections based on color type
-  if (specialCorrection) {
-    // Apply special corrections for problematic colors
-    if (specialCorrection.greenMultiplier !== undefined) {
-      // For orange/yellow: drastically reduce green
-      correctedG = Math.round(rgb.g * specialCorrection.greenMultiplier);
-    }
-    if (specialCorrection.blueMultiplier !== undefined) {
-      correctedB = Math.round(rgb.b * specialCorrection.blueMultiplier);
-    }
-    correctedHue = Math.max(0, Math.min(360, hsl.h + specialCorrection.hueShift));
+function readUrlState() {
+  const params = new URLSearchParams(location.search);
+
+  currentColor = hexToRgb(params.get('color') || '') || { ...DEFAULT_COLOR };
+
+  const brightness = Number(params.get('brightness'));
+  const min = Number(elements.brightnessSlider.min);
+  const max = Number(elements.brightnessSlider.max);
+  setBrightness(Number.isInteger(brightness) && brightness >= min && brightness <= max
+    ? brightness
+    : DEFAULT_BRIGHTNESS);
+
+  // A known device wins; otherwise a known brand picks its first device
+  const device = params.get('device');
+  const brand = params.get('brand');
+  if (device && Object.hasOwn(DEVICE_PROFILES, device)) {
+    selectDevice(device);
+  } else if (brand && Object.values(DEVICE_PROFILES).some((profile) => profile.brand === brand)) {
+    selectBrand(brand);
   } else {
-    // For warm colors (red to yellow-green), apply green reduction
-    if (hsl.h >= 0 && hsl.h <= 90) {
-      // Calculate green reduction based on how "warm" the color is
-      const warmFactor = 1 - (hsl.h / 90);
-      const greenReductionAmount = warmFactor * (1 - profile.greenReduction);
-      correctedG = Math.round(rgb.g * (1 - greenReductionAmount));
-      correctedHue = Math.max(0, hsl.h + (profile.hueShift * warmFactor));
-    }
-
-    // For cool colors with blue, apply blue reduction if needed
-    if (hsl.h >= 200 && hsl.h <= 340) {
-      const coolFactor = 1 - Math.abs((hsl.h - 270) / 70);
-      const blueReductionAmount = coolFactor * (1 - profile.blueReduction);
-      correctedB = Math.round(rgb.b * (1 - blueReductionAmount * 0.3));
-    }
+    selectDevice(DEFAULT_DEVICE);
   }
+  filterDevices();
+}
 
-  // Boost saturation for richer colors
-  correctedSat = Math.min(100, hsl.s * profile.saturationBoost);
+/**
+ * Mirror state into the URL. Quick successive changes (dragging the picker
+ * or slider) update one history entry, separate changes add new ones.
+ */
+function writeUrlState() {
+  const url = buildStateUrl();
+  if (url === `${location.pathname}${location.search}`) return;
 
-  // If we modified the hue or saturation significantly, recalculate RGB from HSL
-  if (Math.abs(correctedHue - hsl.h) > 2 || Math.abs(correctedSat - hsl.s) > 5) {
-    const newRgb = hslToRgb(correctedHue, correctedSat, hsl.l);
-    // Blend the HSL-based correction with direct RGB correction
-    correctedR = Math.round((correctedR + newRgb.r) / 2);
-    correctedG = Math.round((correctedG + newRgb.g) / 2);
-    correctedB = Math.round((correctedB + newRgb.b) / 2);
+  const now = Date.now();
+  if (now - lastUrlChange < HISTORY_COALESCE_MS) {
+    history.replaceState(null, '', url);
+  } else {
+    history.pushState(null, '', url);
   }
-
-  // Ensure values are in valid range
-  return {
-    r: Math.max(0, Math.min(255, correctedR)),
-    g: Math.max(0, Math.min(255, correctedG)),
-    b: Math.max(0, Math.min(255, correctedB))
-  };
+  lastUrlChange = now;
 }
 
-// ===== UI Update Functions =====
+// ===== White Balance =====
 
 /**
- * Update all UI elements with current color
+ * Add a preset button for each named white
  */
-function updateUI() {
-  const hex = rgbToHex(currentColor.r, currentColor.g, currentColor.b);
-  const hsl = rgbToHsl(currentColor.r, currentColor.g, currentColor.b);
-  const profile = DEVICE_PROFILES[currentDevice];
-
-  // Update input elements
-  elements.colorPicker.value = hex;
-  elements.colorPickerOverlay.style.backgroundColor = hex;
-  elements.hexInput.value = hex;
-  elements.rInput.value = currentColor.r;
-  elements.gInput.value = currentColor.g;
-  elements.bInput.value = currentColor.b;
-
-  // Update target preview
-  elements.targetPreview.style.backgroundColor = hex;
-  elements.targetHex.textContent = hex;
-  elements.targetRgb.textContent = `${currentColor.r}, ${currentColor.g}, ${currentColor.b}`;
+function renderWhitePresets() {
+  elements.whitePresets.replaceChildren(...Object.entries(NAMED_WHITES).map(([name, kelvin]) => {
+    const white = kelvinToRgb(kelvin);
+    const btn = document.createElement('button');
+    btn.className = 'preset-btn white-preset';
+    btn.dataset.kelvin = kelvin;
+    btn.style.setProperty('--preset-color', rgbToHex(white.r, white.g, white.b));
+    btn.innerHTML = '<span class="preset-swatch"></span><span></span>';
+    btn.lastElementChild.textContent = `${name} (${kelvin}K)`;
+    return btn;
+  }));
+}
 
-  // Calculate and display corrected color (apply brightness)
-  const corrected = correctColor(currentColor, currentDevice);
+/**
+ * Show the target white and its correction for the current device
+ */
+function updateWhiteBalance() {
+  const target = kelvinToRgb(currentKelvin);
+  const targetHex = rgbToHex(target.r, target.g, target.b);
+  const corrected = correctWhite(currentKelvin, currentDevice, { brightness: currentBrightness });
+  const correctedHex = rgbToHex(corrected.r, corrected.g, corrected.b);
+
+  elements.kelvinSlider.value = currentKelvin;
+  elements.kelvinValue.textContent = `${currentKelvin}K`;
+  elements.whiteTargetPreview.style.backgroundColor = targetHex;
+  elements.whiteTargetHex.textContent = targetHex;
+  elements.whiteCorrectedPreview.style.backgroundColor = correctedHex;
+  elements.whiteCorrectedHex.textContent = correctedHex;
+  elements.whiteCorrectedRgb.textContent = `${corrected.r}, ${corrected.g}, ${corrected.b}`;
+}
 
-  // Apply brightness adjustment
-  const brightnessFactor = currentBrightness / 100;
-  const adjustedCorrected = {
-    r: Math.round(corrected.r * brightnessFactor),
-    g: Math.round(corrected.g * brightnessFactor),
-    b: Math.round(corrected.b * brightnessFactor)
-  };
+// ===== Correction Algorithms =====
 
-  const correctedHex = rgbToHex(adjustedCorrected.r, adjustedCorrected.g, adjustedCorrected.b);
+/**
+ * Load algorithm choices for built-in devices and apply them
+ */
+function loadAlgorithmChoices() {
+  try {
+    algorithmChoices = JSON.parse(localStorage.getItem(ALGORITHMS_KEY)) || {};
+  } catch (err) {
+    algorithmChoices = {};
+  }
 
-  elements.correctedPreview.style.backgroundColor = correctedHex;
-  elements.correctedHex.textContent = correctedHex;
-  elements.correctedRgb.textContent = `${adjustedCorrected.r}, ${adjustedCorrected.g}, ${adjustedCorrected.b}`;
+  // Custom devices keep their algorithm in the profile itself
+  Object.entries(algorithmChoices).forEach(([id, algorithm]) => {
+    if (!DEVICE_PROFILES[id] || customProfiles[id] || !ALGORITHMS[algorithm]) {
+      delete algorithmChoices[id];
+    } else {
+      registerProfile(id, { ...getProfileSource(id), algorithm });
+    }
+  });
+}
 
-  // Update software hint based on device
-  if (profile && profile.software) {
-    elements.softwareHint.textContent = `Enter this value in ${profile.software} to get your desired color`;
+/**
+ * Persist algorithm choices to localStorage
+ */
+function saveAlgorithmChoices() {
+  try {
+    localStorage.setItem(ALGORITHMS_KEY, JSON.stringify(algorithmChoices));
+  } catch (err) {
+    showToast('Could not save algorithm choice');
   }
+}
 
-  // Update brightness tip based on device
-  if (profile && profile.brightnessRecommendation) {
-    elements.brightnessTip.textContent = `💡 For ${profile.name}, reducing brightness to ~${profile.brightnessRecommendation}% often improves color accuracy`;
-    elements.brightnessTip.style.display = 'block';
+/**
+ * Make a device correct with the given algorithm from now on
+ */
+function setAlgorithm(deviceId, algorithm) {
+  // Starting from the source keeps extends, so the device still follows its base
+  const profile = { ...(customProfiles[deviceId] || getProfileSource(deviceId)), algorithm };
+  registerProfile(deviceId, profile);
+
+  if (customProfiles[deviceId]) {
+    customProfiles[deviceId] = profile;
+    saveCustomProfiles();
   } else {
-    elements.brightnessTip.textContent = '💡 Adjusting brightness can help with color accuracy on some devices';
+    algorithmChoices[deviceId] = algorithm;
+    saveAlgorithmChoices();
   }
-
-  // Update tip based on color
-  const category = getColorCategory(hsl.h);
-  elements.tipText.textContent = COLOR_TIPS[category] || COLOR_TIPS.default;
+  updateUI();
 }
 
+// ===== Connection Variants =====
+
 /**
- * Show toast notification
+ * Load variant choices for built-in devices and apply them
  */
-function showToast(message = 'Copied to clipboard!') {
-  elements.toast.querySelector('.toast-text').textContent = message;
-  elements.toast.classList.add('show');
+function loadVariantChoices() {
+  try {
+    variantChoices = JSON.parse(localStorage.getItem(VARIANTS_KEY)) || {};
+  } catch (err) {
+    variantChoices = {};
+  }
 
-  setTimeout(() => {
-    elements.toast.classList.remove('show');
-  }, 2000);
+  // Custom devices keep their variant in the profile itself
+  Object.entries(variantChoices).forEach(([id, variant]) => {
+    if (!DEVICE_PROFILES[id] || customProfiles[id] || !getVariants(id).some((v) => v.id === variant)) {
+      delete variantChoices[id];
+    } else {
+      registerProfile(id, { ...getProfileSource(id), variant });
+    }
+  });
 }
 
 /**
- * Copy text to clipboard
+ * Persist variant choices to localStorage
  */
-async function copyToClipboard(text) {
+function saveVariantChoices() {
   try {
-    await navigator.clipboard.writeText(text);
-    showToast();
+    localStorage.setItem(VARIANTS_KEY, JSON.stringify(variantChoices));
   } catch (err) {
-    // Fallback for older browsers
-    const textarea = document.createElement('textarea');
-    textarea.value = text;
-    document.body.appendChild(textarea);
-    textarea.select();
-    document.execCommand('copy');
-    document.body.removeChild(textarea);
-    showToast();
+    showToast('Could not save connection choice');
   }
 }
 
-// ===== Event Handlers =====
-
-// Color picker change
-elements.colorPicker.addEventListener('input', (e) => {
-  const rgb = hexToRgb(e.target.value);
-  if (rgb) {
-    currentColor = rgb;
-    updateUI();
-  }
-});
+/**
+ * Make a device correct for the given connection variant from now on
+ */
+function setVariant(deviceId, variant) {
+  const profile = { ...(customProfiles[deviceId] || getProfileSource(deviceId)), variant };
+  registerProfile(deviceId, profile);
 
-// HEX input change
-elements.hexInput.addEventListener('input', (e) => {
-  let value = e.target.value;
-  if (!value.startsWith('#')) {
-    value = '#' + value;
+  if (customProfiles[deviceId]) {
+    customProfiles[deviceId] = profile;
+    saveCustomProfiles();
+  } else {
+    variantChoices[deviceId] = variant;
+    saveVariantChoices();
   }
+  updateUI();
+}
 
-  if (isValidHex(value)) {
-    const rgb = hexToRgb(value);
-    if (rgb) {
-      currentColor = rgb;
-      updateUI();
-    }
-  }
-});
+/**
+ * Show the variant picker for devices that have variants
+ */
+function updateVariants() {
+  const variants = getVariants(currentDevice);
+  elements.variantPicker.hidden = variants.length === 0;
+  elements.variantSelect.replaceChildren(...variants.map(({ id, name, active }) => new Option(name, id, false, active)));
+}
 
-elements.hexInput.addEventListener('blur', (e) => {
-  // Normalize the HEX value on blur
-  const hex = rgbToHex(currentColor.r, currentColor.g, currentColor.b);
-  e.target.value = hex;
-});
+/**
+ * Compare the current color corrected by each algorithm, marking the one
+ * the device uses
+ */
+function updateAlgorithms() {
+  const inUse = DEVICE_PROFILES[currentDevice].algorithm || 'hsl';
+
+  elements.algorithmOptions.replaceChildren(...Object.entries(ALGORITHMS).map(([algorithm, label]) => {
+    const corrected = correct(currentColor, currentDevice, { brightness: currentBrightness, algorithm });
+    const hex = rgbToHex(corrected.r, corrected.g, corrected.b);
+
+    const btn = document.createElement('button');
+    btn.className = 'algorithm-option';
+    btn.classList.toggle('active', algorithm === inUse);
+    btn.dataset.algorithm = algorithm;
+    btn.innerHTML = `
+      <span class="algorithm-swatch"></span>
+      <span class="algorithm-name"></span>
+      <span class="algorithm-status"></span>
+      <span class="algorithm-hex"></span>
+    `;
+    btn.querySelector('.algorithm-swatch').style.backgroundColor = hex;
+    btn.querySelector('.algorithm-name').textContent = label;
+    btn.querySelector('.algorithm-status').textContent = algorithm === inUse ? 'In use' : 'Use';
+    btn.querySelector('.algorithm-hex').textContent = hex;
+    return btn;
+  }));
+}
 
-// RGB inputs change
-['rInput', 'gInput', 'bInput'].forEach((id) => {
-  elements[id].addEventListener('input', (e) => {
-    const value = parseInt(e.target.value) || 0;
-    const channel = id.charAt(0); // r, g, or b
-    currentColor[channel] = Math.max(0, Math.min(255, value));
-    updateUI();
-  });
-});
+// ===== Zones =====
 
-// Brand tab selection
-elements.brandTabs.forEach((tab) => {
-  tab.addEventListener('click', () => {
-    const brand = tab.dataset.brand;
-
-    // Update active tab
-    elements.brandTabs.forEach(t => t.classList.remove('active'));
-    tab.classList.add('active');
-
-    // Show/hide device buttons based on brand
-    elements.deviceButtons.forEach(btn => {
-      if (btn.dataset.brand === brand) {
-        btn.classList.remove('hidden');
-      } else {
-        btn.classList.add('hidden');
-      }
-    });
+// Device and zone ids the zone cards were built for
+const zoneLayout = () => `${currentDevice}/${getZones(currentDevice).map(({ id }) => id).join()}`;
 
-    // Select first device of this brand
-    const firstDevice = document.querySelector(`.device-btn[data-brand="${brand}"]`);
-    if (firstDevice) {
-      elements.deviceButtons.forEach(b => b.classList.remove('active'));
-      firstDevice.classList.add('active');
-      currentDevice = firstDevice.dataset.device;
-      currentBrand = brand;
-    }
+/**
+ * Rebuild the zone cards for the current device
+ */
+function renderZones() {
+  const zones = getZones(currentDevice);
+  elements.zoneCards.dataset.layout = zoneLayout();
+  elements.zoneResults.hidden = zones.length === 0;
+  elements.zoneHint.textContent = `Set each zone separately in ${DEVICE_PROFILES[currentDevice].software}`;
+
+  elements.zoneCards.replaceChildren(...zones.map(({ id, name }) => {
+    const card = document.createElement('div');
+    card.className = 'rig-card';
+    card.dataset.zone = id;
+    card.innerHTML = `
+      <span class="rig-card-name"></span>
+      <div class="rig-card-swatch"></div>
+      <div class="value-row copyable">
+        <span class="value-label">HEX</span>
+        <span class="value-text rig-card-hex"></span>
+        <button class="copy-btn" aria-label="Copy HEX">${COPY_ICON}</button>
+      </div>
+      <label class="zone-target">
+        <input type="checkbox">
+        <span>Own color</span>
+        <input type="color">
+      </label>
+    `;
+    card.querySelector('.rig-card-name').textContent = name;
+    card.querySelector('input[type="color"]').setAttribute('aria-label', `${name} color`);
+    return card;
+  }));
+}
 
-    updateUI();
+/**
+ * Recompute the corrected value for each zone, re-rendering first if the
+ * device or its zones changed
+ */
+function updateZones() {
+  if (elements.zoneCards.dataset.layout !== zoneLayout()) {
+    renderZones();
+  }
+  const targets = zoneTargets[currentDevice] || {};
+
+  correctZones(currentColor, currentDevice, { brightness: currentBrightness, targets }).forEach((result) => {
+    const card = elements.zoneCards.querySelector(`[data-zone="${result.zone}"]`);
+    const hex = rgbToHex(result.corrected.r, result.corrected.g, result.corrected.b);
+    const own = card.querySelector('input[type="checkbox"]');
+    const picker = card.querySelector('input[type="color"]');
+
+    card.querySelector('.rig-card-swatch').style.backgroundColor = hex;
+    card.querySelector('.rig-card-hex').textContent = hex;
+    own.checked = Boolean(targets[result.zone]);
+    picker.disabled = !own.checked;
+    picker.value = rgbToHex(result.target.r, result.target.g, result.target.b);
   });
-});
+}
 
-// Device selection
-elements.deviceButtons.forEach((btn) => {
-  btn.addEventListener('click', () => {
-    // Only allow clicking visible buttons
-    if (btn.classList.contains('hidden')) return;
+// ===== Rigs =====
 
-    elements.deviceButtons.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    currentDevice = btn.dataset.device;
-    currentBrand = btn.dataset.brand;
-    updateUI();
-  });
-});
+// Markup for generated copy buttons, matching the ones in index.html
+const COPY_ICON = `
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="9" y="9" width="13" height="13" rx="2"/>
+    <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+  </svg>
+`;
 
-// Brightness slider
-elements.brightnessSlider.addEventListener('input', (e) => {
-  currentBrightness = parseInt(e.target.value);
-  elements.brightnessValue.textContent = `${currentBrightness}%`;
-  updateUI();
-});
+/**
+ * Whether a stored rig has an id, a name and a list of devices
+ */
+function isSavedRig(rig) {
+  return typeof rig?.id === 'string' && typeof rig.name === 'string' && Array.isArray(rig.devices);
+}
 
-// Preset buttons
-elements.presetButtons.forEach((btn) => {
-  btn.addEventListener('click', () => {
-    const rgb = hexToRgb(btn.dataset.color);
-    if (rgb) {
-      currentColor = rgb;
-      updateUI();
+/**
+ * Whether a stored rig entry names a known device and has a usable brightness
+ */
+function isRigEntry(entry) {
+  return typeof entry?.device === 'string' && Object.hasOwn(DEVICE_PROFILES, entry.device) &&
+    Number.isInteger(entry.brightness) && entry.brightness >= 10 && entry.brightness <= 100;
+}
+
+/**
+ * Load saved rigs from localStorage, starting with an empty rig if there are none.
+ * Rigs and entries that are corrupt or name a device that's gone are dropped.
+ */
+function loadRigs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RIGS_KEY)) || {};
+    rigs = (Array.isArray(saved.rigs) ? saved.rigs : [])
+      .filter(isSavedRig)
+      .map((rig) => ({ ...rig, devices: rig.devices.filter(isRigEntry) }));
+    activeRigId = saved.activeRigId;
+  } catch (err) {
+    rigs = [];
+  }
+
+  if (rigs.length === 0) {
+    rigs.push(createRig('My Rig'));
+  }
+  if (!rigs.some((rig) => rig.id === activeRigId)) {
+    activeRigId = rigs[0].id;
+  }
+}
+
+/**
+ * Persist rigs to localStorage
+ */
+function saveRigs() {
+  try {
+    localStorage.setItem(RIGS_KEY, JSON.stringify({ rigs, activeRigId }));
+  } catch (err) {
+    showToast('Could not save rigs');
+  }
+}
+
+/**
+ * Create an empty rig
+ */
+function createRig(name) {
+  return { id: `rig-${Date.now().toString(36)}`, name, devices: [] };
+}
+
+/**
+ * The rig currently shown
+ */
+function getActiveRig() {
+  return rigs.find((rig) => rig.id === activeRigId);
+}
+
+/**
+ * Rebuild the rig picker, device picker and result cards
+ */
+function renderRig() {
+  const rig = getActiveRig();
+
+  elements.rigSelect.replaceChildren(...rigs.map((r) => new Option(r.name, r.id, false, r.id === activeRigId)));
+  elements.rigName.value = rig.name;
+  elements.deleteRigBtn.disabled = rigs.length === 1;
+
+  elements.rigDeviceSelect.replaceChildren(...Object.entries(DEVICE_PROFILES).map(([id, profile]) =>
+    new Option(profile.name, id, false, id === currentDevice)));
+
+  elements.rigResults.replaceChildren(...rig.devices.map((entry, index) => {
+    const profile = DEVICE_PROFILES[entry.device];
+    const card = document.createElement('div');
+    card.className = 'rig-card';
+    card.dataset.index = index;
+    card.innerHTML = `
+      <span class="device-remove" title="Remove from rig">×</span>
+      <span class="rig-card-name"></span>
+      <div class="rig-card-swatch"></div>
+      <div class="value-row copyable">
+        <span class="value-label">HEX</span>
+        <span class="value-text rig-card-hex"></span>
+        <button class="copy-btn" aria-label="Copy HEX">${COPY_ICON}</button>
+      </div>
+      <span class="rig-card-software"></span>
+      <label class="rig-card-brightness">
+        <input type="range" min="10" max="100" class="brightness-slider" aria-label="Brightness">
+        <span class="rig-card-brightness-value"></span>
+      </label>
+    `;
+    card.querySelector('.rig-card-name').textContent = profile ? profile.name : 'Device no longer available';
+    card.querySelector('.rig-card-software').textContent = profile ? `Enter in ${profile.software}` : '';
+    card.querySelector('input[type="range"]').value = entry.brightness;
+    return card;
+  }));
+
+  elements.rigEmpty.hidden = rig.devices.length > 0;
+  updateRigResults();
+}
+
+/**
+ * Recompute every rig card for the current target color
+ */
+function updateRigResults() {
+  const rig = getActiveRig();
+  if (!rig) return;
+
+  elements.rigResults.querySelectorAll('.rig-card').forEach((card) => {
+    const entry = rig.devices[card.dataset.index];
+    card.querySelector('.rig-card-brightness-value').textContent = `${entry.brightness}%`;
+    if (!DEVICE_PROFILES[entry.device]) return;
+
+    const corrected = correct(currentColor, entry.device, { brightness: entry.brightness });
+    const hex = rgbToHex(corrected.r, corrected.g, corrected.b);
+    card.querySelector('.rig-card-swatch').style.backgroundColor = hex;
+    card.querySelector('.rig-card-hex').textContent = hex;
+  });
+}
+
+// ===== Saved Colors =====
+
+/**
+ * Whether a stored entry has a usable color, device id and brightness
+ */
+function isSavedEntry(entry) {
+  const isChannel = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+  return Boolean(entry?.color) && ['r', 'g', 'b'].every((channel) => isChannel(entry.color[channel])) &&
+    typeof entry.device === 'string' && Number.isInteger(entry.brightness);
+}
+
+/**
+ * Load favorites, named palettes and recent colors from localStorage
+ */
+function loadSavedColors() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_COLORS_KEY)) || {};
+    savedPalettes = (Array.isArray(saved.palettes) ? saved.palettes : [])
+      .filter((palette) => palette?.id && Array.isArray(palette.entries))
+      .map((palette) => ({ ...palette, entries: palette.entries.filter(isSavedEntry) }));
+    activeSavedPaletteId = saved.activePaletteId;
+  } catch (err) {
+    savedPalettes = [];
+  }
+
+  if (!savedPalettes.some((palette) => palette.id === FAVORITES_ID)) {
+    savedPalettes.unshift({ id: FAVORITES_ID, name: 'Favorites', entries: [] });
+  }
+  if (!savedPalettes.some((palette) => palette.id === activeSavedPaletteId)) {
+    activeSavedPaletteId = FAVORITES_ID;
+  }
+
+  try {
+    const recent = JSON.parse(localStorage.getItem(RECENT_COLORS_KEY));
+    recentColors = Array.isArray(recent) ? recent.filter(isSavedEntry).slice(0, MAX_RECENT_COLORS) : [];
+  } catch (err) {
+    recentColors = [];
+  }
+}
+
+/**
+ * Persist favorites and named palettes to localStorage
+ */
+function saveSavedColors() {
+  try {
+    localStorage.setItem(SAVED_COLORS_KEY, JSON.stringify({ palettes: savedPalettes, activePaletteId: activeSavedPaletteId }));
+  } catch (err) {
+    showToast('Could not save palettes');
+  }
+}
+
+/**
+ * Persist recent colors to localStorage. Losing them isn't worth a toast.
+ */
+function saveRecentColors() {
+  try {
+    localStorage.setItem(RECENT_COLORS_KEY, JSON.stringify(recentColors));
+  } catch (err) {
+    // History is a convenience; the page works without it
+  }
+}
+
+/**
+ * The current color with the device and brightness it's corrected for
+ */
+function currentEntry() {
+  return { color: { ...currentColor }, device: currentDevice, brightness: currentBrightness };
+}
+
+/**
+ * Whether two entries are the same color for the same device and brightness
+ */
+function sameEntry(a, b) {
+  return a.color.r === b.color.r && a.color.g === b.color.g && a.color.b === b.color.b &&
+    a.device === b.device && a.brightness === b.brightness;
+}
+
+/**
+ * The palette currently shown
+ */
+function getActiveSavedPalette() {
+  return savedPalettes.find((palette) => palette.id === activeSavedPaletteId);
+}
+
+/**
+ * Rebuild the palette picker and the saved color cards
+ */
+function renderSavedPalette() {
+  const palette = getActiveSavedPalette();
+  const isFavorites = palette.id === FAVORITES_ID;
+
+  elements.savedPaletteSelect.replaceChildren(...savedPalettes.map((p) =>
+    new Option(p.id === FAVORITES_ID ? '★ Favorites' : p.name, p.id, false, p.id === activeSavedPaletteId)));
+  elements.savedPaletteName.value = isFavorites ? '' : palette.name;
+  elements.savedPaletteName.disabled = isFavorites;
+  elements.deleteSavedPaletteBtn.disabled = isFavorites;
+
+  elements.savedColors.replaceChildren(...palette.entries.map((entry, index) => {
+    const profile = DEVICE_PROFILES[entry.device];
+    const card = document.createElement('div');
+    card.className = 'rig-card';
+    card.dataset.index = index;
+    card.innerHTML = `
+      <span class="device-remove" title="Remove from palette">×</span>
+      <span class="rig-card-name"></span>
+      <div class="saved-color-swatches" title="Target · Corrected">
+        <span class="saved-color-target"></span>
+        <span class="saved-color-corrected"></span>
+      </div>
+      <div class="value-row copyable">
+        <span class="value-label">HEX</span>
+        <span class="value-text rig-card-hex"></span>
+        <button class="copy-btn" aria-label="Copy HEX">${COPY_ICON}</button>
+      </div>
+      <span class="rig-card-software"></span>
+      <button class="calibrate-btn saved-color-use">Use</button>
+    `;
+    const hex = rgbToHex(entry.color.r, entry.color.g, entry.color.b);
+    card.querySelector('.rig-card-name').textContent = hex;
+    card.querySelector('.saved-color-target').style.backgroundColor = hex;
+    card.querySelector('.rig-card-software').textContent = profile
+      ? `Saved for ${profile.name} at ${entry.brightness}%`
+      : `Saved for a device no longer available, at ${entry.brightness}%`;
+    return card;
+  }));
+
+  elements.savedColorsEmpty.hidden = palette.entries.length > 0;
+  elements.copySavedHex.disabled = palette.entries.length === 0;
+  elements.copySavedRgb.disabled = palette.entries.length === 0;
+  updateSavedColors();
+}
+
+/**
+ * Corrected value of every saved color for the device and brightness
+ * selected now
+ */
+function savedCorrections() {
+  return getActiveSavedPalette().entries.map(({ color }) =>
+    correct(color, currentDevice, { brightness: currentBrightness }));
+}
+
+/**
+ * Recompute the saved color cards and the favorite star for the current
+ * color, device and brightness
+ */
+function updateSavedColors() {
+  const favorites = savedPalettes.find((palette) => palette.id === FAVORITES_ID);
+  if (!favorites) return;
+
+  const isFavorite = favorites.entries.some((entry) => sameEntry(entry, currentEntry()));
+  elements.favoriteBtn.textContent = isFavorite ? '★' : '☆';
+  elements.favoriteBtn.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+  elements.favoriteBtn.setAttribute('aria-pressed', String(isFavorite));
+
+  const corrections = savedCorrections();
+  elements.savedColors.querySelectorAll('.rig-card').forEach((card) => {
+    const corrected = corrections[card.dataset.index];
+    const hex = rgbToHex(corrected.r, corrected.g, corrected.b);
+    card.querySelector('.saved-color-corrected').style.backgroundColor = hex;
+    card.querySelector('.rig-card-hex').textContent = hex;
+  });
+}
+
+/**
+ * Add the current color to a palette unless it's already there
+ */
+function saveCurrentColor(palette) {
+  const entry = currentEntry();
+  if (palette.entries.some((saved) => sameEntry(saved, entry))) {
+    showToast(`Already in ${palette.name}`);
+    return;
+  }
+  palette.entries.push(entry);
+  saveSavedColors();
+  showToast(`Saved to ${palette.name}`);
+}
+
+/**
+ * Switch to a saved color along with the device and brightness it was saved for
+ */
+function useSavedEntry(entry) {
+  currentColor = { ...entry.color };
+  if (Object.hasOwn(DEVICE_PROFILES, entry.device)) {
+    selectDevice(entry.device);
+    filterDevices();
+  }
+  setBrightness(entry.brightness);
+  updateUI();
+  rememberRecentColor();
+}
+
+/**
+ * Rebuild the recent color buttons
+ */
+function renderRecentColors() {
+  elements.recentColors.replaceChildren(...recentColors.map((entry, index) => {
+    const hex = rgbToHex(entry.color.r, entry.color.g, entry.color.b);
+    const btn = document.createElement('button');
+    btn.className = 'preset-btn recent-color';
+    btn.dataset.index = index;
+    btn.style.setProperty('--preset-color', hex);
+    btn.innerHTML = '<span class="preset-swatch"></span><span></span>';
+    btn.lastElementChild.textContent = hex;
+    btn.title = DEVICE_PROFILES[entry.device]
+      ? `${DEVICE_PROFILES[entry.device].name} at ${entry.brightness}%`
+      : `${entry.brightness}%`;
+    return btn;
+  }));
+  elements.recentEmpty.hidden = recentColors.length > 0;
+}
+
+/**
+ * Add the current color to the recent colors once it has stayed put for a
+ * moment, so dragging the picker doesn't fill the history. Called where the
+ * user picks a color, not from updateUI, so page loads don't count.
+ */
+function rememberRecentColor() {
+  clearTimeout(recentTimer);
+  recentTimer = setTimeout(() => {
+    const entry = currentEntry();
+    if (recentColors[0] && sameEntry(recentColors[0], entry)) return;
+    recentColors = [entry, ...recentColors.filter((recent) => !sameEntry(recent, entry))].slice(0, MAX_RECENT_COLORS);
+    saveRecentColors();
+    renderRecentColors();
+  }, RECENT_SETTLE_MS);
+}
+
+// ===== Live Output =====
+
+/**
+ * Load the saved live output settings into the form
+ */
+function loadLiveSettings() {
+  let settings;
+  try {
+    settings = JSON.parse(localStorage.getItem(LIVE_OUTPUT_KEY)) || {};
+  } catch (err) {
+    settings = {};
+  }
+  if (['openrgb', 'wled', 'e131'].includes(settings.output)) {
+    elements.liveOutput.value = settings.output;
+  }
+  elements.wledHost.value = settings.wledHost || '';
+  elements.e131Host.value = settings.e131Host || '';
+  ['Universe', 'Start', 'Count'].forEach((field) => {
+    if (Number.isInteger(settings[`e131${field}`])) {
+      elements[`e131${field}`].value = settings[`e131${field}`];
+    }
+  });
+  showLiveFields();
+}
+
+/**
+ * Remember the live output settings for next time
+ */
+function saveLiveSettings() {
+  const e131 = readE131Settings();
+  try {
+    localStorage.setItem(LIVE_OUTPUT_KEY, JSON.stringify({
+      output: elements.liveOutput.value,
+      wledHost: elements.wledHost.value.trim(),
+      e131Host: e131.host,
+      e131Universe: e131.universe,
+      e131Start: e131.start,
+      e131Count: e131.count
+    }));
+  } catch (err) {
+    showToast('Could not save live output settings');
+  }
+}
+
+/**
+ * E1.31 target from the form; range checks are left to the bridge
+ */
+function readE131Settings() {
+  return {
+    host: elements.e131Host.value.trim(),
+    universe: parseInt(elements.e131Universe.value),
+    start: parseInt(elements.e131Start.value),
+    count: parseInt(elements.e131Count.value)
+  };
+}
+
+/**
+ * Show only the settings of the chosen output
+ */
+function showLiveFields() {
+  document.querySelectorAll('[data-output]').forEach((group) => {
+    group.hidden = group.dataset.output !== elements.liveOutput.value;
+  });
+}
+
+/**
+ * Show the connection state
+ * @param {'off'|'connecting'|'connected'|'error'} state
+ */
+function setLiveStatus(state, message) {
+  elements.liveStatus.dataset.state = state;
+  elements.liveStatusText.textContent = message;
+  elements.openRgbTarget.disabled = state !== 'connected';
+  elements.openRgbProfileBtn.disabled = state !== 'connected';
+  elements.liveBtn.disabled = state !== 'connected';
+  if (state !== 'connected') {
+    setLive(false);
+  }
+}
+
+/**
+ * Call the bridge. Never throws: failures come back as { error } so they
+ * can be shown in the status line.
+ * @param {string} path
+ * @param {object} [body] - Sent as a JSON POST when given
+ */
+async function bridgeRequest(path, body) {
+  let response;
+  try {
+    response = await fetch(LED_BRIDGE_URL + path, body ? {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    } : undefined);
+  } catch (err) {
+    // A page the bridge refuses sees the same network error as a missing bridge
+    const flag = LED_BRIDGE_ORIGINS.test(location.origin) ? '' : ` --allow-origin ${location.origin}`;
+    return { error: `Bridge not running. Start it with node bin/led-bridge.js${flag}` };
+  }
+
+  try {
+    const data = await response.json();
+    return response.ok ? data : { error: data.error || `Bridge answered with status ${response.status}` };
+  } catch (err) {
+    return { error: 'Bridge sent a reply that could not be read' };
+  }
+}
+
+/**
+ * Check that the chosen output answers, listing OpenRGB's devices on the way
+ */
+async function connectLiveOutput() {
+  const output = elements.liveOutput.value;
+  saveLiveSettings();
+  setLiveStatus('connecting', 'Connecting…');
+
+  if (output === 'openrgb') {
+    const result = await bridgeRequest('/openrgb/controllers');
+    liveOutput.controllers = result.error ? [] : result.controllers;
+    renderOpenRgbTargets();
+    if (result.error) {
+      setLiveStatus('error', result.error);
+      return;
+    }
+    const count = result.controllers.length;
+    setLiveStatus('connected', `Connected to OpenRGB at ${result.server} (${count} ${count === 1 ? 'device' : 'devices'})`);
+  } else if (output === 'wled') {
+    const host = elements.wledHost.value.trim();
+    if (!host) {
+      setLiveStatus('error', 'Enter the address of your WLED board');
+      return;
+    }
+    const result = await bridgeRequest(`/wled/info?host=${encodeURIComponent(host)}`);
+    if (result.error) {
+      setLiveStatus('error', result.error);
+      return;
+    }
+    setLiveStatus('connected', `Connected to ${result.name} (${result.ledCount} LEDs${result.version ? `, WLED ${result.version}` : ''})`);
+  } else {
+    // UDP has no handshake, so just make sure the bridge is there
+    const result = await bridgeRequest('/status');
+    if (result.error) {
+      setLiveStatus('error', result.error);
+      return;
+    }
+    const { host, universe } = readE131Settings();
+    setLiveStatus('connected', `Ready to send universe ${universe} to ${host || 'its multicast group'}`);
+  }
+}
+
+/**
+ * Fill the OpenRGB device picker: each controller as a whole, then each of
+ * its zones
+ */
+function renderOpenRgbTargets() {
+  const previous = elements.openRgbTarget.value;
+  elements.openRgbTarget.replaceChildren(...liveOutput.controllers.map((controller) => {
+    const group = document.createElement('optgroup');
+    group.label = controller.name;
+    group.append(new Option(`All LEDs (${controller.ledCount})`, `${controller.index}:`));
+    if (controller.zones.length > 1) {
+      controller.zones.forEach((zone) => {
+        group.append(new Option(`${zone.name} (${zone.ledCount})`, `${controller.index}:${zone.index}`));
+      });
+    }
+    return group;
+  }));
+  if ([...elements.openRgbTarget.options].some((option) => option.value === previous)) {
+    elements.openRgbTarget.value = previous;
+  }
+}
+
+/**
+ * Turn live updates on or off; turning them on sends the current color
+ */
+function setLive(live) {
+  liveOutput.live = live;
+  elements.liveBtn.textContent = live ? 'Stop live' : 'Go live';
+  elements.liveBtn.setAttribute('aria-pressed', String(live));
+  if (live) {
+    pushLiveColor();
+  } else if (liveOutput.e131Stream) {
+    // Let the controller know the stream ended rather than time out
+    bridgeRequest('/e131/stop', liveOutput.e131Stream);
+    liveOutput.e131Stream = null;
+  }
+}
+
+/**
+ * Bridge call that sets a color on the chosen output
+ * @returns {{path: string, body: object}|null} Null when no target is chosen
+ */
+function liveRequest(color) {
+  const output = elements.liveOutput.value;
+  if (output === 'openrgb') {
+    if (!elements.openRgbTarget.value) return null;
+    const [controller, zone] = elements.openRgbTarget.value.split(':');
+    return {
+      path: '/openrgb/color',
+      body: { controller: Number(controller), zone: zone === '' ? null : Number(zone), color }
+    };
+  }
+  if (output === 'wled') {
+    return { path: '/wled/color', body: { host: elements.wledHost.value.trim(), color } };
+  }
+  return { path: '/e131/color', body: { ...readE131Settings(), color } };
+}
+
+/**
+ * Send the corrected color to the chosen output while live. Only one request
+ * is in flight at a time; changes made meanwhile collapse into the latest
+ * color, so dragging the picker doesn't queue up stale colors.
+ */
+async function pushLiveColor() {
+  if (!liveOutput.live) return;
+  const request = liveRequest(correct(currentColor, currentDevice, { brightness: currentBrightness }));
+  if (!request) return;
+
+  liveOutput.pending = request;
+  if (liveOutput.sending) return;
+
+  liveOutput.sending = true;
+  while (liveOutput.pending) {
+    const { path, body } = liveOutput.pending;
+    liveOutput.pending = null;
+    const result = await bridgeRequest(path, body);
+    if (result.error) {
+      liveOutput.pending = null;
+      setLiveStatus('error', result.error);
+    } else if (path === '/e131/color') {
+      liveOutput.e131Stream = { host: body.host, universe: body.universe };
+    }
+  }
+  liveOutput.sending = false;
+}
+
+/**
+ * Set the corrected color on the chosen OpenRGB target and have OpenRGB save
+ * it as a named profile, so it can be loaded from OpenRGB's profile list or
+ * at startup without the page
+ */
+async function saveOpenRgbProfile() {
+  const name = elements.openRgbProfileName.value.trim();
+  const request = liveRequest(correct(currentColor, currentDevice, { brightness: currentBrightness }));
+  if (!request) {
+    showToast('Choose an OpenRGB device first');
+    return;
+  }
+  if (!name) {
+    showToast('Enter a name for the profile');
+    return;
+  }
+
+  const result = await bridgeRequest('/openrgb/profile', { ...request.body, name });
+  if (result.error) {
+    setLiveStatus('error', result.error);
+  } else {
+    showToast(`Saved "${name}" in OpenRGB`);
+  }
+}
+
+// ===== Gradient Editor =====
+
+/**
+ * Rebuild the gradient stop pickers
+ */
+function renderGradientStops() {
+  elements.gradientStops.replaceChildren(...gradientStops.map((stop, index) => {
+    const item = document.createElement('div');
+    item.className = 'gradient-stop';
+    item.dataset.index = index;
+    item.innerHTML = `
+      <span class="device-remove" title="Remove stop">×</span>
+      <input type="color" aria-label="Stop ${index + 1} color">
+      <span class="gradient-stop-hex"></span>
+    `;
+    item.querySelector('input').value = rgbToHex(stop.r, stop.g, stop.b);
+    item.querySelector('.device-remove').hidden = gradientStops.length <= 2;
+    return item;
+  }));
+
+  elements.addGradientStop.disabled = gradientStops.length >= MAX_GRADIENT_STOPS;
+  updateGradient();
+}
+
+/**
+ * CSS linear-gradient through a list of colors
+ */
+function cssGradient(colors) {
+  return `linear-gradient(90deg, ${colors.map((c) => rgbToHex(c.r, c.g, c.b)).join(', ')})`;
+}
+
+/**
+ * Correct the gradient for the current device and show the result
+ */
+function updateGradient() {
+  const result = correctGradient(gradientStops, currentDevice, { brightness: currentBrightness });
+
+  // Draw the sampled colors so the bar shows the correction between stops too
+  elements.gradientTarget.style.background = cssGradient(result.samples.map((s) => s.target));
+  elements.gradientCorrected.style.background = cssGradient(result.samples.map((s) => s.corrected));
+
+  elements.gradientStops.querySelectorAll('.gradient-stop').forEach((item) => {
+    const { corrected } = result.stops[item.dataset.index];
+    item.querySelector('.gradient-stop-hex').textContent = rgbToHex(corrected.r, corrected.g, corrected.b);
+  });
+
+  elements.gradientWarnings.replaceChildren(...result.warnings.map((warning) => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    return item;
+  }));
+  elements.gradientWarnings.hidden = result.warnings.length === 0;
+
+  return result;
+}
+
+// ===== Effects =====
+
+/**
+ * Fill the effect picker
+ */
+function renderEffectTypes() {
+  elements.effectType.replaceChildren(...Object.entries(EFFECTS).map(([key, name]) => new Option(name, key)));
+}
+
+/**
+ * Rebuild the effect color pickers
+ */
+function renderEffectColors() {
+  elements.effectColors.replaceChildren(...effectColors.map((color, index) => {
+    const item = document.createElement('div');
+    item.className = 'gradient-stop';
+    item.dataset.index = index;
+    item.innerHTML = `
+      <span class="device-remove" title="Remove color">×</span>
+      <input type="color" aria-label="Effect color ${index + 1}">
+      <span class="gradient-stop-hex"></span>
+    `;
+    item.querySelector('input').value = rgbToHex(color.r, color.g, color.b);
+    item.querySelector('.device-remove').hidden = effectColors.length <= EFFECT_COLORS.min;
+    return item;
+  }));
+
+  elements.addEffectColor.disabled = effectColors.length >= EFFECT_COLORS.max;
+  describeEffect();
+}
+
+/**
+ * Build the effect in the form for the current device, or show why it can't
+ * be built
+ * @returns {object|null}
+ */
+function buildCurrentEffect() {
+  try {
+    return buildEffect({
+      type: elements.effectType.value,
+      colors: effectColors,
+      speed: parseInt(elements.effectSpeed.value)
+    }, currentDevice, { brightness: currentBrightness });
+  } catch (err) {
+    elements.effectSummary.textContent = err.message;
+    return null;
+  }
+}
+
+/**
+ * Summarize the effect after its type, speed or colors change. Building
+ * every keyframe is kept out of updateUI unless the preview is running.
+ */
+function describeEffect() {
+  elements.effectSpeedValue.textContent = elements.effectSpeed.value;
+  const effect = buildCurrentEffect();
+  elements.previewEffectBtn.disabled = !effect;
+  elements.downloadEffectBtn.disabled = !effect;
+  if (!effect) {
+    stopEffectPreview();
+  } else {
+    const seconds = (effect.duration / 1000).toFixed(1);
+    elements.effectSummary.textContent = `${effect.keyframes.length} corrected keyframes, ${seconds} s per loop`;
+  }
+  updateEffect();
+}
+
+/**
+ * Show each color's corrected value and keep a running preview in step with
+ * the device and brightness
+ */
+function updateEffect() {
+  elements.effectColors.querySelectorAll('.gradient-stop').forEach((item) => {
+    const corrected = correct(effectColors[item.dataset.index], currentDevice, { brightness: currentBrightness });
+    item.querySelector('.gradient-stop-hex').textContent = rgbToHex(corrected.r, corrected.g, corrected.b);
+  });
+
+  if (effectPreview) {
+    const effect = buildCurrentEffect();
+    if (effect) {
+      effectPreview.effect = effect;
+      effectPreview.frame = -1;
+    } else {
+      stopEffectPreview();
+    }
+  }
+}
+
+/**
+ * Set one strip of the preview to a row of LED colors
+ */
+function paintEffectStrip(strip, colors) {
+  if (strip.children.length !== colors.length) {
+    strip.replaceChildren(...colors.map(() => document.createElement('span')));
+  }
+  colors.forEach((color, index) => {
+    strip.children[index].style.backgroundColor = rgbToHex(color.r, color.g, color.b);
+  });
+}
+
+/**
+ * Animate the effect inside the corrected preview: target on top, corrected
+ * below
+ */
+function startEffectPreview() {
+  const effect = buildCurrentEffect();
+  if (!effect) return;
+
+  const preview = { effect, frame: -1 };
+  let start = null;
+  effectPreview = preview;
+  elements.effectPreview.hidden = false;
+  elements.previewEffectBtn.textContent = '■ Stop preview';
+  elements.previewEffectBtn.setAttribute('aria-pressed', 'true');
+
+  const draw = (now) => {
+    // A newer preview (or none) takes over from this loop
+    if (effectPreview !== preview) return;
+    start ??= now;
+    const { keyframes, duration, frameMs } = preview.effect;
+    const frame = Math.min(keyframes.length - 1, Math.floor(((now - start) % duration) / frameMs));
+    if (frame !== preview.frame) {
+      preview.frame = frame;
+      paintEffectStrip(elements.effectTargetStrip, keyframes[frame].leds.map((led) => led.target));
+      paintEffectStrip(elements.effectCorrectedStrip, keyframes[frame].leds.map((led) => led.corrected));
+    }
+    requestAnimationFrame(draw);
+  };
+  requestAnimationFrame(draw);
+}
+
+/**
+ * Stop the preview and show the corrected color again
+ */
+function stopEffectPreview() {
+  effectPreview = null;
+  elements.effectPreview.hidden = true;
+  elements.previewEffectBtn.textContent = '▶ Preview in result';
+  elements.previewEffectBtn.setAttribute('aria-pressed', 'false');
+}
+
+/**
+ * Download the corrected keyframes as JSON
+ */
+function downloadEffect() {
+  const effect = buildCurrentEffect();
+  if (effect) {
+    downloadFile(`${effect.type}-${currentDevice}.led-effect.json`, exportEffect(effect), 'application/json');
+  }
+}
+
+// ===== Image Palette =====
+
+/**
+ * Fill the palette size picker
+ */
+function renderPaletteCount() {
+  const sizes = Array.from({ length: PALETTE_SIZE.max - PALETTE_SIZE.min + 1 }, (_, i) => PALETTE_SIZE.min + i);
+  elements.paletteCount.replaceChildren(...sizes.map((size) => new Option(`${size} colors`, size)));
+  elements.paletteCount.value = DEFAULT_PALETTE_SIZE;
+}
+
+/**
+ * Decode an image file in the browser
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not open ${file.name} as an image`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Draw an image into a canvas no larger than maxSize on its long side
+ */
+function drawScaled(canvas, image, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return context;
+}
+
+/**
+ * Decode an image file and read its pixels, scaled down to PALETTE_SAMPLE_SIZE
+ * @returns {Promise<Uint8ClampedArray>} RGBA pixel data
+ */
+async function readImagePixels(file) {
+  const canvas = document.createElement('canvas');
+  const context = drawScaled(canvas, await loadImage(file), PALETTE_SAMPLE_SIZE);
+  return context.getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+/**
+ * Extract the palette of the loaded image at the chosen size
+ */
+function extractImagePalette() {
+  if (!paletteImage) return;
+  try {
+    imagePalette = extractPalette(paletteImage.pixels, Number(elements.paletteCount.value));
+  } catch (err) {
+    imagePalette = [];
+    showToast(err.message);
+  }
+  updatePalette();
+}
+
+/**
+ * Load an image file and extract its palette
+ */
+async function loadPaletteImage(file) {
+  if (!file.type.startsWith('image/')) {
+    showToast(`${file.name} is not an image`);
+    return;
+  }
+  try {
+    paletteImage = { name: file.name, pixels: await readImagePixels(file) };
+  } catch (err) {
+    showToast(err.message);
+    return;
+  }
+  elements.paletteDropText.textContent = `${file.name} — drop another image to replace it`;
+  extractImagePalette();
+}
+
+/**
+ * Show each palette color with its correction for the current device
+ */
+function updatePalette() {
+  elements.paletteSwatches.replaceChildren(...imagePalette.map(({ color, share }) => {
+    const corrected = correct(color, currentDevice, { brightness: currentBrightness });
+    const hex = rgbToHex(color.r, color.g, color.b);
+    const correctedHex = rgbToHex(corrected.r, corrected.g, corrected.b);
+
+    const btn = document.createElement('button');
+    btn.className = 'palette-swatch';
+    btn.dataset.hex = hex;
+    btn.title = `Use ${hex} as your color`;
+    btn.innerHTML = `
+      <span class="palette-swatch-colors"><span></span><span></span></span>
+      <span class="palette-swatch-hex"></span>
+      <span class="palette-swatch-share"></span>
+    `;
+    const [target, enter] = btn.querySelector('.palette-swatch-colors').children;
+    target.style.backgroundColor = hex;
+    enter.style.backgroundColor = correctedHex;
+    btn.querySelector('.palette-swatch-hex').textContent = `${hex} → ${correctedHex}`;
+    btn.querySelector('.palette-swatch-share').textContent = `${Math.round(share * 100)}% of image`;
+    return btn;
+  }));
+}
+
+// ===== Hue Wheel =====
+
+/**
+ * Coordinates on the wheel at a radius and hue, with 0° at the top going clockwise
+ */
+function wheelXY(radius, hue) {
+  const angle = (hue - 90) * Math.PI / 180;
+  return [(radius * Math.cos(angle)).toFixed(2), (radius * Math.sin(angle)).toFixed(2)];
+}
+
+/**
+ * Point on the wheel for SVG path data
+ */
+function wheelPoint(radius, hue) {
+  return wheelXY(radius, hue).join(' ');
+}
+
+/**
+ * SVG markup for a line across the wheel between two radii at a hue
+ */
+function wheelTick(className, outer, inner, hue) {
+  const [x1, y1] = wheelXY(outer, hue);
+  const [x2, y2] = wheelXY(inner, hue);
+  return `<line class="${className}" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+}
+
+/**
+ * SVG markup for one ring of colors, one segment per sample
+ */
+function wheelRing(samples, key, outer, inner, step) {
+  return samples.map((sample) => {
+    const color = sample[key];
+    // Overlap neighbours slightly so no seams show between segments
+    const from = sample.hue - 0.3;
+    const to = sample.hue + step + 0.3;
+    return `<path fill="${rgbToHex(color.r, color.g, color.b)}" d="M ${wheelPoint(outer, from)} ` +
+      `A ${outer} ${outer} 0 0 1 ${wheelPoint(outer, to)} L ${wheelPoint(inner, to)} ` +
+      `A ${inner} ${inner} 0 0 0 ${wheelPoint(inner, from)} Z"/>`;
+  }).join('');
+}
+
+/**
+ * Current device first, then the ones it's compared with that still exist
+ */
+function hueWheelDevices() {
+  const compared = hueWheel.compared.filter((id) => DEVICE_PROFILES[id] && id !== currentDevice);
+  return [currentDevice, ...compared].slice(0, HUE_WHEEL_DASHES.length);
+}
+
+/**
+ * Sweep every shown device and redraw the wheel, curves and legend
+ */
+function updateHueWheel() {
+  const devices = hueWheelDevices();
+  const { saturation, lightness } = hueWheel;
+  const sweeps = devices.map((id) => sweepHues(id, { saturation, lightness, brightness: currentBrightness }));
+  const step = sweeps[0].samples[1].hue - sweeps[0].samples[0].hue;
+  const currentHue = rgbToHsl(currentColor.r, currentColor.g, currentColor.b).h;
+
+  elements.hueWheelSaturationValue.textContent = `${saturation}%`;
+  elements.hueWheelLightnessValue.textContent = `${lightness}%`;
+
+  // Target outermost, then one ring per device, narrower as more are added
+  const ringWidth = Math.min(16, 48 / sweeps.length);
+  const rings = sweeps.map((sweep, index) => {
+    const outer = 74 - index * ringWidth;
+    const inner = outer - ringWidth + 1.5;
+    const boundaries = sweep.ranges.flatMap(({ start, end }) => [start, end])
+      .map((hue) => wheelTick('hue-boundary', outer, inner, hue));
+    return wheelRing(sweep.samples, 'corrected', outer, inner, step) + boundaries.join('');
+  });
+  elements.hueWheel.innerHTML = wheelRing(sweeps[0].samples, 'target', 94, 78, step) + rings.join('') +
+    wheelTick('hue-marker', 96, 74 - sweeps.length * ringWidth, currentHue);
+
+  // Channel curves: faint target channels, then each device's dashed its own way
+  const curve = (samples, key, channel) =>
+    samples.map((sample) => `${sample.hue},${255 - sample[key][channel]}`).join(' ');
+  const channels = ['r', 'g', 'b'];
+  elements.hueCurves.innerHTML = [
+    ...channels.map((channel) =>
+      `<polyline class="hue-curve hue-curve-${channel} hue-curve-target" points="${curve(sweeps[0].samples, 'target', channel)}"/>`),
+    ...sweeps.flatMap((sweep, index) => [
+      ...sweep.ranges.flatMap(({ start, end }) => [start, end]).map((hue) =>
+        `<line class="hue-boundary" x1="${hue}" y1="0" x2="${hue}" y2="256" stroke-dasharray="${HUE_WHEEL_DASHES[index]}"/>`),
+      ...sweep.jumps.map((hue) => `<line class="hue-jump" x1="${hue}" y1="0" x2="${hue}" y2="256"/>`),
+      ...channels.map((channel) =>
+        `<polyline class="hue-curve hue-curve-${channel}" stroke-dasharray="${HUE_WHEEL_DASHES[index]}" ` +
+        `points="${curve(sweep.samples, 'corrected', channel)}"/>`)
+    ]),
+    `<line class="hue-marker" x1="${currentHue}" y1="0" x2="${currentHue}" y2="256"/>`
+  ].join('');
+
+  elements.hueLegend.replaceChildren(...sweeps.map((sweep, index) => {
+    const item = document.createElement('li');
+    item.className = 'hue-legend-item';
+    item.dataset.device = sweep.device;
+    item.innerHTML = `
+      <svg class="hue-legend-dash" viewBox="0 0 32 4"><line x1="0" y1="2" x2="32" y2="2" stroke-dasharray="${HUE_WHEEL_DASHES[index]}"/></svg>
+      <span class="hue-legend-name"></span>
+      ${index > 0 ? '<span class="device-remove" title="Stop comparing">×</span>' : ''}
+    `;
+    item.querySelector('.hue-legend-name').textContent = index === 0 ? `${sweep.name} (selected)` : sweep.name;
+    return item;
+  }));
+
+  const notes = sweeps.filter(({ jumps }) => jumps.length).map(({ name, jumps }) =>
+    `${name} jumps sharply at ${jumps.map((hue) => `${hue}°`).join(', ')}.`);
+  const disagreement = largestDisagreement(sweeps);
+  if (disagreement) {
+    const [a, b] = disagreement.devices.map((id) => DEVICE_PROFILES[id].name);
+    notes.push(`${a} and ${b} differ most at ${disagreement.hue}° (ΔE ${disagreement.deltaE.toFixed(1)}).`);
+  }
+  elements.hueSummary.textContent = notes.join(' ') || 'No sharp jumps in the corrected colors.';
+
+  // Offer every device not already shown, keeping the picked one if possible
+  const picked = elements.hueCompareSelect.value;
+  const available = Object.entries(DEVICE_PROFILES).filter(([id]) => !devices.includes(id));
+  elements.hueCompareSelect.replaceChildren(...available.map(([id, profile]) =>
+    new Option(profile.name, id, false, id === picked)));
+  elements.addHueCompareBtn.disabled = devices.length >= HUE_WHEEL_DASHES.length || available.length === 0;
+}
+
+// ===== Lighting Software Export =====
+
+/**
+ * Fill the export format picker
+ */
+function renderExportFormats() {
+  elements.exportFormat.replaceChildren(...Object.entries(EXPORTERS)
+    .map(([key, exporter]) => new Option(exporter.label, key)));
+  elements.exportFormat.value = exporterFor(DEVICE_PROFILES[currentDevice]);
+}
+
+/**
+ * Colors to export, with their names, for the chosen source
+ */
+function exportEntries(source) {
+  const named = (colors, label) => colors.map((target, index) => ({
+    name: colors.length > 1 ? `${label} ${index + 1}` : label,
+    target,
+    corrected: correct(target, currentDevice, { brightness: currentBrightness })
+  }));
+
+  if (source === 'gradient') return named(gradientStops, 'Stop');
+  if (source === 'palette') return named(imagePalette.map(({ color }) => color), 'Color');
+  if (source === 'saved') return named(getActiveSavedPalette().entries.map(({ color }) => color), 'Color');
+  return named([currentColor], rgbToHex(currentColor.r, currentColor.g, currentColor.b));
+}
+
+/**
+ * Download the chosen colors in the chosen lighting software format
+ */
+function downloadExport() {
+  const source = elements.exportSource.value;
+  const entries = exportEntries(source);
+  if (!entries.length) {
+    const hints = { palette: 'Load an image to get a palette first', saved: 'Save some colors to the palette first' };
+    showToast(hints[source] || 'Nothing to export');
+    return;
+  }
+
+  const titles = {
+    color: 'LED color',
+    gradient: 'LED gradient',
+    palette: paletteImage?.name.replace(/\.[^.]+$/, '') || 'LED palette',
+    saved: getActiveSavedPalette().name
+  };
+  const file = exportColors(entries, {
+    exporter: elements.exportFormat.value,
+    title: titles[source],
+    deviceName: DEVICE_PROFILES[currentDevice].name
+  });
+  downloadFile(file.filename, file.content, file.mimeType);
+}
+
+// ===== Custom Devices =====
+
+/**
+ * Load calibrated devices from localStorage and register them
+ */
+function loadCustomProfiles() {
+  try {
+    customProfiles = JSON.parse(localStorage.getItem(CUSTOM_PROFILES_KEY)) || {};
+  } catch (err) {
+    customProfiles = {};
+  }
+
+  // Profiles can extend each other, so each one waits until the stored
+  // profile it extends is in; anything invalid is dropped and reported
+  const rejected = [];
+  let pending = Object.keys(customProfiles);
+  while (pending.length) {
+    const waiting = new Set(pending);
+    const ready = pending.filter((id) => !waiting.has(customProfiles[id]?.extends));
+    // Whatever is left extends another in a loop; validating reports that
+    const batch = ready.length ? ready : pending;
+    batch.forEach((id) => {
+      const profile = customProfiles[id];
+      const errors = validateProfile(profile, { bases: DEVICE_PROFILES });
+      if (!errors.length) {
+        try {
+          registerProfile(id, profile);
+          return;
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      rejected.push(...errors.map((message) => `${profile?.name || id}: ${message}`));
+      delete customProfiles[id];
+    });
+    pending = pending.filter((id) => !batch.includes(id));
+  }
+
+  if (rejected.length) {
+    showProfileErrors('Some saved devices could not be loaded and were removed:', rejected);
+    saveCustomProfiles();
+  }
+}
+
+/**
+ * Persist calibrated devices to localStorage
+ */
+function saveCustomProfiles() {
+  try {
+    localStorage.setItem(CUSTOM_PROFILES_KEY, JSON.stringify(customProfiles));
+  } catch (err) {
+    showToast('Could not save custom devices');
+  }
+}
+
+/**
+ * Delete a calibrated device, falling back to the default device if it was selected
+ */
+function removeCustomProfile(id) {
+  delete customProfiles[id];
+  unregisterProfile(id);
+  // Devices that extended it keep the fields they had
+  Object.entries(customProfiles).forEach(([otherId, profile]) => {
+    if (profile.extends === id) {
+      customProfiles[otherId] = DEVICE_PROFILES[otherId];
+    }
+  });
+  saveCustomProfiles();
+  renderDevices();
+
+  if (currentDevice === id) {
+    selectBrand(document.querySelector(`.brand-tab[data-brand="${currentBrand}"]`) ? currentBrand : 'lianli');
+  }
+  updateUI();
+}
+
+// ===== Profile Import / Export =====
+
+/**
+ * Download the selected device's profile as a JSON file
+ */
+function downloadProfile() {
+  const json = exportProfile(currentDevice, DEVICE_PROFILES[currentDevice]);
+  downloadFile(`${currentDevice}.led-profile.json`, json, 'application/json');
+}
+
+/**
+ * Save text as a file through a temporary link
+ */
+function downloadFile(filename, content, mimeType) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Read a user-selected file as text
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Show the problems found in rejected profiles under a title
+ */
+function showProfileErrors(title, errors) {
+  elements.profileErrorsTitle.textContent = title;
+  elements.profileErrorsList.replaceChildren(...errors.map((message) => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  }));
+  elements.profileErrors.hidden = false;
+}
+
+/**
+ * Validate a profile file and add it as a new device
+ */
+async function importProfileFile(file) {
+  elements.profileErrors.hidden = true;
+
+  let imported;
+  try {
+    imported = importProfile(await readFileAsText(file), { bases: DEVICE_PROFILES });
+  } catch (err) {
+    showProfileErrors(`${file.name} could not be imported:`, err instanceof ProfileValidationError ? err.errors : [err.message]);
+    return;
+  }
+
+  // Keep the brand only when it's a known one, and never replace a built-in device
+  const profile = { ...imported.profile, custom: false };
+  if (!BRANDS[profile.brand ?? DEVICE_PROFILES[profile.extends]?.brand]) {
+    profile.brand = 'custom';
+  }
+  let id = imported.id;
+  if (DEVICE_PROFILES[id] && !customProfiles[id]) {
+    id = `imported-${id}`;
+  }
+
+  // Register before storing: a profile that extends itself, or a device that
+  // extends it, is rejected here and must not reach localStorage
+  try {
+    registerProfile(id, profile);
+  } catch (err) {
+    showProfileErrors(`${file.name} could not be imported:`, [err.message]);
+    return;
+  }
+  customProfiles[id] = profile;
+  saveCustomProfiles();
+  renderDevices();
+  selectBrand(profile.brand);
+  selectDevice(id);
+  updateUI();
+  showToast(`Imported ${profile.name}`);
+}
+
+// ===== Calibration Wizard =====
+
+/**
+ * Open the wizard at the first test color
+ */
+function startCalibration() {
+  calibration = {
+    step: 0,
+    samples: CALIBRATION_COLORS.map((sent) => ({ sent, observed: { ...sent } })),
+    result: null
+  };
+  elements.wizardName.value = '';
+  elements.wizardSoftware.value = '';
+  elements.calibrationWizard.hidden = false;
+  elements.calibrateBtn.hidden = true;
+  showCalibrationStep();
+}
+
+/**
+ * Close the wizard without saving
+ */
+function closeCalibration() {
+  calibration = null;
+  elements.calibrationWizard.hidden = true;
+  elements.calibrateBtn.hidden = false;
+}
+
+/**
+ * Render the current wizard step
+ */
+function showCalibrationStep() {
+  const total = calibration.samples.length;
+  const finished = calibration.step >= total;
+
+  elements.wizardMatch.hidden = finished;
+  elements.wizardFinish.hidden = !finished;
+  elements.wizardBack.disabled = calibration.step === 0;
+  elements.wizardNext.textContent = finished ? 'Save Device' : 'Next';
+  elements.wizardStep.textContent = finished ? 'Review' : `Step ${calibration.step + 1} of ${total}`;
+
+  if (finished) {
+    showCalibrationFit();
+    return;
+  }
+
+  const { sent, observed } = calibration.samples[calibration.step];
+  const sentHex = rgbToHex(sent.r, sent.g, sent.b);
+  const hsl = rgbToHsl(observed.r, observed.g, observed.b);
+
+  elements.wizardSent.textContent = sentHex;
+  elements.wizardSentSwatch.style.backgroundColor = sentHex;
+  elements.wizardHue.value = hsl.h;
+  elements.wizardSat.value = hsl.s;
+  elements.wizardLight.value = hsl.l;
+  updateObservedSwatch();
+}
+
+/**
+ * Apply the wizard sliders to the current sample
+ */
+function updateObservedSwatch() {
+  const observed = hslToRgb(
+    parseInt(elements.wizardHue.value),
+    parseInt(elements.wizardSat.value),
+    parseInt(elements.wizardLight.value)
+  );
+  calibration.samples[calibration.step].observed = observed;
+  elements.wizardObservedSwatch.style.backgroundColor = rgbToHex(observed.r, observed.g, observed.b);
+}
+
+/**
+ * Fit a profile to the collected samples and summarise the fit
+ */
+function showCalibrationFit() {
+  try {
+    calibration.result = fitProfile(calibration.samples);
+  } catch (err) {
+    calibration.result = null;
+    elements.wizardFit.textContent = err.message;
+    elements.wizardNext.disabled = true;
+    return;
+  }
+
+  const worst = calibration.result.errors.reduce((max, e) => (e.error > max.error ? e : max));
+  elements.wizardNext.disabled = false;
+  elements.wizardFit.textContent = `Fitted ${calibration.result.profile.hueCorrections.length} hue ranges. ` +
+    `Largest remaining error is ${worst.error} around hue ${worst.hue}°.`;
+}
+
+/**
+ * Save the fitted profile as a new custom device and select it
+ */
+function saveCalibration() {
+  const profile = {
+    ...calibration.result.profile,
+    name: elements.wizardName.value.trim() || 'Custom Device',
+    software: elements.wizardSoftware.value.trim() || 'your RGB software'
+  };
+  closeCalibration();
+  addCustomDevice(profile);
+}
+
+/**
+ * Store a fitted profile as a new custom device and select it
+ */
+function addCustomDevice(profile) {
+  const id = `custom-${Date.now().toString(36)}`;
+  customProfiles[id] = profile;
+  registerProfile(id, profile);
+  saveCustomProfiles();
+
+  renderDevices();
+  selectBrand('custom');
+  selectDevice(id);
+  updateUI();
+  showToast('Custom device saved');
+}
+
+// ===== Photo Fitting =====
+
+/**
+ * Open the photo fitting panel
+ */
+function startPhotoFit() {
+  photoFit = { photos: [], drag: null, result: null, error: null };
+  elements.photoFitName.value = '';
+  elements.photoFitSoftware.value = '';
+  elements.photoFit.hidden = false;
+  elements.photoFitBtn.hidden = true;
+  renderPhotos();
+}
+
+/**
+ * Close the photo fitting panel without saving
+ */
+function closePhotoFit() {
+  photoFit = null;
+  elements.photoFit.hidden = true;
+  elements.photoFitBtn.hidden = false;
+  elements.photoList.replaceChildren();
+}
+
+/**
+ * Decode photos and add them with a default region in the middle
+ */
+async function addPhotos(files) {
+  for (const file of files) {
+    let image;
+    try {
+      image = await loadImage(file);
+    } catch (err) {
+      showToast(err.message);
+      continue;
+    }
+    if (!photoFit) return;
+
+    const canvas = document.createElement('canvas');
+    const context = drawScaled(canvas, image, PHOTO_SIZE);
+    const { width, height } = canvas;
+    const hex = file.name.match(/[0-9a-f]{6}/i);
+
+    const photo = {
+      name: file.name,
+      image,
+      pixels: context.getImageData(0, 0, width, height),
+      sent: hex ? hexToRgb(`#${hex[0]}`) : null,
+      region: { x: width / 4, y: height / 4, width: width / 2, height: height / 2 },
+      sample: null
+    };
+    samplePhoto(photo);
+    photoFit.photos.push(photo);
+  }
+  clearPhotoFitResult();
+  renderPhotos();
+}
+
+/**
+ * Sample the marked region of a photo against its sent value
+ */
+function samplePhoto(photo) {
+  photo.sample = null;
+  if (!photo.sent) return;
+  try {
+    photo.sample = photoSample(photo.pixels, photo.region, photo.sent);
+  } catch (err) {
+    photo.sample = null;
+  }
+}
+
+/**
+ * Draw a photo with its marked region
+ */
+function drawPhoto(canvas, photo) {
+  const context = drawScaled(canvas, photo.image, PHOTO_SIZE);
+  const { x, y, width, height } = photo.region;
+  context.strokeStyle = '#ffffff';
+  context.lineWidth = 2;
+  context.setLineDash([6, 4]);
+  context.strokeRect(x, y, width, height);
+}
+
+/**
+ * Rebuild the photo cards and fit report
+ */
+function renderPhotos() {
+  elements.photoList.replaceChildren(...photoFit.photos.map((photo, index) => {
+    const card = document.createElement('div');
+    card.className = 'photo-card';
+    card.dataset.index = index;
+    card.innerHTML = `
+      <canvas aria-label="Drag to mark the lit LEDs"></canvas>
+      <div class="photo-card-values">
+        <input type="text" maxlength="7" placeholder="#FF0000" aria-label="Color sent">
+        <span class="photo-swatch" title="Sent"></span>
+        <span class="photo-swatch photo-observed" title="Sampled from the photo"></span>
+      </div>
+      <span class="device-remove" role="button" aria-label="Remove photo">×</span>
+    `;
+    card.querySelector('canvas').title = photo.name;
+    if (photo.sent) {
+      card.querySelector('input').value = rgbToHex(photo.sent.r, photo.sent.g, photo.sent.b);
+    }
+    drawPhoto(card.querySelector('canvas'), photo);
+    updatePhotoCard(card, photo);
+    return card;
+  }));
+  updatePhotoFitStatus();
+}
+
+/**
+ * Refresh the swatches of one photo card
+ */
+function updatePhotoCard(card, photo) {
+  const [sentSwatch, observedSwatch] = card.querySelectorAll('.photo-swatch');
+  sentSwatch.style.backgroundColor = photo.sent ? rgbToHex(photo.sent.r, photo.sent.g, photo.sent.b) : '';
+  observedSwatch.style.backgroundColor = photo.sample
+    ? rgbToHex(photo.sample.observed.r, photo.sample.observed.g, photo.sample.observed.b)
+    : '';
+  card.querySelector('input').classList.toggle('invalid', !photo.sent);
+}
+
+/**
+ * Show the photo count and the report of the last fit
+ */
+function updatePhotoFitStatus() {
+  const ready = photoFit.photos.filter((photo) => photo.sample).length;
+  elements.photoFitCount.textContent = photoFit.photos.length
+    ? `${ready} of ${photoFit.photos.length} photos ready`
+    : 'No photos yet';
+  elements.photoFitRun.disabled = ready === 0;
+  elements.photoFitSave.disabled = !photoFit.result;
+
+  const { result } = photoFit;
+  if (!result) {
+    elements.photoFitReport.replaceChildren();
+    elements.photoFitSummary.textContent = photoFit.error || '';
+    return;
+  }
+
+  const worst = result.errors.reduce((max, e) => (e.error > max.error ? e : max));
+  elements.photoFitSummary.textContent = `Fitted ${result.profile.hueCorrections.length} hue ranges from ` +
+    `${result.errors.length} photos. Largest remaining error is ${worst.error} around hue ${worst.hue}°.`;
+  elements.photoFitReport.replaceChildren(...[...result.errors]
+    .sort((a, b) => a.hue - b.hue)
+    .map(({ hue, error }) => {
+      const item = document.createElement('li');
+      item.textContent = `${hue}°: ${error}`;
+      return item;
+    }));
+}
+
+/**
+ * Forget the last fit once the photos it was made from change
+ */
+function clearPhotoFitResult() {
+  photoFit.result = null;
+  photoFit.error = null;
+}
+
+/**
+ * Fit a profile to the sampled photos
+ */
+function runPhotoFit() {
+  const samples = photoFit.photos.filter((photo) => photo.sample).map((photo) => photo.sample);
+  clearPhotoFitResult();
+  try {
+    photoFit.result = fitProfile(samples);
+  } catch (err) {
+    photoFit.error = err.message;
+  }
+  updatePhotoFitStatus();
+}
+
+/**
+ * Save the profile fitted from photos as a new custom device
+ */
+function savePhotoFit() {
+  const profile = {
+    ...photoFit.result.profile,
+    name: elements.photoFitName.value.trim() || 'Custom Device',
+    software: elements.photoFitSoftware.value.trim() || 'your RGB software'
+  };
+  closePhotoFit();
+  addCustomDevice(profile);
+}
+
+/**
+ * Point in a photo's pixel coordinates for a pointer event on its canvas
+ */
+function photoPoint(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  const scaleX = rect.width ? canvas.width / rect.width : 1;
+  const scaleY = rect.height ? canvas.height / rect.height : 1;
+  return {
+    x: Math.max(0, Math.min(canvas.width, (e.clientX - rect.left) * scaleX)),
+    y: Math.max(0, Math.min(canvas.height, (e.clientY - rect.top) * scaleY))
+  };
+}
+
+/**
+ * Show toast notification
+ */
+function showToast(message = 'Copied to clipboard!') {
+  elements.toast.querySelector('.toast-text').textContent = message;
+  elements.toast.classList.add('show');
+
+  setTimeout(() => {
+    elements.toast.classList.remove('show');
+  }, 2000);
+}
+
+/**
+ * Copy text to clipboard
+ */
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast();
+  } catch (err) {
+    // Fallback for older browsers
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textarea);
+    showToast();
+  }
+}
+
+// ===== Offline App =====
+
+/**
+ * Offer to reload onto a new version that has finished downloading
+ */
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  elements.updateBanner.hidden = false;
+}
+
+/**
+ * Register the service worker that keeps the page working offline, and
+ * watch for new versions deployed while it's open
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('sw.js').then((registration) => {
+    // Without a controller this is the first install, not an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdatePrompt(worker);
+        }
+      });
+    });
+
+    // The page tends to stay open for a whole build, so check again on return
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        registration.update().catch(() => {});
+      }
+    });
+  }).catch(() => {
+    // Offline support is optional; file:// pages and some private windows refuse it
+  });
+
+  // The new version took over after the user accepted it
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (waitingWorker) {
+      window.location.reload();
+    }
+  });
+}
+
+// ===== Event Handlers =====
+
+// Color picker change
+elements.colorPicker.addEventListener('input', (e) => {
+  const rgb = hexToRgb(e.target.value);
+  if (rgb) {
+    currentColor = rgb;
+    updateUI();
+    rememberRecentColor();
+  }
+});
+
+// HEX input change
+elements.hexInput.addEventListener('input', (e) => {
+  let value = e.target.value;
+  if (!value.startsWith('#')) {
+    value = '#' + value;
+  }
+
+  if (isValidHex(value)) {
+    const rgb = hexToRgb(value);
+    if (rgb) {
+      currentColor = rgb;
+      updateUI();
+      rememberRecentColor();
+    }
+  }
+});
+
+elements.hexInput.addEventListener('blur', (e) => {
+  // Normalize the HEX value on blur
+  const hex = rgbToHex(currentColor.r, currentColor.g, currentColor.b);
+  e.target.value = hex;
+});
+
+// Software value input change
+elements.simulateInput.addEventListener('input', (e) => {
+  let value = e.target.value;
+  if (!value.startsWith('#')) {
+    value = '#' + value;
+  }
+
+  if (isValidHex(value)) {
+    const rgb = hexToRgb(value);
+    if (rgb) {
+      currentSoftwareColor = rgb;
+      updateSimulation();
+    }
+  }
+});
+
+elements.simulateInput.addEventListener('blur', (e) => {
+  e.target.value = rgbToHex(currentSoftwareColor.r, currentSoftwareColor.g, currentSoftwareColor.b);
+});
+
+// RGB inputs change
+['rInput', 'gInput', 'bInput'].forEach((id) => {
+  elements[id].addEventListener('input', (e) => {
+    const value = parseInt(e.target.value) || 0;
+    const channel = id.charAt(0); // r, g, or b
+    currentColor[channel] = Math.max(0, Math.min(255, value));
+    updateUI();
+    rememberRecentColor();
+  });
+});
+
+// Brand tab selection
+elements.brandTabsContainer.addEventListener('click', (e) => {
+  const tab = e.target.closest('.brand-tab');
+  if (tab) {
+    selectBrand(tab.dataset.brand);
+    updateUI();
+  }
+});
+
+// Device search
+elements.deviceSearch.addEventListener('input', filterDevices);
+
+// Device selection
+elements.deviceButtonsContainer.addEventListener('click', (e) => {
+  const btn = e.target.closest('.device-btn');
+  // Only allow clicking visible buttons
+  if (!btn || btn.classList.contains('hidden')) return;
+
+  if (e.target.closest('.device-remove')) {
+    removeCustomProfile(btn.dataset.device);
+    return;
+  }
+
+  selectDevice(btn.dataset.device);
+  updateUI();
+});
+
+// Swap an out-of-gamut target for the nearest color the device can show
+elements.useNearestBtn.addEventListener('click', () => {
+  if (nearestColor) {
+    currentColor = nearestColor;
+    updateUI();
+    rememberRecentColor();
+  }
+});
+
+// Photo fitting
+elements.photoFitBtn.addEventListener('click', startPhotoFit);
+elements.photoFitCancel.addEventListener('click', closePhotoFit);
+elements.photoFitRun.addEventListener('click', runPhotoFit);
+elements.photoFitSave.addEventListener('click', savePhotoFit);
+
+elements.photoFitInput.addEventListener('change', (e) => {
+  const files = [...e.target.files];
+  e.target.value = '';
+  if (files.length) {
+    addPhotos(files);
+  }
+});
+
+elements.photoList.addEventListener('input', (e) => {
+  const card = e.target.closest('.photo-card');
+  if (!card || e.target.tagName !== 'INPUT') return;
+  const photo = photoFit.photos[card.dataset.index];
+  let value = e.target.value.trim();
+  if (!value.startsWith('#')) {
+    value = '#' + value;
+  }
+  photo.sent = isValidHex(value) ? hexToRgb(value) : null;
+  samplePhoto(photo);
+  clearPhotoFitResult();
+  updatePhotoCard(card, photo);
+  updatePhotoFitStatus();
+});
+
+elements.photoList.addEventListener('click', (e) => {
+  const card = e.target.closest('.photo-card');
+  if (card && e.target.closest('.device-remove')) {
+    photoFit.photos.splice(card.dataset.index, 1);
+    clearPhotoFitResult();
+    renderPhotos();
+  }
+});
+
+// Drag a box over the lit LEDs
+elements.photoList.addEventListener('pointerdown', (e) => {
+  if (e.target.tagName !== 'CANVAS') return;
+  const card = e.target.closest('.photo-card');
+  e.target.setPointerCapture?.(e.pointerId);
+  photoFit.drag = { card, start: photoPoint(e.target, e), previous: photoFit.photos[card.dataset.index].region };
+});
+
+elements.photoList.addEventListener('pointermove', (e) => {
+  if (!photoFit?.drag) return;
+  const { card, start } = photoFit.drag;
+  const canvas = card.querySelector('canvas');
+  const point = photoPoint(canvas, e);
+  const photo = photoFit.photos[card.dataset.index];
+  photo.region = {
+    x: Math.min(start.x, point.x),
+    y: Math.min(start.y, point.y),
+    width: Math.abs(point.x - start.x),
+    height: Math.abs(point.y - start.y)
+  };
+  drawPhoto(canvas, photo);
+});
+
+elements.photoList.addEventListener('pointerup', () => {
+  if (!photoFit?.drag) return;
+  const { card, previous } = photoFit.drag;
+  const photo = photoFit.photos[card.dataset.index];
+  photoFit.drag = null;
+
+  // A click rather than a drag keeps the box that was there
+  if (photo.region.width < 4 || photo.region.height < 4) {
+    photo.region = previous;
+    drawPhoto(card.querySelector('canvas'), photo);
+    return;
+  }
+  samplePhoto(photo);
+  clearPhotoFitResult();
+  updatePhotoCard(card, photo);
+  updatePhotoFitStatus();
+});
+
+// Image palette: pick, drop, resize and use colors
+elements.paletteInput.addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  if (file) {
+    loadPaletteImage(file);
+  }
+  e.target.value = '';
+});
+
+elements.paletteDrop.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  elements.paletteDrop.classList.add('dragging');
+});
+
+elements.paletteDrop.addEventListener('dragleave', () => {
+  elements.paletteDrop.classList.remove('dragging');
+});
+
+elements.paletteDrop.addEventListener('drop', (e) => {
+  e.preventDefault();
+  elements.paletteDrop.classList.remove('dragging');
+  const [file] = e.dataTransfer.files;
+  if (file) {
+    loadPaletteImage(file);
+  }
+});
+
+elements.paletteCount.addEventListener('change', extractImagePalette);
+
+elements.paletteSwatches.addEventListener('click', (e) => {
+  const swatch = e.target.closest('.palette-swatch');
+  if (swatch) {
+    currentColor = hexToRgb(swatch.dataset.hex);
+    updateUI();
+    rememberRecentColor();
+    showToast(`${swatch.dataset.hex} loaded`);
+  }
+});
+
+// Algorithm choice for the current device
+elements.algorithmOptions.addEventListener('click', (e) => {
+  const option = e.target.closest('.algorithm-option');
+  if (option && !option.classList.contains('active')) {
+    setAlgorithm(currentDevice, option.dataset.algorithm);
+    showToast(`${DEVICE_PROFILES[currentDevice].name} now uses ${ALGORITHMS[option.dataset.algorithm]}`);
+  }
+});
+
+// Connection variants
+elements.variantSelect.addEventListener('change', (e) => {
+  setVariant(currentDevice, e.target.value);
+});
+
+// Profile import/export
+elements.exportProfileBtn.addEventListener('click', downloadProfile);
+elements.exportColorsBtn.addEventListener('click', downloadExport);
+elements.importProfileBtn.addEventListener('click', () => elements.importProfileInput.click());
+elements.importProfileInput.addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  if (file) {
+    importProfileFile(file);
+  }
+  e.target.value = '';
+});
+
+// Calibration wizard
+elements.calibrateBtn.addEventListener('click', startCalibration);
+elements.wizardCancel.addEventListener('click', closeCalibration);
+
+elements.wizardBack.addEventListener('click', () => {
+  calibration.step = Math.max(0, calibration.step - 1);
+  elements.wizardNext.disabled = false;
+  showCalibrationStep();
+});
+
+elements.wizardNext.addEventListener('click', () => {
+  if (calibration.step >= calibration.samples.length) {
+    saveCalibration();
+    return;
+  }
+  calibration.step++;
+  showCalibrationStep();
+});
+
+[elements.wizardHue, elements.wizardSat, elements.wizardLight].forEach((slider) => {
+  slider.addEventListener('input', updateObservedSwatch);
+});
+
+// Brightness slider
+elements.brightnessSlider.addEventListener('input', (e) => {
+  setBrightness(parseInt(e.target.value));
+  updateUI();
+});
+
+// Preset buttons
+elements.presetButtons.forEach((btn) => {
+  btn.addEventListener('click', () => {
+    const rgb = hexToRgb(btn.dataset.color);
+    if (rgb) {
+      currentColor = rgb;
+      updateUI();
+      rememberRecentColor();
     }
   });
 });
@@ -644,10 +2799,356 @@ elements.copyRgb.addEventListener('click', () => {
   copyToClipboard(elements.correctedRgb.textContent);
 });
 
+elements.copyLink.addEventListener('click', () => {
+  copyToClipboard(new URL(buildStateUrl(), location.href).href);
+});
+
+// White balance
+elements.kelvinSlider.addEventListener('input', (e) => {
+  currentKelvin = parseInt(e.target.value);
+  updateWhiteBalance();
+});
+
+elements.whitePresets.addEventListener('click', (e) => {
+  const btn = e.target.closest('.white-preset');
+  if (btn) {
+    currentKelvin = parseInt(btn.dataset.kelvin);
+    updateWhiteBalance();
+  }
+});
+
+elements.copyWhiteHex.addEventListener('click', () => {
+  copyToClipboard(elements.whiteCorrectedHex.textContent);
+});
+
+elements.copyWhiteRgb.addEventListener('click', () => {
+  copyToClipboard(elements.whiteCorrectedRgb.textContent);
+});
+
+// Rigs
+elements.rigSelect.addEventListener('change', (e) => {
+  activeRigId = e.target.value;
+  saveRigs();
+  renderRig();
+});
+
+elements.rigName.addEventListener('input', (e) => {
+  getActiveRig().name = e.target.value.trim() || 'Untitled Rig';
+  elements.rigSelect.selectedOptions[0].textContent = getActiveRig().name;
+  saveRigs();
+});
+
+elements.newRigBtn.addEventListener('click', () => {
+  const rig = createRig(`Rig ${rigs.length + 1}`);
+  rigs.push(rig);
+  activeRigId = rig.id;
+  saveRigs();
+  renderRig();
+  elements.rigName.focus();
+});
+
+elements.deleteRigBtn.addEventListener('click', () => {
+  if (rigs.length === 1) return;
+  rigs = rigs.filter((rig) => rig.id !== activeRigId);
+  activeRigId = rigs[0].id;
+  saveRigs();
+  renderRig();
+});
+
+elements.addRigDeviceBtn.addEventListener('click', () => {
+  getActiveRig().devices.push({ device: elements.rigDeviceSelect.value, brightness: currentBrightness });
+  saveRigs();
+  renderRig();
+});
+
+elements.rigResults.addEventListener('click', (e) => {
+  const card = e.target.closest('.rig-card');
+  if (!card) return;
+
+  if (e.target.closest('.device-remove')) {
+    getActiveRig().devices.splice(card.dataset.index, 1);
+    saveRigs();
+    renderRig();
+  } else if (e.target.closest('.copyable')) {
+    copyToClipboard(card.querySelector('.rig-card-hex').textContent);
+  }
+});
+
+elements.rigResults.addEventListener('input', (e) => {
+  const card = e.target.closest('.rig-card');
+  if (!card || e.target.type !== 'range') return;
+
+  getActiveRig().devices[card.dataset.index].brightness = parseInt(e.target.value);
+  saveRigs();
+  updateRigResults();
+});
+
+// Zones
+elements.zoneCards.addEventListener('input', (e) => {
+  const card = e.target.closest('.rig-card');
+  if (!card) return;
+
+  const targets = zoneTargets[currentDevice] ||= {};
+  if (e.target.type === 'checkbox') {
+    if (e.target.checked) {
+      targets[card.dataset.zone] = { ...currentColor };
+    } else {
+      delete targets[card.dataset.zone];
+    }
+  } else if (e.target.type === 'color') {
+    const rgb = hexToRgb(e.target.value);
+    if (!rgb) return;
+    targets[card.dataset.zone] = rgb;
+  }
+  updateZones();
+});
+
+elements.zoneCards.addEventListener('click', (e) => {
+  const card = e.target.closest('.rig-card');
+  if (card && e.target.closest('.copyable')) {
+    copyToClipboard(card.querySelector('.rig-card-hex').textContent);
+  }
+});
+
+// Saved colors
+elements.favoriteBtn.addEventListener('click', () => {
+  const favorites = savedPalettes.find((palette) => palette.id === FAVORITES_ID);
+  const entry = currentEntry();
+  const index = favorites.entries.findIndex((saved) => sameEntry(saved, entry));
+  if (index === -1) {
+    favorites.entries.push(entry);
+  } else {
+    favorites.entries.splice(index, 1);
+  }
+  saveSavedColors();
+  if (activeSavedPaletteId === FAVORITES_ID) {
+    renderSavedPalette();
+  } else {
+    updateSavedColors();
+  }
+});
+
+elements.savedPaletteSelect.addEventListener('change', (e) => {
+  activeSavedPaletteId = e.target.value;
+  saveSavedColors();
+  renderSavedPalette();
+});
+
+elements.savedPaletteName.addEventListener('input', (e) => {
+  getActiveSavedPalette().name = e.target.value.trim() || 'Untitled Palette';
+  elements.savedPaletteSelect.selectedOptions[0].textContent = getActiveSavedPalette().name;
+  saveSavedColors();
+});
+
+elements.newSavedPaletteBtn.addEventListener('click', () => {
+  const palette = { id: `palette-${Date.now().toString(36)}`, name: `Palette ${savedPalettes.length}`, entries: [] };
+  savedPalettes.push(palette);
+  activeSavedPaletteId = palette.id;
+  saveSavedColors();
+  renderSavedPalette();
+  elements.savedPaletteName.focus();
+});
+
+elements.deleteSavedPaletteBtn.addEventListener('click', () => {
+  if (activeSavedPaletteId === FAVORITES_ID) return;
+  savedPalettes = savedPalettes.filter((palette) => palette.id !== activeSavedPaletteId);
+  activeSavedPaletteId = FAVORITES_ID;
+  saveSavedColors();
+  renderSavedPalette();
+});
+
+elements.saveColorBtn.addEventListener('click', () => {
+  saveCurrentColor(getActiveSavedPalette());
+  renderSavedPalette();
+});
+
+elements.savedColors.addEventListener('click', (e) => {
+  const card = e.target.closest('.rig-card');
+  if (!card) return;
+
+  const palette = getActiveSavedPalette();
+  if (e.target.closest('.device-remove')) {
+    palette.entries.splice(card.dataset.index, 1);
+    saveSavedColors();
+    renderSavedPalette();
+  } else if (e.target.closest('.saved-color-use')) {
+    useSavedEntry(palette.entries[card.dataset.index]);
+  } else if (e.target.closest('.copyable')) {
+    copyToClipboard(card.querySelector('.rig-card-hex').textContent);
+  }
+});
+
+elements.copySavedHex.addEventListener('click', () => {
+  copyToClipboard(savedCorrections().map((c) => rgbToHex(c.r, c.g, c.b)).join('\n'));
+});
+
+elements.copySavedRgb.addEventListener('click', () => {
+  copyToClipboard(savedCorrections().map((c) => `${c.r}, ${c.g}, ${c.b}`).join('\n'));
+});
+
+elements.recentColors.addEventListener('click', (e) => {
+  const btn = e.target.closest('.recent-color');
+  if (btn) {
+    useSavedEntry(recentColors[btn.dataset.index]);
+  }
+});
+
+// Live output
+elements.liveConnectBtn.addEventListener('click', connectLiveOutput);
+elements.liveBtn.addEventListener('click', () => setLive(!liveOutput.live));
+elements.openRgbTarget.addEventListener('change', pushLiveColor);
+elements.openRgbProfileBtn.addEventListener('click', saveOpenRgbProfile);
+
+elements.liveOutput.addEventListener('change', () => {
+  showLiveFields();
+  setLiveStatus('off', 'Not connected');
+});
+
+// A different board or universe needs a fresh connect
+[elements.wledSettings, elements.e131Settings].forEach((settings) => {
+  settings.addEventListener('change', () => {
+    if (elements.liveStatus.dataset.state !== 'off') {
+      setLiveStatus('off', 'Settings changed, connect again');
+    }
+  });
+});
+
+// Gradient editor
+elements.gradientStops.addEventListener('input', (e) => {
+  const item = e.target.closest('.gradient-stop');
+  const rgb = item && hexToRgb(e.target.value);
+  if (rgb) {
+    gradientStops[item.dataset.index] = rgb;
+    updateGradient();
+  }
+});
+
+elements.gradientStops.addEventListener('click', (e) => {
+  const item = e.target.closest('.gradient-stop');
+  if (item && e.target.closest('.device-remove') && gradientStops.length > 2) {
+    gradientStops.splice(item.dataset.index, 1);
+    renderGradientStops();
+  }
+});
+
+elements.addGradientStop.addEventListener('click', () => {
+  if (gradientStops.length >= MAX_GRADIENT_STOPS) return;
+  gradientStops.push({ ...currentColor });
+  renderGradientStops();
+});
+
+elements.copyGradientHex.addEventListener('click', () => {
+  const { stops } = updateGradient();
+  copyToClipboard(stops.map(({ corrected: c }) => rgbToHex(c.r, c.g, c.b)).join('\n'));
+});
+
+elements.copyGradientRgb.addEventListener('click', () => {
+  const { stops } = updateGradient();
+  copyToClipboard(stops.map(({ corrected: c }) => `${c.r}, ${c.g}, ${c.b}`).join('\n'));
+});
+
+// Effects
+elements.effectType.addEventListener('change', describeEffect);
+elements.effectSpeed.addEventListener('input', describeEffect);
+
+elements.effectColors.addEventListener('input', (e) => {
+  const item = e.target.closest('.gradient-stop');
+  const rgb = item && hexToRgb(e.target.value);
+  if (rgb) {
+    effectColors[item.dataset.index] = rgb;
+    describeEffect();
+  }
+});
+
+elements.effectColors.addEventListener('click', (e) => {
+  const item = e.target.closest('.gradient-stop');
+  if (item && e.target.closest('.device-remove') && effectColors.length > EFFECT_COLORS.min) {
+    effectColors.splice(item.dataset.index, 1);
+    renderEffectColors();
+  }
+});
+
+elements.addEffectColor.addEventListener('click', () => {
+  if (effectColors.length >= EFFECT_COLORS.max) return;
+  effectColors.push({ ...currentColor });
+  renderEffectColors();
+});
+
+elements.previewEffectBtn.addEventListener('click', () => {
+  if (effectPreview) {
+    stopEffectPreview();
+  } else {
+    startEffectPreview();
+  }
+});
+
+elements.downloadEffectBtn.addEventListener('click', downloadEffect);
+
+// Hue wheel
+elements.hueWheelSaturation.addEventListener('input', (e) => {
+  hueWheel.saturation = Number(e.target.value);
+  updateHueWheel();
+});
+
+elements.hueWheelLightness.addEventListener('input', (e) => {
+  hueWheel.lightness = Number(e.target.value);
+  updateHueWheel();
+});
+
+elements.addHueCompareBtn.addEventListener('click', () => {
+  const id = elements.hueCompareSelect.value;
+  if (!id) return;
+  hueWheel.compared = [...hueWheelDevices().slice(1), id];
+  updateHueWheel();
+});
+
+elements.hueLegend.addEventListener('click', (e) => {
+  const item = e.target.closest('.hue-legend-item');
+  if (item && e.target.closest('.device-remove')) {
+    hueWheel.compared = hueWheel.compared.filter((id) => id !== item.dataset.device);
+    updateHueWheel();
+  }
+});
+
+// Update prompt
+elements.updateReloadBtn.addEventListener('click', () => {
+  elements.updateReloadBtn.disabled = true;
+  waitingWorker.postMessage({ type: 'skipWaiting' });
+});
+
+elements.updateDismissBtn.addEventListener('click', () => {
+  elements.updateBanner.hidden = true;
+});
+
+// Browser back/forward
+window.addEventListener('popstate', () => {
+  readUrlState();
+  history.replaceState(null, '', buildStateUrl());
+  updateUI();
+});
+
 // ===== Initialize =====
 document.addEventListener('DOMContentLoaded', () => {
   updateUI();
 });
 
 // Initial update
+loadCustomProfiles();
+loadAlgorithmChoices();
+loadVariantChoices();
+loadRigs();
+loadSavedColors();
+loadLiveSettings();
+renderDevices();
+renderWhitePresets();
+renderGradientStops();
+renderEffectTypes();
+renderEffectColors();
+renderPaletteCount();
+renderExportFormats();
+renderSavedPalette();
+renderRecentColors();
+readUrlState();
+history.replaceState(null, '', buildStateUrl());
 updateUI();
+registerServiceWorker();
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+/**
+ * LED Fan Color Corrector - local output bridge
+ * Browsers can't open raw TCP or UDP connections, and pages served over HTTPS
+ * can't call plain-HTTP devices on the network, so this small local server
+ * relays the page's corrected colors to OpenRGB's SDK server, WLED boards and
+ * E1.31 (sACN) pixel controllers. It only listens on 127.0.0.1, and only
+ * answers the published page and pages served from this PC, so other sites
+ * open in the browser can't drive the lights or probe the network through it.
+ *
+ * Usage:
+ *   node bin/led-bridge.js
+ *   node bin/led-bridge.js --openrgb-port 6800 --port 6743
+ *   node bin/led-bridge.js --allow-origin https://example.github.io
+ *
+ * HTTP API (JSON):
+ *   GET  /status              { outputs: ['openrgb', 'wled', 'e131'] }
+ *   GET  /openrgb/controllers { server, controllers: [{ index, name, vendor, zones, ledCount }] }
+ *   POST /openrgb/color       { controller, zone?, color: { r, g, b } }
+ *   POST /openrgb/profile     { controller, zone?, color, name } sets the color,
+ *                             then saves OpenRGB's state as a named profile
+ *   GET  /wled/info?host=     { name, ledCount, version }
+ *   POST /wled/color          { host, color }
+ *   POST /e131/color          { host?, universe, start?, count, color }
+ *   POST /e131/stop           { host?, universe }
+ * Failures answer { error } with status 400 (bad request), 403 (page not
+ * allowed) or 502 (device unreachable).
+ */
+
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+import { OPENRGB_PORT, OpenRgbClient, OpenRgbError, isValidProfileName } from '../openrgb-sdk.js';
+import { getWledInfo, setWledColor, isValidHost, WledError } from '../wled.js';
+import { E131_PORT, E131Sender, E131Error } from '../e131.js';
+
+const BRIDGE_PORT = 6743;
+
+// Requests are a few numbers; anything bigger is not from the page
+const MAX_BODY_BYTES = 1024;
+
+// Where the page is published; --allow-origin replaces it
+const PAGE_ORIGIN = 'https://hardik500.github.io';
+
+// Pages served from this PC (e.g. a checkout on a local server) are always allowed
+const LOOPBACK_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// Names this bridge is reached by; anything else in Host means a DNS
+// rebinding page is calling it under its own name
+const LOOPBACK_HOST = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+const HELP = `Usage: led-bridge [options]
+
+Relay corrected colors from the LED Color Corrector page to OpenRGB, WLED
+boards and E1.31 (sACN) pixel controllers. For OpenRGB, start its SDK server
+first (OpenRGB > SDK Server > Start Server).
+
+Options:
+  -p, --port <n>          Port the page connects to (default ${BRIDGE_PORT})
+      --openrgb-host <h>  OpenRGB SDK server host (default 127.0.0.1)
+      --openrgb-port <n>  OpenRGB SDK server port (default ${OPENRGB_PORT})
+      --e131-port <n>     UDP port E1.31 is sent to (default ${E131_PORT})
+      --allow-origin <o>  Page origin allowed to use the bridge, replacing
+                          ${PAGE_ORIGIN}; repeat for several.
+                          Pages on localhost are always allowed.
+  -h, --help              Show this help`;
+
+/**
+ * Error answered with a status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Send a JSON answer
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Whether a request may use the bridge. Requests without an Origin don't
+ * come from a web page (curl, scripts), and those can reach the devices
+ * directly anyway.
+ * @param {string[]} allowedOrigins
+ */
+function isAllowed(request, allowedOrigins) {
+  const { origin, host } = request.headers;
+  if (!LOOPBACK_HOST.test(host || '')) return false;
+  return origin === undefined || LOOPBACK_ORIGIN.test(origin) || allowedOrigins.includes(origin);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request is too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new HttpError(400, 'Request is not valid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+// ===== Request Checks =====
+
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+const isChannel = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+
+/**
+ * The { r, g, b } color of a request body
+ */
+function parseColor(body) {
+  const color = body?.color;
+  if (!color || !['r', 'g', 'b'].every((channel) => isChannel(color[channel]))) {
+    throw new HttpError(400, 'color must be { r, g, b } with values from 0 to 255');
+  }
+  return { r: color.r, g: color.g, b: color.b };
+}
+
+/**
+ * A device address from a request, checked so it can only name a host
+ */
+function parseHost(host, { optional = false } = {}) {
+  if (optional && (host === undefined || host === null || host === '')) return undefined;
+  if (!isValidHost(host)) {
+    throw new HttpError(400, 'host must be a hostname or IP address, optionally with :port');
+  }
+  return host;
+}
+
+/**
+ * Check a POST /openrgb/color body
+ */
+function parseOpenRgbRequest(body) {
+  if (!body || !isIndex(body.controller)) {
+    throw new HttpError(400, 'controller must be a controller index');
+  }
+  if (body.zone !== undefined && body.zone !== null && !isIndex(body.zone)) {
+    throw new HttpError(400, 'zone must be a zone index or null');
+  }
+  return { controller: body.controller, zone: body.zone ?? null, color: parseColor(body) };
+}
+
+/**
+ * Check a POST /openrgb/profile body
+ */
+function parseOpenRgbProfileRequest(body) {
+  const request = parseOpenRgbRequest(body);
+  if (!isValidProfileName(body.name)) {
+    throw new HttpError(400, 'name must be up to 60 letters, digits, spaces and ( ) . , + - _');
+  }
+  return { ...request, name: body.name };
+}
+
+/**
+ * Check a POST /e131/color or /e131/stop body. Range checks on the universe
+ * and channels are left to e131.js.
+ */
+function parseE131Request(body, { withColor = true } = {}) {
+  if (!body || !Number.isInteger(body.universe)) {
+    throw new HttpError(400, 'universe must be a whole number');
+  }
+  const host = parseHost(body.host, { optional: true });
+  if (host?.includes(':')) {
+    throw new HttpError(400, 'E1.31 host can\'t include a port; start the bridge with --e131-port instead');
+  }
+  const target = { host, universe: body.universe };
+  if (!withColor) return target;
+  if (body.start !== undefined && !Number.isInteger(body.start)) {
+    throw new HttpError(400, 'start must be a channel number');
+  }
+  if (!Number.isInteger(body.count)) {
+    throw new HttpError(400, 'count must be a number of pixels');
+  }
+  return { ...target, start: body.start, count: body.count, color: parseColor(body) };
+}
+
+// ===== Routes =====
+
+/**
+ * Handle one request from the page
+ * @param {{openRgb: OpenRgbClient, e131: E131Sender}} outputs
+ * @param {string[]} allowedOrigins - Page origins besides localhost
+ */
+async function handleRequest(outputs, allowedOrigins, request, response) {
+  response.setHeader('Vary', 'Origin');
+  if (!isAllowed(request, allowedOrigins)) {
+    sendJson(response, 403, {
+      error: `${request.headers.origin || 'This page'} is not allowed; start the bridge with --allow-origin`
+    });
+    return;
+  }
+  if (request.headers.origin) {
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin);
+  }
+
+  if (request.method === 'OPTIONS') {
+    // Preflight for the page's JSON POSTs, including Chrome's private network check
+    response.writeHead(204, {
+      'Access-Control-Allow-Methods': 'GET, POST',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Private-Network': 'true'
+    });
+    response.end();
+    return;
+  }
+
+  const url = new URL(request.url, 'http://localhost');
+  const route = `${request.method} ${url.pathname}`;
+  try {
+    switch (route) {
+      case 'GET /status':
+        sendJson(response, 200, { outputs: ['openrgb', 'wled', 'e131'] });
+        break;
+      case 'GET /openrgb/controllers': {
+        const controllers = await outputs.openRgb.listControllers();
+        sendJson(response, 200, { server: outputs.openRgb.address, controllers });
+        break;
+      }
+      case 'POST /openrgb/color': {
+        const { controller, zone, color } = parseOpenRgbRequest(await readJson(request));
+        await outputs.openRgb.setColor(controller, color, zone);
+        sendJson(response, 200, { ok: true });
+        break;
+      }
+      case 'POST /openrgb/profile': {
+        const { controller, zone, color, name } = parseOpenRgbProfileRequest(await readJson(request));
+        await outputs.openRgb.setColor(controller, color, zone);
+        await outputs.openRgb.saveProfile(name);
+        sendJson(response, 200, { ok: true });
+        break;
+      }
+      case 'GET /wled/info':
+        sendJson(response, 200, await getWledInfo(parseHost(url.searchParams.get('host'))));
+        break;
+      case 'POST /wled/color': {
+        const body = await readJson(request);
+        await setWledColor(parseHost(body?.host), parseColor(body));
+        sendJson(response, 200, { ok: true });
+        break;
+      }
+      case 'POST /e131/color':
+        await outputs.e131.send(parseE131Request(await readJson(request)));
+        sendJson(response, 200, { ok: true });
+        break;
+      case 'POST /e131/stop':
+        await outputs.e131.stop(parseE131Request(await readJson(request), { withColor: false }));
+        sendJson(response, 200, { ok: true });
+        break;
+      default:
+        sendJson(response, 404, { error: `No such endpoint: ${route}` });
+    }
+  } catch (err) {
+    if (err instanceof HttpError) {
+      sendJson(response, err.status, { error: err.message });
+    } else if (err instanceof E131Error || err instanceof OpenRgbError) {
+      sendJson(response, err.unreachable ? 502 : 400, { error: err.message });
+    } else if (err instanceof WledError) {
+      sendJson(response, 502, { error: err.message });
+    } else {
+      console.error(err);
+      sendJson(response, 500, { error: 'The bridge hit an unexpected error' });
+    }
+  }
+}
+
+let parsed;
+try {
+  parsed = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: String(BRIDGE_PORT) },
+      'openrgb-host': { type: 'string', default: '127.0.0.1' },
+      'openrgb-port': { type: 'string', default: String(OPENRGB_PORT) },
+      'e131-port': { type: 'string', default: String(E131_PORT) },
+      'allow-origin': { type: 'string', multiple: true, default: [PAGE_ORIGIN] },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+} catch (err) {
+  console.error(`led-bridge: ${err.message}`);
+  process.exit(1);
+}
+
+const { values } = parsed;
+if (values.help) {
+  console.log(HELP);
+} else {
+  const outputs = {
+    openRgb: new OpenRgbClient({ host: values['openrgb-host'], port: Number(values['openrgb-port']) }),
+    e131: new E131Sender({ port: Number(values['e131-port']) })
+  };
+  // Browsers send origins without a trailing slash
+  const allowedOrigins = values['allow-origin'].map((origin) => origin.replace(/\/+$/, ''));
+  const server = createServer((request, response) => handleRequest(outputs, allowedOrigins, request, response));
+
+  server.on('error', (err) => {
+    console.error(`led-bridge: ${err.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(Number(values.port), '127.0.0.1', () => {
+    console.log(`LED bridge on http://127.0.0.1:${server.address().port}, OpenRGB at ${outputs.openRgb.address}`);
+    console.log(`Answering pages from ${[...allowedOrigins, 'localhost'].join(', ')}`);
+  });
+
+  // Tell E1.31 receivers the streams ended instead of letting them time out
+  process.once('SIGINT', async () => {
+    server.close();
+    outputs.openRgb.close();
+    await outputs.e131.close();
+    process.exit(0);
+  });
+}
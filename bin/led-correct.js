@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * LED Fan Color Corrector - command line
+ * Corrects colors with the same engine and device profiles as the web page.
+ *
+ * Usage:
+ *   node bin/led-correct.js --device corsair-ql --brightness 60 "#FF6600"
+ *   node bin/led-correct.js -d tl-fans -d strimer --input theme.csv --format json
+ *   node bin/led-correct.js -d corsair-ql:header "#800080"
+ *   node bin/led-correct.js --list-devices
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  DEVICE_PROFILES,
+  ALGORITHMS,
+  getVariants,
+  hexToRgb,
+  rgbToHex,
+  correct,
+  registerProfile
+} from '../correction.js';
+import { importProfile, ProfileValidationError } from '../profile-io.js';
+import { csvField } from '../exporters.js';
+
+const DEFAULT_DEVICE = 'tl-fans';
+const BRIGHTNESS_RANGE = [10, 100];
+const FORMATS = ['text', 'csv', 'json'];
+
+const HELP = `Usage: led-correct [options] [color...]
+
+Correct colors for LED fans. Colors are HEX (#FF6600, FF6600) or R,G,B.
+
+Options:
+  -d, --device <id>       Device to correct for; repeat or comma-separate for
+                          several (default ${DEFAULT_DEVICE}). Add :variant to
+                          pick how it's connected, e.g. corsair-ql:header
+  -b, --brightness <n>    Brightness in percent, ${BRIGHTNESS_RANGE[0]}-${BRIGHTNESS_RANGE[1]} (default 100)
+  -a, --algorithm <name>  Override the profile's algorithm: ${Object.keys(ALGORITHMS).join(', ')}
+  -i, --input <file>      Read colors from a CSV or JSON file ("-" for stdin)
+  -f, --format <format>   Output format: ${FORMATS.join(', ')} (default text)
+  -o, --output <file>     Write results to a file instead of stdout
+  -p, --profile <file>    Load an exported device profile (repeatable)
+  -l, --list-devices      List device ids and exit
+  -h, --help              Show this help
+
+Exits with status 1 on an invalid color, unknown device or bad option.`;
+
+/**
+ * Error for bad input, printed without a stack trace
+ */
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+// ===== Input =====
+
+/**
+ * Parse a color written as HEX or R,G,B
+ */
+function parseColor(text) {
+  const value = String(text).trim();
+  const rgb = hexToRgb(value);
+  if (rgb) return rgb;
+
+  const parts = value.replace(/^rgb\((.*)\)$/i, '$1').split(/[\s,]+/);
+  if (parts.length === 3 && parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    const [r, g, b] = parts.map(Number);
+    return { r, g, b };
+  }
+  throw new CliError(`Invalid color: "${value}"`);
+}
+
+/**
+ * Split one CSV line into fields, honouring double quotes
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Read colors from CSV: either a header with a color (or hex) column and an
+ * optional name column, or one color per line
+ */
+function parseCsv(text) {
+  const rows = text.split(/\r?\n/).filter((line) => line.trim() !== '').map(splitCsvLine);
+  if (!rows.length) return [];
+
+  const header = rows[0].map((field) => field.toLowerCase());
+  const colorColumn = header.findIndex((field) => field === 'color' || field === 'hex');
+  if (colorColumn === -1) {
+    // No header: a whole line is one color, so "255, 102, 0" works unquoted
+    return rows.map((fields) => ({ color: fields.join(',') }));
+  }
+
+  const nameColumn = header.indexOf('name');
+  return rows.slice(1).map((fields) => ({
+    name: nameColumn === -1 ? undefined : fields[nameColumn],
+    color: fields[colorColumn]
+  }));
+}
+
+/**
+ * Read colors from JSON: an array of color strings or { color, name } objects
+ */
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new CliError('Input is not valid JSON');
+  }
+  if (!Array.isArray(data)) {
+    throw new CliError('JSON input must be an array of colors');
+  }
+  return data.map((entry) => (typeof entry === 'object' && entry !== null
+    ? { name: entry.name, color: entry.color ?? entry.hex }
+    : { color: entry }));
+}
+
+/**
+ * Read a colors file, picking the parser from the extension or, for stdin,
+ * from the first character
+ */
+function readColorFile(file) {
+  let text;
+  try {
+    text = readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (err) {
+    throw new CliError(`Could not read ${file}: ${err.message}`);
+  }
+  const json = file === '-' ? /^\s*[[{]/.test(text) : /\.json$/i.test(file);
+  return json ? parseJson(text) : parseCsv(text);
+}
+
+/**
+ * Load an exported profile file and register it under its id
+ */
+function loadProfileFile(file) {
+  try {
+    const { id, profile } = importProfile(readFileSync(file, 'utf8'), { bases: DEVICE_PROFILES });
+    registerProfile(id, profile);
+  } catch (err) {
+    if (err instanceof ProfileValidationError) {
+      throw new CliError(`${file}: ${err.errors.join('; ')}`);
+    }
+    throw new CliError(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// ===== Output =====
+
+/**
+ * Format results as text, CSV or JSON
+ */
+function formatResults(results, format) {
+  if (format === 'json') {
+    return JSON.stringify(results, null, 2) + '\n';
+  }
+  if (format === 'csv') {
+    const header = 'name,color,device,brightness,hex,r,g,b';
+    const lines = results.map((result) => [
+      result.name, result.color, result.device, result.brightness,
+      result.hex, result.rgb.r, result.rgb.g, result.rgb.b
+    ].map(csvField).join(','));
+    return [header, ...lines].join('\n') + '\n';
+  }
+
+  const deviceWidth = Math.max(...results.map((result) => result.device.length));
+  return results.map((result) => [
+    result.name ? `${result.name} ${result.color}` : result.color,
+    result.device.padEnd(deviceWidth),
+    result.hex,
+    `${result.rgb.r}, ${result.rgb.g}, ${result.rgb.b}`
+  ].join('  ')).join('\n') + '\n';
+}
+
+/**
+ * Device ids and names, one per line, with each device's variants under it
+ */
+function formatDevices() {
+  const entries = Object.entries(DEVICE_PROFILES);
+  const width = Math.max(...entries.map(([id]) => id.length));
+  return entries.flatMap(([id, profile]) => [
+    `${id.padEnd(width)}  ${profile.name} (${profile.software})`,
+    ...getVariants(id).map((variant) => `  :${variant.id.padEnd(width - 3)}  ${variant.name}${variant.active ? ' (default)' : ''}`)
+  ]).join('\n') + '\n';
+}
+
+// ===== Main =====
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {string} Text to print
+ */
+function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        device: { type: 'string', short: 'd', multiple: true },
+        brightness: { type: 'string', short: 'b', default: '100' },
+        algorithm: { type: 'string', short: 'a' },
+        input: { type: 'string', short: 'i' },
+        format: { type: 'string', short: 'f', default: 'text' },
+        output: { type: 'string', short: 'o' },
+        profile: { type: 'string', short: 'p', multiple: true },
+        'list-devices': { type: 'boolean', short: 'l' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    throw new CliError(err.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) return HELP + '\n';
+  (values.profile || []).forEach(loadProfileFile);
+  if (values['list-devices']) return formatDevices();
+
+  const devices = (values.device || [DEFAULT_DEVICE]).flatMap((value) => value.split(',')).map((spec) => {
+    const [id, variant] = spec.trim().split(':');
+    return { spec: spec.trim(), id, variant };
+  });
+  const unknown = devices.filter(({ id, variant }) =>
+    !DEVICE_PROFILES[id] || (variant !== undefined && !getVariants(id).some((v) => v.id === variant)));
+  if (unknown.length) {
+    throw new CliError(`Unknown device: ${unknown.map(({ spec }) => spec).join(', ')} (see --list-devices)`);
+  }
+
+  const brightness = Number(values.brightness);
+  if (!Number.isInteger(brightness) || brightness < BRIGHTNESS_RANGE[0] || brightness > BRIGHTNESS_RANGE[1]) {
+    throw new CliError(`Brightness must be a whole number from ${BRIGHTNESS_RANGE[0]} to ${BRIGHTNESS_RANGE[1]}`);
+  }
+  if (values.algorithm && !ALGORITHMS[values.algorithm]) {
+    throw new CliError(`Unknown algorithm: ${values.algorithm} (use ${Object.keys(ALGORITHMS).join(' or ')})`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new CliError(`Unknown format: ${values.format} (use ${FORMATS.join(', ')})`);
+  }
+
+  const entries = [
+    ...positionals.map((color) => ({ color })),
+    ...(values.input ? readColorFile(values.input) : [])
+  ];
+  if (!entries.length) {
+    throw new CliError('No colors given (pass a color or --input, see --help)');
+  }
+
+  const results = entries.flatMap(({ name, color }) => {
+    const rgb = parseColor(color);
+    const target = rgbToHex(rgb.r, rgb.g, rgb.b);
+    return devices.map(({ spec, id, variant }) => {
+      const corrected = correct(rgb, id, { brightness, algorithm: values.algorithm, variant });
+      return {
+        ...(name ? { name } : {}),
+        color: target,
+        device: spec,
+        brightness,
+        hex: rgbToHex(corrected.r, corrected.g, corrected.b),
+        rgb: corrected
+      };
+    });
+  });
+
+  const output = formatResults(results, values.format);
+  if (values.output) {
+    try {
+      writeFileSync(values.output, output);
+    } catch (err) {
+      throw new CliError(`Could not write ${values.output}: ${err.message}`);
+    }
+    return '';
+  }
+  return output;
+}
+
+try {
+  process.stdout.write(run(process.argv.slice(2)));
+} catch (err) {
+  process.stderr.write(`led-correct: ${err instanceof CliError ? err.message : err.stack}\n`);
+  process.exitCode = 1;
+}
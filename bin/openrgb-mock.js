@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * LED Fan Color Corrector - mock OpenRGB server
+ * Answers the parts of the OpenRGB SDK protocol the bridge uses, with a few
+ * made-up controllers, and prints every color it is sent and every profile it
+ * is asked to save. Lets the bridge and the page's live mode be tried without
+ * OpenRGB or any hardware.
+ *
+ * Usage:
+ *   node bin/openrgb-mock.js
+ *   node bin/openrgb-mock.js --port 6800 --protocol 0
+ */
+
+import { createServer } from 'node:net';
+import { parseArgs } from 'node:util';
+import { rgbToHex } from '../correction.js';
+import {
+  OPENRGB_PORT,
+  CLIENT_PROTOCOL_VERSION,
+  PACKET,
+  encodePacket,
+  decodePackets
+} from '../openrgb-sdk.js';
+
+const HELP = `Usage: openrgb-mock [options]
+
+Pretend to be an OpenRGB SDK server with a few fake controllers.
+
+Options:
+  -p, --port <n>       Port to listen on (default ${OPENRGB_PORT})
+      --protocol <n>   Protocol version to report, 0-${CLIENT_PROTOCOL_VERSION} (default ${CLIENT_PROTOCOL_VERSION})
+  -h, --help           Show this help`;
+
+const CONTROLLERS = [
+  {
+    name: 'Lian Li Uni Hub - TL',
+    vendor: 'Lian Li',
+    zones: [{ name: 'Front fans', ledCount: 26 }, { name: 'Rear fan', ledCount: 13 }]
+  },
+  {
+    name: 'Corsair Commander Core',
+    vendor: 'Corsair',
+    zones: [{ name: 'QL fans', ledCount: 34 }]
+  },
+  {
+    name: 'ARGB Strip',
+    vendor: 'Generic',
+    zones: [{ name: 'Strip', ledCount: 60 }]
+  }
+];
+
+// Saved profile names, shared by every client like OpenRGB's profile list
+const profiles = [];
+
+/**
+ * Little-endian writer that grows as fields are added
+ */
+class Writer {
+  constructor() {
+    this.parts = [];
+  }
+
+  u16(value) {
+    const data = Buffer.alloc(2);
+    data.writeUInt16LE(value, 0);
+    this.parts.push(data);
+  }
+
+  u32(value) {
+    const data = Buffer.alloc(4);
+    data.writeUInt32LE(value, 0);
+    this.parts.push(data);
+  }
+
+  string(text) {
+    const data = Buffer.from(`${text}\0`, 'utf8');
+    this.u16(data.length);
+    this.parts.push(data);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.parts);
+  }
+}
+
+/**
+ * Reply data led by its own size, as controller data and profile lists are
+ */
+function withSize(body) {
+  const size = Buffer.alloc(4);
+  size.writeUInt32LE(body.length + 4, 0);
+  return Buffer.concat([size, body]);
+}
+
+/**
+ * REQUEST_CONTROLLER_DATA reply for a controller with one Direct mode
+ */
+function encodeController(controller, version) {
+  const ledCount = controller.zones.reduce((sum, zone) => sum + zone.ledCount, 0);
+  const writer = new Writer();
+  writer.u32(0); // device type: motherboard
+  writer.string(controller.name);
+  if (version >= 1) writer.string(controller.vendor);
+  writer.string(`${controller.name} (mock)`);
+  writer.string('1.0');
+  writer.string('MOCK');
+  writer.string('mock://openrgb');
+
+  writer.u16(1); // one mode
+  writer.u32(0); // active mode
+  writer.string('Direct');
+  [0, 0x20, 0, 0].forEach((value) => writer.u32(value)); // value, flags, speed min/max
+  if (version >= 3) [0, 0].forEach((value) => writer.u32(value));
+  [0, 0, 0].forEach((value) => writer.u32(value)); // colors min/max, speed
+  if (version >= 3) writer.u32(0);
+  [0, 1].forEach((value) => writer.u32(value)); // direction, color mode: per LED
+  writer.u16(0);
+
+  writer.u16(controller.zones.length);
+  controller.zones.forEach((zone) => {
+    writer.string(zone.name);
+    [1, zone.ledCount, zone.ledCount, zone.ledCount].forEach((value) => writer.u32(value));
+    writer.u16(0); // no matrix
+  });
+
+  writer.u16(ledCount);
+  controller.zones.forEach((zone) => {
+    for (let i = 0; i < zone.ledCount; i++) {
+      writer.string(`${zone.name} LED ${i + 1}`);
+      writer.u32(i);
+    }
+  });
+  writer.u16(ledCount);
+  writer.parts.push(Buffer.alloc(ledCount * 4));
+
+  return withSize(writer.toBuffer());
+}
+
+/**
+ * Describe an UPDATE_LEDS or UPDATE_ZONE_LEDS packet
+ */
+function describeUpdate(controller, packetId, data) {
+  const zoneBytes = packetId === PACKET.UPDATE_ZONE_LEDS ? 4 : 0;
+  const count = data.readUInt16LE(4 + zoneBytes);
+  const first = 6 + zoneBytes;
+  const color = count ? rgbToHex(data[first], data[first + 1], data[first + 2]) : 'nothing';
+  const target = zoneBytes ? `${controller.name} / ${controller.zones[data.readUInt32LE(4)]?.name}` : controller.name;
+  return `${target}: ${color} on ${count} LEDs`;
+}
+
+/**
+ * Answer one packet from a client
+ */
+function handlePacket(socket, state, { deviceIndex, packetId, data }) {
+  const controller = CONTROLLERS[deviceIndex];
+  switch (packetId) {
+    case PACKET.REQUEST_PROTOCOL_VERSION: {
+      // Servers before version 1 ignore this request
+      if (state.serverVersion === 0) return;
+      const client = data.length >= 4 ? data.readUInt32LE(0) : 0;
+      state.version = Math.min(client, state.serverVersion);
+      const reply = Buffer.alloc(4);
+      reply.writeUInt32LE(state.serverVersion, 0);
+      socket.write(encodePacket(0, packetId, reply));
+      return;
+    }
+    case PACKET.SET_CLIENT_NAME:
+      state.name = data.toString('utf8').replace(/\0.*$/s, '');
+      console.log(`Client connected: ${state.name}`);
+      return;
+    case PACKET.REQUEST_CONTROLLER_COUNT: {
+      const reply = Buffer.alloc(4);
+      reply.writeUInt32LE(CONTROLLERS.length, 0);
+      socket.write(encodePacket(0, packetId, reply));
+      return;
+    }
+    case PACKET.REQUEST_CONTROLLER_DATA:
+      if (controller) socket.write(encodePacket(deviceIndex, packetId, encodeController(controller, state.version)));
+      return;
+    case PACKET.SET_CUSTOM_MODE:
+      if (controller) console.log(`${controller.name}: direct mode`);
+      return;
+    case PACKET.UPDATE_LEDS:
+    case PACKET.UPDATE_ZONE_LEDS:
+      if (controller) console.log(describeUpdate(controller, packetId, data));
+      return;
+    case PACKET.REQUEST_PROFILE_LIST: {
+      // Profiles arrived in version 2; older servers ignore both requests
+      if (state.version < 2) return;
+      const writer = new Writer();
+      writer.u16(profiles.length);
+      profiles.forEach((name) => writer.string(name));
+      socket.write(encodePacket(0, packetId, withSize(writer.toBuffer())));
+      return;
+    }
+    case PACKET.REQUEST_SAVE_PROFILE: {
+      if (state.version < 2) return;
+      const name = data.toString('utf8').replace(/\0.*$/s, '');
+      if (!profiles.includes(name)) profiles.push(name);
+      console.log(`Saved profile: ${name}`);
+      return;
+    }
+    default:
+      console.log(`Ignoring packet ${packetId}`);
+  }
+}
+
+let parsed;
+try {
+  parsed = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: String(OPENRGB_PORT) },
+      protocol: { type: 'string', default: String(CLIENT_PROTOCOL_VERSION) },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+} catch (err) {
+  console.error(`openrgb-mock: ${err.message}`);
+  process.exit(1);
+}
+
+const { values } = parsed;
+const serverVersion = Number(values.protocol);
+if (values.help) {
+  console.log(HELP);
+} else if (!Number.isInteger(serverVersion) || serverVersion < 0 || serverVersion > CLIENT_PROTOCOL_VERSION) {
+  console.error(`openrgb-mock: protocol must be 0-${CLIENT_PROTOCOL_VERSION}`);
+  process.exitCode = 1;
+} else {
+  const server = createServer((socket) => {
+    const state = { serverVersion, version: 0, name: 'unnamed client' };
+    let received = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      try {
+        const { packets, rest } = decodePackets(Buffer.concat([received, chunk]));
+        received = rest;
+        packets.forEach((packet) => handlePacket(socket, state, packet));
+      } catch (err) {
+        console.error(`Dropping client: ${err.message}`);
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => console.log(`Client disconnected: ${state.name}`));
+  });
+
+  server.on('error', (err) => {
+    console.error(`openrgb-mock: ${err.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(Number(values.port), '127.0.0.1', () => {
+    console.log(`Mock OpenRGB server (protocol ${serverVersion}) on 127.0.0.1:${server.address().port}`);
+  });
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * LED Fan Color Corrector - mock WLED board
+ * Answers the parts of WLED's JSON API the bridge uses and listens for E1.31
+ * (sACN) like a real board, printing every color it receives. Lets the WLED
+ * and E1.31 outputs be tried without an ESP32 or a pixel controller.
+ *
+ * Usage:
+ *   node bin/wled-mock.js
+ *   node bin/wled-mock.js --port 8080 --e131-port 5568 --leds 120
+ */
+
+import { createServer } from 'node:http';
+import { createSocket } from 'node:dgram';
+import { parseArgs } from 'node:util';
+import { rgbToHex } from '../correction.js';
+import { E131_PORT, multicastAddress } from '../e131.js';
+
+const HELP = `Usage: wled-mock [options]
+
+Pretend to be a WLED board on 127.0.0.1.
+
+Options:
+  -p, --port <n>       HTTP port for the JSON API (default 8080)
+      --e131-port <n>  UDP port to listen for E1.31 on (default ${E131_PORT})
+      --universe <n>   Universe whose multicast group to join (default 1)
+      --leds <n>       LED count to report (default 60)
+  -h, --help           Show this help`;
+
+const E131_IDENTIFIER = 'ASC-E1.17';
+const E131_DATA_OFFSET = 126;
+const E131_STREAM_TERMINATED = 0x40;
+
+// ===== JSON API =====
+
+/**
+ * Handle one JSON API request
+ */
+function handleRequest(board, request, response) {
+  const send = (status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+
+  if (request.method === 'GET' && request.url === '/json/info') {
+    send(200, { ver: '0.14.0-mock', name: 'WLED Mock', leds: { count: board.ledCount } });
+  } else if (request.method === 'GET' && request.url === '/json/state') {
+    send(200, board.state);
+  } else if (request.method === 'POST' && request.url === '/json/state') {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      let update;
+      try {
+        update = JSON.parse(body);
+      } catch (err) {
+        send(400, { error: 9 });
+        return;
+      }
+      Object.assign(board.state, update);
+      const [color] = update.seg?.col || [];
+      if (color) {
+        console.log(`WLED: ${rgbToHex(color[0], color[1], color[2])} at brightness ${board.state.bri}`);
+      }
+      send(200, { success: true });
+    });
+  } else {
+    send(404, { error: 'Not implemented in the mock' });
+  }
+}
+
+// ===== E1.31 =====
+
+/**
+ * Describe an E1.31 data packet, or null if it isn't one
+ */
+function describeE131(packet) {
+  if (packet.length < E131_DATA_OFFSET || packet.toString('ascii', 4, 13) !== E131_IDENTIFIER) {
+    return null;
+  }
+  const universe = packet.readUInt16BE(113);
+  if (packet[112] & E131_STREAM_TERMINATED) {
+    return `E1.31 universe ${universe}: stream ended`;
+  }
+  const values = packet.readUInt16BE(123) - 1;
+  const pixels = Math.floor(values / 3);
+  if (!pixels) return `E1.31 universe ${universe}: no pixels`;
+  const last = E131_DATA_OFFSET + values - 3;
+  return `E1.31 universe ${universe}: ${rgbToHex(packet[last], packet[last + 1], packet[last + 2])} ` +
+    `up to pixel ${pixels} (${values} channels)`;
+}
+
+let parsed;
+try {
+  parsed = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: '8080' },
+      'e131-port': { type: 'string', default: String(E131_PORT) },
+      universe: { type: 'string', default: '1' },
+      leds: { type: 'string', default: '60' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+} catch (err) {
+  console.error(`wled-mock: ${err.message}`);
+  process.exit(1);
+}
+
+const { values } = parsed;
+if (values.help) {
+  console.log(HELP);
+} else {
+  const board = { ledCount: Number(values.leds), state: { on: false, bri: 128, seg: [{ fx: 0, col: [[255, 160, 0]] }] } };
+  const server = createServer((request, response) => handleRequest(board, request, response));
+  server.on('error', (err) => {
+    console.error(`wled-mock: ${err.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(Number(values.port), '127.0.0.1', () => {
+    console.log(`Mock WLED board on http://127.0.0.1:${server.address().port}`);
+  });
+
+  // Keep-alive frames repeat the last one, so only changes are printed
+  let lastMessage = '';
+  const receiver = createSocket({ type: 'udp4', reuseAddr: true });
+  receiver.on('message', (packet) => {
+    const message = describeE131(packet);
+    if (message && message !== lastMessage) {
+      console.log(message);
+      lastMessage = message;
+    }
+  });
+  receiver.on('error', (err) => {
+    console.error(`wled-mock: E1.31 ${err.message}`);
+    receiver.close();
+  });
+  receiver.bind(Number(values['e131-port']), () => {
+    try {
+      receiver.addMembership(multicastAddress(Number(values.universe)));
+    } catch (err) {
+      // No multicast route (e.g. offline); unicast still works
+    }
+    console.log(`Listening for E1.31 on UDP port ${receiver.address().port}`);
+  });
+}
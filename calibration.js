@@ -0,0 +1,283 @@
+/**
+ * LED Fan Color Corrector - profile fitting
+ * Builds a device profile from calibration samples: pairs of the value sent
+ * to the LEDs and the color they were observed to show, matched by eye or
+ * sampled from photos of the lit fans.
+ */
+
+import { rgbToHsl, hslToRgb, correctColor, wrapHue, hueDelta } from './correction.js';
+import { PROFILE_LIMITS } from './profile-io.js';
+
+// ===== Calibration Colors =====
+// Test colors sent to the device, spread around the hue wheel with extra
+// stops in the warm hues where LEDs drift the most
+export const CALIBRATION_HUES = [0, 20, 35, 55, 90, 120, 180, 220, 250, 280, 320];
+
+export const CALIBRATION_COLORS = CALIBRATION_HUES.map((hue) => hslToRgb(hue, 100, 50));
+
+// Bounds for fitted parameters, matching what profile files may contain
+const FIT_LIMITS = {
+  multiplier: PROFILE_LIMITS.multiplier,
+  hueShift: PROFILE_LIMITS.hueShift,
+  saturationBoost: PROFILE_LIMITS.saturationBoost
+};
+
+// Samples with less saturation than this carry no usable hue information
+const MIN_SAMPLE_SATURATION = 15;
+
+// Coordinate descent settings
+const FIT_PASSES = 6;
+const FIT_STEPS = { multiplier: 0.08, hueShift: 4, saturationBoost: 0.08 };
+
+// Photo sampling: the brightest part of a marked region is taken as the lit
+// LEDs (the rest is frame, blades and background), skipping highlights the
+// camera blew out to white
+const LED_PIXEL_SHARE = 0.4;
+const CLIPPED_LEVEL = 250;
+
+// ===== Helpers =====
+
+/**
+ * Clamp a value into a [min, max] pair
+ */
+function clampTo(value, [min, max]) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Ratio of a sent channel to an observed one, or 1 when the observed
+ * channel is too dim to tell
+ */
+function channelRatio(sent, observed) {
+  return observed >= 16 ? sent / observed : 1;
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Squared RGB error of a profile against one sample
+ */
+function sampleError(profile, sample) {
+  const corrected = correctColor(sample.observed, profile);
+  return (corrected.r - sample.sent.r) ** 2 +
+    (corrected.g - sample.sent.g) ** 2 +
+    (corrected.b - sample.sent.b) ** 2;
+}
+
+/**
+ * Total squared error of a profile against all samples
+ */
+function totalError(profile, samples) {
+  return samples.reduce((sum, sample) => sum + sampleError(profile, sample), 0);
+}
+
+// ===== Initial Estimates =====
+
+/**
+ * Direct per-sample estimate of the correction the sample asks for
+ */
+function estimateSample(sample) {
+  const observedHsl = rgbToHsl(sample.observed.r, sample.observed.g, sample.observed.b);
+  const sentHsl = rgbToHsl(sample.sent.r, sample.sent.g, sample.sent.b);
+
+  return {
+    hue: observedHsl.h,
+    saturation: observedHsl.s,
+    greenMultiplier: clampTo(channelRatio(sample.sent.g, sample.observed.g), FIT_LIMITS.multiplier),
+    blueMultiplier: clampTo(channelRatio(sample.sent.b, sample.observed.b), FIT_LIMITS.multiplier),
+    hueShift: clampTo(hueDelta(observedHsl.h, sentHsl.h), FIT_LIMITS.hueShift),
+    saturationRatio: observedHsl.s > 0 ? sentHsl.s / observedHsl.s : 1
+  };
+}
+
+/**
+ * Split the wheel into one hueCorrections range per sample hue, with each
+ * boundary halfway between neighbouring samples
+ */
+function buildRanges(estimates) {
+  const sorted = [...estimates].sort((a, b) => a.hue - b.hue);
+  return sorted.map((estimate, i) => {
+    const prev = sorted[(i - 1 + sorted.length) % sorted.length];
+    const next = sorted[(i + 1) % sorted.length];
+    const start = sorted.length === 1 ? 0 : wrapHue(prev.hue + wrapHue(estimate.hue - prev.hue) / 2);
+    const end = sorted.length === 1 ? 360 : wrapHue(estimate.hue + wrapHue(next.hue - estimate.hue) / 2);
+
+    return {
+      range: [Math.round(start), Math.round(end)],
+      greenMultiplier: estimate.greenMultiplier,
+      blueMultiplier: estimate.blueMultiplier,
+      hueShift: estimate.hueShift
+    };
+  });
+}
+
+// ===== Photo Samples =====
+
+/**
+ * Average color of the lit LEDs inside a region of a photo
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA
+ *   pixels, e.g. ImageData
+ * @param {{x: number, y: number, width: number, height: number}} region - Area
+ *   around the LEDs, in image pixels
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function sampleLedColor(image, region) {
+  const left = Math.max(0, Math.floor(region.x));
+  const top = Math.max(0, Math.floor(region.y));
+  const right = Math.min(image.width, Math.ceil(region.x + region.width));
+  const bottom = Math.min(image.height, Math.ceil(region.y + region.height));
+
+  const pixels = [];
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const i = (y * image.width + x) * 4;
+      const pixel = { r: image.data[i], g: image.data[i + 1], b: image.data[i + 2] };
+      if (Math.min(pixel.r, pixel.g, pixel.b) < CLIPPED_LEVEL) {
+        pixels.push(pixel);
+      }
+    }
+  }
+  if (!pixels.length) {
+    throw new Error('The marked area has no usable pixels');
+  }
+
+  const brightness = (p) => Math.max(p.r, p.g, p.b);
+  const lit = pixels
+    .sort((a, b) => brightness(b) - brightness(a))
+    .slice(0, Math.max(1, Math.round(pixels.length * LED_PIXEL_SHARE)));
+
+  return {
+    r: Math.round(lit.reduce((sum, p) => sum + p.r, 0) / lit.length),
+    g: Math.round(lit.reduce((sum, p) => sum + p.g, 0) / lit.length),
+    b: Math.round(lit.reduce((sum, p) => sum + p.b, 0) / lit.length)
+  };
+}
+
+/**
+ * Calibration sample from a photo of the device showing a known value.
+ * Photo exposure is arbitrary, so the observed color is scaled to the same
+ * peak as the value sent and only its balance between channels counts.
+ * @returns {{sent: {r, g, b}, observed: {r, g, b}}}
+ */
+export function photoSample(image, region, sent) {
+  const sampled = sampleLedColor(image, region);
+  const peak = Math.max(sampled.r, sampled.g, sampled.b);
+  const scale = peak > 0 ? Math.max(sent.r, sent.g, sent.b) / peak : 0;
+
+  return {
+    sent,
+    observed: {
+      r: Math.round(sampled.r * scale),
+      g: Math.round(sampled.g * scale),
+      b: Math.round(sampled.b * scale)
+    }
+  };
+}
+
+// ===== Fitting =====
+
+/**
+ * Nudge one numeric field up and down, keeping whichever lowers the error
+ */
+function refineField(profile, target, key, step, limits, samples, currentError) {
+  let best = currentError;
+  for (const direction of [1, -1]) {
+    const original = target[key];
+    target[key] = clampTo(original + step * direction, limits);
+    const error = totalError(profile, samples);
+    if (error < best) {
+      best = error;
+    } else {
+      target[key] = original;
+    }
+  }
+  return best;
+}
+
+/**
+ * Round fitted values so saved profiles stay readable
+ */
+function roundProfile(profile) {
+  const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+  return {
+    ...profile,
+    greenReduction: round(profile.greenReduction, 2),
+    blueReduction: round(profile.blueReduction, 2),
+    saturationBoost: round(profile.saturationBoost, 2),
+    hueShift: Math.round(profile.hueShift),
+    hueCorrections: profile.hueCorrections.map((correction) => ({
+      range: correction.range,
+      greenMultiplier: round(correction.greenMultiplier, 2),
+      blueMultiplier: round(correction.blueMultiplier, 2),
+      hueShift: Math.round(correction.hueShift)
+    }))
+  };
+}
+
+/**
+ * Fit a device profile to calibration samples
+ * @param {Array<{sent: {r, g, b}, observed: {r, g, b}}>} samples - Value sent
+ *   to the LEDs and the color they showed
+ * @param {{name?: string, brand?: string, software?: string}} [details] - Profile metadata
+ * @returns {{profile: object, errors: Array<{hue: number, error: number}>}}
+ *   The fitted profile and the remaining RGB error for each sample hue
+ */
+export function fitProfile(samples, { name = 'Custom Device', brand = 'custom', software = 'your RGB software' } = {}) {
+  const usable = samples.filter((sample) => {
+    const hsl = rgbToHsl(sample.observed.r, sample.observed.g, sample.observed.b);
+    return hsl.s >= MIN_SAMPLE_SATURATION;
+  });
+  if (usable.length < 3) {
+    throw new Error('At least 3 colored samples are needed to fit a profile');
+  }
+
+  const estimates = usable.map(estimateSample);
+
+  // Warm samples (red/orange) set the base green reduction and hue shift,
+  // cool samples (blue/purple) the base blue reduction
+  const warm = estimates.filter((e) => e.hue <= 45 || e.hue >= 330);
+  const cool = estimates.filter((e) => e.hue >= 200 && e.hue <= 340);
+
+  const profile = {
+    name,
+    brand,
+    software,
+    custom: true,
+    greenReduction: warm.length ? clampTo(median(warm.map((e) => e.greenMultiplier)), FIT_LIMITS.multiplier) : 1,
+    hueShift: warm.length ? median(warm.map((e) => e.hueShift)) : 0,
+    saturationBoost: clampTo(median(estimates.map((e) => e.saturationRatio)), FIT_LIMITS.saturationBoost),
+    blueReduction: cool.length ? clampTo(median(cool.map((e) => e.blueMultiplier)), FIT_LIMITS.multiplier) : 1,
+    hueCorrections: buildRanges(estimates)
+  };
+
+  // Coordinate descent with shrinking steps on the parameters that drive the output
+  let error = totalError(profile, usable);
+  for (let pass = 0; pass < FIT_PASSES; pass++) {
+    const scale = 1 / (pass + 1);
+    error = refineField(profile, profile, 'saturationBoost', FIT_STEPS.saturationBoost * scale,
+      FIT_LIMITS.saturationBoost, usable, error);
+    for (const correction of profile.hueCorrections) {
+      error = refineField(profile, correction, 'greenMultiplier', FIT_STEPS.multiplier * scale,
+        FIT_LIMITS.multiplier, usable, error);
+      error = refineField(profile, correction, 'blueMultiplier', FIT_STEPS.multiplier * scale,
+        FIT_LIMITS.multiplier, usable, error);
+      error = refineField(profile, correction, 'hueShift', FIT_STEPS.hueShift * scale,
+        FIT_LIMITS.hueShift, usable, error);
+    }
+  }
+
+  const fitted = roundProfile(profile);
+  const errors = usable.map((sample, i) => ({
+    hue: estimates[i].hue,
+    error: Math.round(Math.sqrt(sampleError(fitted, sample) / 3) * 10) / 10
+  }));
+
+  return { profile: fitted, errors };
+}
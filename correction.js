@@ -0,0 +1,1444 @@
+/**
+ * LED Fan Color Corrector - correction engine
+ * Device profiles and color math, with no DOM dependencies so the page,
+ * Node scripts and tools can all share it.
+ *
+ * Usage:
+ *   import { correct } from './correction.js';
+ *   correct({ r: 255, g: 102, b: 0 }, 'tl-fans', { brightness: 60 });
+ *   // => { r, g, b } to enter in the device's control software
+ *   simulate({ r: 255, g: 34, b: 0 }, 'tl-fans');
+ *   // => { r, g, b } the fans should show for that value
+ */
+
+// ===== Brands =====
+// Display names for brand tabs, in the order the tabs appear
+export const BRANDS = {
+  lianli: 'Lian Li',
+  corsair: 'Corsair',
+  nzxt: 'NZXT',
+  coolermaster: 'Cooler Master',
+  diy: 'DIY',
+  custom: 'Custom'
+};
+
+// ===== Device Profiles =====
+
+// Motherboard ARGB headers drive Corsair fans linearly, without iCUE's
+// dimming curve, whichever fan is attached
+const ARGB_HEADER_RESPONSE = {
+  gamma: 1,
+  hueShifts: [
+    { brightness: 10, hueShift: -9 },
+    { brightness: 30, hueShift: -4 },
+    { brightness: 100, hueShift: 0 }
+  ]
+};
+
+// Each device has different LED characteristics and needs different corrections.
+// model, description and icon fill in the device's button on the page.
+// whiteBalance scales each channel so whites come out neutral on the device.
+// brightnessResponse describes how the LEDs dim: gamma is how light output
+// follows the drive level (1 = linear), and hueShifts is the extra hue
+// correction needed at each brightness, interpolated between points.
+// algorithm ('hsl' or 'oklab', see ALGORITHMS) picks how corrections are applied.
+// hueCorrections ranges are [start, end] in degrees, clockwise, and may cross
+// 0° (e.g. [345, 15]); neighbouring ranges blend into each other at the edges.
+// zones names parts of a device that light differently (e.g. a fan's hub and
+// frame), in display order. A zone can set any of the correction fields
+// above; the ones it leaves out come from the device.
+// variants are ways of driving the device that change its colors (e.g. a
+// vendor hub or a motherboard ARGB header), set like zones; variant picks
+// the one in use and defaults to the first.
+// extends names another profile to start from: every field of that one
+// except algorithm and variant applies unless the profile sets it (see
+// resolveProfile).
+export const DEVICE_PROFILES = {
+  // ===== Lian Li =====
+  'tl-fans': {
+    name: 'Lian Li TL Fans',
+    model: 'TL Fans',
+    description: 'UNI FAN TL series',
+    icon: '🌀',
+    brand: 'lianli',
+    software: 'L-Connect',
+    greenReduction: 0.85,
+    hueShift: -8,
+    saturationBoost: 1.15,
+    blueReduction: 0.7,
+    whiteBalance: { r: 1, g: 0.86, b: 0.9 },
+    brightnessResponse: {
+      gamma: 1.1,
+      hueShifts: [
+        { brightness: 10, hueShift: -8 },
+        { brightness: 30, hueShift: -4 },
+        { brightness: 60, hueShift: -1 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.08, hueShift: -10 },  // Orange
+      { range: [45, 65], greenMultiplier: 0.15, hueShift: -5 },   // Yellow
+      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },   // Purple
+      { range: [170, 200], greenMultiplier: 0.9, hueShift: 3 },   // Teal/Cyan
+    ],
+    variants: {
+      hub: { name: 'Via L-Connect hub' },
+      // In motherboard sync mode the hub passes the header's signal straight
+      // through, skipping L-Connect's color calibration
+      header: {
+        name: 'Via motherboard ARGB sync',
+        greenReduction: 0.8,
+        hueShift: -10,
+        whiteBalance: { r: 1, g: 0.8, b: 0.86 },
+        brightnessResponse: {
+          gamma: 1,
+          hueShifts: [
+            { brightness: 10, hueShift: -9 },
+            { brightness: 30, hueShift: -5 },
+            { brightness: 100, hueShift: 0 }
+          ]
+        }
+      }
+    },
+    zones: {
+      inner: { name: 'Inner hub' },
+      // The frame's light guide is thinner and greener than the hub diffuser
+      outer: {
+        name: 'Outer frame',
+        greenReduction: 0.8,
+        hueShift: -10,
+        saturationBoost: 1.2,
+        hueCorrections: [
+          { range: [15, 45], greenMultiplier: 0.05, hueShift: -12 },
+          { range: [45, 65], greenMultiplier: 0.12, hueShift: -6 },
+          { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
+          { range: [170, 200], greenMultiplier: 0.86, hueShift: 4 },
+        ]
+      }
+    }
+  },
+  'strimer': {
+    name: 'Lian Li Strimer',
+    model: 'Strimer',
+    description: 'Strimer Plus cables',
+    icon: '⚡',
+    brand: 'lianli',
+    software: 'L-Connect',
+    greenReduction: 0.80,
+    hueShift: -10,
+    saturationBoost: 1.2,
+    blueReduction: 0.65,
+    whiteBalance: { r: 1, g: 0.82, b: 0.88 },
+    brightnessResponse: {
+      gamma: 1.2,
+      hueShifts: [
+        { brightness: 10, hueShift: -9 },
+        { brightness: 25, hueShift: -4 },
+        { brightness: 40, hueShift: 0 },
+        { brightness: 70, hueShift: -2 },
+        { brightness: 100, hueShift: -4 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.10, hueShift: -12 },
+      { range: [45, 65], greenMultiplier: 0.18, hueShift: -6 },
+      { range: [270, 300], blueMultiplier: 0.82, hueShift: 6 },
+      { range: [170, 200], greenMultiplier: 0.88, hueShift: 4 },
+    ],
+    zones: {
+      center: { name: 'Center strips' },
+      // The outer strips sit closest to the sleeve seam and lose more blue
+      edge: { name: 'Edge strips', greenReduction: 0.78, blueReduction: 0.6, hueShift: -11 }
+    }
+  },
+  'sl-fans': {
+    name: 'Lian Li SL Fans',
+    model: 'SL Fans',
+    description: 'UNI FAN SL series',
+    icon: '💨',
+    brand: 'lianli',
+    software: 'L-Connect',
+    greenReduction: 0.88,
+    hueShift: -6,
+    saturationBoost: 1.1,
+    blueReduction: 0.75,
+    whiteBalance: { r: 1, g: 0.88, b: 0.92 },
+    brightnessResponse: {
+      gamma: 1.1,
+      hueShifts: [
+        { brightness: 10, hueShift: -6 },
+        { brightness: 30, hueShift: -3 },
+        { brightness: 60, hueShift: -1 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.12, hueShift: -8 },
+      { range: [45, 65], greenMultiplier: 0.20, hueShift: -4 },
+      { range: [270, 300], blueMultiplier: 0.88, hueShift: 4 },
+      { range: [170, 200], greenMultiplier: 0.92, hueShift: 2 },
+    ]
+  },
+
+  // ===== Corsair =====
+  'corsair-ql': {
+    name: 'Corsair QL Fans',
+    model: 'QL Fans',
+    description: 'QL RGB series',
+    icon: '🌀',
+    brand: 'corsair',
+    software: 'iCUE',
+    greenReduction: 0.73, // QL fans need more green reduction for orange
+    hueShift: -12,
+    saturationBoost: 1.2,
+    blueReduction: 0.7,
+    whiteBalance: { r: 1, g: 0.8, b: 0.9 },
+    brightnessResponse: {
+      gamma: 1.15,
+      hueShifts: [
+        { brightness: 10, hueShift: -7 },
+        { brightness: 30, hueShift: -3 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.09, hueShift: -15 },  // Orange - R255 G24 B0 works
+      { range: [45, 65], greenMultiplier: 0.12, hueShift: -8 },
+      { range: [270, 300], blueMultiplier: 0.80, hueShift: 8 },
+      { range: [170, 200], greenMultiplier: 0.85, hueShift: 5 },
+    ],
+    variants: {
+      commander: { name: 'Via Commander Pro / Core' },
+      header: {
+        name: 'Via motherboard ARGB header',
+        greenReduction: 0.7,
+        hueShift: -14,
+        whiteBalance: { r: 1, g: 0.76, b: 0.86 },
+        brightnessResponse: ARGB_HEADER_RESPONSE
+      }
+    }
+  },
+  // Same iCUE dimming as the QL fans; the LL rings are a little less green
+  'corsair-ll': {
+    extends: 'corsair-ql',
+    name: 'Corsair LL Fans',
+    model: 'LL Fans',
+    description: 'LL RGB series',
+    icon: '💫',
+    greenReduction: 0.78,
+    hueShift: -10,
+    saturationBoost: 1.15,
+    blueReduction: 0.72,
+    whiteBalance: { r: 1, g: 0.84, b: 0.9 },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.10, hueShift: -12 },
+      { range: [45, 65], greenMultiplier: 0.15, hueShift: -6 },
+      { range: [270, 300], blueMultiplier: 0.82, hueShift: 6 },
+      { range: [170, 200], greenMultiplier: 0.88, hueShift: 4 },
+    ],
+    variants: {
+      commander: { name: 'Via Commander Pro / Core' },
+      header: {
+        name: 'Via motherboard ARGB header',
+        greenReduction: 0.74,
+        hueShift: -12,
+        whiteBalance: { r: 1, g: 0.8, b: 0.86 },
+        brightnessResponse: ARGB_HEADER_RESPONSE
+      }
+    }
+  },
+  'corsair-sp': {
+    name: 'Corsair SP/ML Fans',
+    model: 'SP/ML Fans',
+    description: 'SP/ML Elite series',
+    icon: '🔄',
+    brand: 'corsair',
+    software: 'iCUE',
+    greenReduction: 0.80,
+    hueShift: -8,
+    saturationBoost: 1.1,
+    blueReduction: 0.75,
+    whiteBalance: { r: 1, g: 0.86, b: 0.92 },
+    brightnessResponse: {
+      gamma: 1.05,
+      hueShifts: [
+        { brightness: 10, hueShift: -5 },
+        { brightness: 40, hueShift: -1 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.27, hueShift: -10 },  // Based on #FF4500 suggestion
+      { range: [45, 65], greenMultiplier: 0.18, hueShift: -5 },
+      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
+      { range: [170, 200], greenMultiplier: 0.90, hueShift: 3 },
+    ]
+  },
+
+  // ===== NZXT =====
+  'nzxt-aer': {
+    name: 'NZXT Aer RGB',
+    model: 'Aer RGB',
+    description: 'Aer RGB 2 fans',
+    icon: '🌀',
+    brand: 'nzxt',
+    software: 'CAM',
+    greenReduction: 0.82,
+    hueShift: -8,
+    saturationBoost: 1.15,
+    blueReduction: 0.70,
+    whiteBalance: { r: 0.95, g: 0.85, b: 0.9 },
+    brightnessResponse: {
+      gamma: 1.1,
+      hueShifts: [
+        { brightness: 10, hueShift: -6 },
+        { brightness: 35, hueShift: -2 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.05, hueShift: -12 },  // Yellow→orange issue
+      { range: [45, 65], greenMultiplier: 0.10, hueShift: -8 },
+      { range: [270, 300], blueMultiplier: 0.80, hueShift: 8 },
+      { range: [170, 200], greenMultiplier: 0.85, hueShift: 5 },
+    ]
+  },
+  'nzxt-kraken': {
+    name: 'NZXT Kraken',
+    model: 'Kraken',
+    description: 'Kraken AIO coolers',
+    icon: '🐙',
+    brand: 'nzxt',
+    software: 'CAM',
+    greenReduction: 0.80,
+    hueShift: -10,
+    saturationBoost: 1.2,
+    blueReduction: 0.68,
+    whiteBalance: { r: 0.92, g: 0.84, b: 0.88 },
+    brightnessResponse: {
+      gamma: 1.2,
+      hueShifts: [
+        { brightness: 10, hueShift: -8 },
+        { brightness: 30, hueShift: -3 },
+        { brightness: 70, hueShift: -1 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.02, hueShift: -15 },  // Red appears orange issue
+      { range: [45, 65], greenMultiplier: 0.08, hueShift: -10 },
+      { range: [270, 300], blueMultiplier: 0.78, hueShift: 10 },
+      { range: [170, 200], greenMultiplier: 0.82, hueShift: 6 },
+    ]
+  },
+  'nzxt-hue': {
+    name: 'NZXT Hue 2',
+    model: 'Hue 2',
+    description: 'LED strips',
+    icon: '💡',
+    brand: 'nzxt',
+    software: 'CAM',
+    greenReduction: 0.85,
+    hueShift: -6,
+    saturationBoost: 1.1,
+    blueReduction: 0.75,
+    whiteBalance: { r: 1, g: 0.88, b: 0.92 },
+    brightnessResponse: {
+      gamma: 1.05,
+      hueShifts: [
+        { brightness: 10, hueShift: -5 },
+        { brightness: 40, hueShift: -1 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.08, hueShift: -10 },
+      { range: [45, 65], greenMultiplier: 0.12, hueShift: -6 },
+      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
+      { range: [170, 200], greenMultiplier: 0.88, hueShift: 4 },
+    ]
+  },
+
+  // ===== Cooler Master =====
+  'cm-masterfan': {
+    name: 'CM MasterFan',
+    model: 'MasterFan',
+    description: 'MasterFan ARGB',
+    icon: '🌀',
+    brand: 'coolermaster',
+    software: 'MasterPlus+',
+    greenReduction: 0.85,
+    hueShift: -5,
+    saturationBoost: 1.1,
+    blueReduction: 0.78,
+    whiteBalance: { r: 0.82, g: 0.9, b: 1 },
+    // CM has orange tint on white issue - whiteBalance reduces red for whites
+    brightnessResponse: {
+      gamma: 1.1,
+      hueShifts: [
+        { brightness: 10, hueShift: 6 },
+        { brightness: 35, hueShift: 2 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.15, hueShift: -8 },
+      { range: [45, 65], greenMultiplier: 0.20, hueShift: -4 },
+      { range: [270, 300], blueMultiplier: 0.88, hueShift: 4 },
+      { range: [170, 200], greenMultiplier: 0.90, hueShift: 2 },
+    ]
+  },
+  'cm-sickleflow': {
+    name: 'CM SickleFlow',
+    model: 'SickleFlow',
+    description: 'SickleFlow ARGB',
+    icon: '💨',
+    brand: 'coolermaster',
+    software: 'MasterPlus+',
+    greenReduction: 0.82,
+    hueShift: -7,
+    saturationBoost: 1.15,
+    blueReduction: 0.75,
+    whiteBalance: { r: 0.86, g: 0.9, b: 1 },
+    brightnessResponse: {
+      gamma: 1.1,
+      hueShifts: [
+        { brightness: 10, hueShift: 5 },
+        { brightness: 35, hueShift: 2 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.12, hueShift: -10 },
+      { range: [45, 65], greenMultiplier: 0.18, hueShift: -5 },
+      { range: [270, 300], blueMultiplier: 0.85, hueShift: 5 },
+      { range: [170, 200], greenMultiplier: 0.88, hueShift: 3 },
+    ]
+  },
+  'cm-halos': {
+    name: 'CM MasterFan Halo',
+    model: 'MasterFan Halo',
+    description: 'Halo ARGB ring',
+    icon: '⭕',
+    brand: 'coolermaster',
+    software: 'MasterPlus+',
+    greenReduction: 0.80,
+    hueShift: -8,
+    saturationBoost: 1.2,
+    blueReduction: 0.72,
+    whiteBalance: { r: 0.84, g: 0.88, b: 1 },
+    brightnessResponse: {
+      gamma: 1.15,
+      hueShifts: [
+        { brightness: 10, hueShift: 7 },
+        { brightness: 30, hueShift: 3 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.10, hueShift: -12 },
+      { range: [45, 65], greenMultiplier: 0.15, hueShift: -6 },
+      { range: [270, 300], blueMultiplier: 0.82, hueShift: 6 },
+      { range: [170, 200], greenMultiplier: 0.85, hueShift: 4 },
+    ],
+    zones: {
+      inner: { name: 'Inner ring' },
+      // The outer ring is lit edge-on and warms up more as it dims
+      outer: {
+        name: 'Outer ring',
+        greenReduction: 0.77,
+        hueShift: -10,
+        brightnessResponse: {
+          gamma: 1.2,
+          hueShifts: [
+            { brightness: 10, hueShift: 9 },
+            { brightness: 30, hueShift: 4 },
+            { brightness: 100, hueShift: 0 }
+          ]
+        }
+      }
+    }
+  },
+
+  // ===== DIY =====
+  // Bare WS2812B strips on an ARGB header, WLED board or E1.31 pixel controller.
+  // Their green and blue dies run much hotter than red (the usual strip
+  // correction is about FFB0F0), and output follows the PWM value linearly.
+  'diy-ws2812': {
+    name: 'DIY WS2812 Strip',
+    model: 'WS2812 Strip',
+    description: 'WS2812B on WLED / E1.31',
+    icon: '🔧',
+    brand: 'diy',
+    software: 'WLED',
+    greenReduction: 0.69,
+    hueShift: -4,
+    saturationBoost: 1.05,
+    blueReduction: 0.94,
+    whiteBalance: { r: 1, g: 0.69, b: 0.94 },
+    brightnessResponse: {
+      gamma: 1,
+      hueShifts: [
+        { brightness: 10, hueShift: -5 },
+        { brightness: 30, hueShift: -2 },
+        { brightness: 100, hueShift: 0 }
+      ]
+    },
+    hueCorrections: [
+      { range: [15, 45], greenMultiplier: 0.10, hueShift: -8 },
+      { range: [45, 65], greenMultiplier: 0.18, hueShift: -4 },
+      { range: [270, 300], blueMultiplier: 0.9, hueShift: 3 },
+      { range: [170, 200], greenMultiplier: 0.85, hueShift: 2 },
+    ]
+  }
+};
+
+// ===== Color Utility Functions =====
+
+/**
+ * Convert RGB to HSL
+ */
+export function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h, s, l = (max + min) / 2;
+
+  if (max === min) {
+    h = s = 0;
+  } else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+    switch (max) {
+      case r:
+        h = ((g - b) / d + (g < b ? 6 : 0)) / 6;
+        break;
+      case g:
+        h = ((b - r) / d + 2) / 6;
+        break;
+      case b:
+        h = ((r - g) / d + 4) / 6;
+        break;
+    }
+  }
+
+  return {
+    h: Math.round(h * 360),
+    s: Math.round(s * 100),
+    l: Math.round(l * 100)
+  };
+}
+
+/**
+ * Convert HSL to RGB
+ */
+export function hslToRgb(h, s, l) {
+  h /= 360;
+  s /= 100;
+  l /= 100;
+
+  let r, g, b;
+
+  if (s === 0) {
+    r = g = b = l;
+  } else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    r = hue2rgb(p, q, h + 1 / 3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1 / 3);
+  }
+
+  return {
+    r: Math.round(r * 255),
+    g: Math.round(g * 255),
+    b: Math.round(b * 255)
+  };
+}
+
+/**
+ * Round a channel value and keep it within 0-255
+ */
+function clampChannel(n) {
+  return Math.max(0, Math.min(255, Math.round(n)));
+}
+
+/**
+ * Convert RGB to HEX
+ */
+export function rgbToHex(r, g, b) {
+  const toHex = (n) => {
+    const hex = clampChannel(n).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+}
+
+/**
+ * Convert HEX to RGB
+ */
+export function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : null;
+}
+
+/**
+ * Validate HEX color
+ */
+export function isValidHex(hex) {
+  return /^#?([a-f\d]{6})$/i.test(hex);
+}
+
+// ===== Brightness Response =====
+
+/**
+ * How a device responds at a brightness level
+ * @param {string|object} deviceProfile - Key of DEVICE_PROFILES, or a profile object
+ * @param {number} brightness - Brightness in percent
+ * @returns {{level: number, hueShift: number}} Drive level in percent that
+ *   gives that brightness, and the extra hue correction needed there
+ */
+export function getBrightnessResponse(deviceProfile, brightness) {
+  const profile = profileOf(deviceProfile);
+  const { gamma = 1, hueShifts = [] } = profile.brightnessResponse || {};
+  const level = 100 * Math.pow(Math.max(0, brightness) / 100, 1 / gamma);
+
+  if (!hueShifts.length) return { level, hueShift: 0 };
+
+  // Linear between points, flat beyond the first and last
+  const next = hueShifts.findIndex((point) => point.brightness >= brightness);
+  if (next === 0) return { level, hueShift: hueShifts[0].hueShift };
+  if (next === -1) return { level, hueShift: hueShifts[hueShifts.length - 1].hueShift };
+
+  const from = hueShifts[next - 1];
+  const to = hueShifts[next];
+  const t = (brightness - from.brightness) / (to.brightness - from.brightness);
+  return { level, hueShift: from.hueShift + (to.hueShift - from.hueShift) * t };
+}
+
+/**
+ * Brightness at which a device needs the least hue correction, or null when
+ * full brightness is already best. Profiles without a response curve fall
+ * back to their legacy brightnessRecommendation.
+ */
+export function recommendBrightness(deviceProfile) {
+  const profile = profileOf(deviceProfile);
+  const hueShifts = profile.brightnessResponse?.hueShifts;
+  if (!hueShifts?.length) {
+    return profile.brightnessRecommendation ?? null;
+  }
+
+  // Prefer the brightest of equally good points
+  const best = hueShifts.reduce((a, b) => (Math.abs(b.hueShift) <= Math.abs(a.hueShift) ? b : a));
+  return best.brightness < 100 ? best.brightness : null;
+}
+
+// ===== Perceptual Color (OKLab) =====
+
+/**
+ * sRGB channel (0-255) to linear light (0-1). Values outside 0-255 are
+ * extended symmetrically so out-of-gamut colors can still be measured.
+ */
+function srgbToLinear(channel) {
+  const c = Math.abs(channel) / 255;
+  return Math.sign(channel) * (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+}
+
+/**
+ * Linear light (0-1) to sRGB channel (0-255, unrounded), extended the same way
+ */
+function linearToSrgb(value) {
+  const v = Math.abs(value);
+  const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  return Math.sign(value) * c * 255;
+}
+
+/**
+ * Convert RGB to OKLab ({ L: 0-1, a, b })
+ */
+export function rgbToOklab(rgb) {
+  const r = srgbToLinear(rgb.r);
+  const g = srgbToLinear(rgb.g);
+  const b = srgbToLinear(rgb.b);
+
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * Convert OKLab to linear RGB (may fall outside 0-1)
+ */
+function oklabToLinear({ L, a, b }) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return {
+    r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  };
+}
+
+/**
+ * Convert OKLab to RGB, reducing chroma (keeping lightness and hue) until
+ * the color fits in sRGB
+ */
+export function oklabToRgb(lab) {
+  const inGamut = (c) => [c.r, c.g, c.b].every((v) => v >= -1e-4 && v <= 1 + 1e-4);
+
+  let linear = oklabToLinear(lab);
+  if (!inGamut(linear)) {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (inGamut(oklabToLinear({ L: lab.L, a: lab.a * mid, b: lab.b * mid }))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    linear = oklabToLinear({ L: lab.L, a: lab.a * low, b: lab.b * low });
+  }
+
+  const toChannel = (v) => Math.max(0, Math.min(255, Math.round(linearToSrgb(v))));
+  return { r: toChannel(linear.r), g: toChannel(linear.g), b: toChannel(linear.b) };
+}
+
+/**
+ * Perceptual difference between two colors: OKLab distance scaled by 100,
+ * so around 2 is barely noticeable
+ */
+export function deltaE(a, b) {
+  const labA = rgbToOklab(a);
+  const labB = rgbToOklab(b);
+  return 100 * Math.hypot(labA.L - labB.L, labA.a - labB.a, labA.b - labB.b);
+}
+
+// ===== Color Correction Algorithm =====
+
+/**
+ * Get the color category based on hue
+ */
+export function getColorCategory(hue) {
+  if (hue >= 0 && hue < 15) return 'red';
+  if (hue >= 15 && hue < 45) return 'orange';
+  if (hue >= 45 && hue < 70) return 'yellow';
+  if (hue >= 70 && hue < 150) return 'green';
+  if (hue >= 150 && hue < 200) return 'teal';
+  if (hue >= 200 && hue < 260) return 'blue';
+  if (hue >= 260 && hue < 310) return 'purple';
+  if (hue >= 310 && hue < 340) return 'pink';
+  return 'red'; // 340-360 is still red
+}
+
+// Width in degrees over which a hueCorrections range fades into its
+// neighbours (half inside the range, half outside)
+const HUE_BLEND_WIDTH = 16;
+
+/**
+ * Wrap a hue into the 0-360 range
+ */
+export function wrapHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
+
+/**
+ * Signed shortest distance from one hue to another (-180 to 180)
+ */
+export function hueDelta(from, to) {
+  const d = wrapHue(to - from);
+  return d > 180 ? d - 360 : d;
+}
+
+/**
+ * How strongly a hueCorrections range applies to a hue (0-1).
+ * Ranges are [start, end] going clockwise, so [345, 15] crosses 0°.
+ * The weight is 0.5 on the range edges and ramps linearly to 1 inside
+ * and 0 outside, so two touching ranges share each edge evenly.
+ */
+export function hueRangeWeight(hue, range) {
+  const [start, end] = range;
+  if (end - start >= 360) return 1;
+
+  const span = wrapHue(end - start);
+  const offset = wrapHue(hue - start);
+  if (offset <= span) {
+    const inside = Math.min(offset, span - offset);
+    return Math.min(1, 0.5 + inside / HUE_BLEND_WIDTH);
+  }
+  const outside = Math.min(offset - span, 360 - offset);
+  return Math.max(0, 0.5 - outside / HUE_BLEND_WIDTH);
+}
+
+/**
+ * Corrections used outside every hueCorrections range.
+ * Warm hues lose green (fading out towards 90° and back in from 330° so
+ * reds either side of 0° match), cool hues lose a little blue. The hue
+ * shift pulls oranges and yellows towards red and fades out on reaching
+ * it, so red itself is never pushed across 0° into magenta.
+ */
+function baseCorrection(hue, profile) {
+  let warmFactor = 0;
+  let shiftFactor = 0;
+  if (hue <= 90) {
+    warmFactor = 1 - hue / 90;
+    shiftFactor = warmFactor * Math.min(1, hue / HUE_BLEND_WIDTH);
+  } else if (hue >= 330) {
+    warmFactor = (hue - 330) / 30;
+  }
+
+  let coolFactor = 0;
+  if (hue >= 200 && hue <= 340) {
+    coolFactor = 1 - Math.abs((hue - 270) / 70);
+  }
+
+  return {
+    greenMultiplier: 1 - warmFactor * (1 - profile.greenReduction),
+    blueMultiplier: 1 - coolFactor * (1 - profile.blueReduction) * 0.3,
+    hueShift: profile.hueShift * shiftFactor
+  };
+}
+
+/**
+ * Blend the profile's hueCorrections with its base correction for a hue.
+ * Overlapping ranges share the weight; any weight left over goes to the
+ * base correction, so the result changes continuously around the wheel.
+ */
+export function blendCorrections(hue, profile) {
+  let total = 0;
+  const weighted = [];
+  for (const correction of profile.hueCorrections) {
+    const weight = hueRangeWeight(hue, correction.range);
+    if (weight > 0) {
+      weighted.push({ correction, weight });
+      total += weight;
+    }
+  }
+
+  const scale = total > 1 ? 1 / total : 1;
+  const baseWeight = Math.max(0, 1 - total);
+  const base = baseCorrection(hue, profile);
+  const blended = {
+    greenMultiplier: base.greenMultiplier * baseWeight,
+    blueMultiplier: base.blueMultiplier * baseWeight,
+    hueShift: base.hueShift * baseWeight
+  };
+
+  for (const { correction, weight } of weighted) {
+    const w = weight * scale;
+    // A range that doesn't set a multiplier leaves that channel alone
+    blended.greenMultiplier += (correction.greenMultiplier ?? 1) * w;
+    blended.blueMultiplier += (correction.blueMultiplier ?? 1) * w;
+    blended.hueShift += (correction.hueShift ?? 0) * w;
+  }
+
+  return blended;
+}
+
+// Correction algorithms a profile can pick with its algorithm field
+export const ALGORITHMS = {
+  hsl: 'HSL (classic)',
+  oklab: 'OKLab (perceptual)'
+};
+
+/**
+ * Classic correction: channel multipliers blended with an HSL hue and
+ * saturation adjustment. With clip off, saturation isn't capped and the
+ * result isn't clamped, showing what the correction would ideally send.
+ */
+function correctColorHsl(rgb, profile, brightnessHueShift, clip = true) {
+  const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+  const blended = blendCorrections(hsl.h, profile);
+  blended.hueShift += brightnessHueShift;
+
+  let correctedR = rgb.r;
+  let correctedG = Math.round(rgb.g * blended.greenMultiplier);
+  let correctedB = Math.round(rgb.b * blended.blueMultiplier);
+  const correctedHue = wrapHue(hsl.h + blended.hueShift);
+
+  // Boost saturation for richer colors
+  const boostedSat = hsl.s * profile.saturationBoost;
+  const correctedSat = clip ? Math.min(100, boostedSat) : boostedSat;
+
+  // Blend in an HSL-based correction, ramping up to half weight as the hue
+  // or saturation change grows so there's no step at a threshold
+  const hueChange = Math.abs(hueDelta(hsl.h, correctedHue));
+  const satChange = Math.abs(correctedSat - hsl.s);
+  const hslWeight = Math.min(1, Math.max(hueChange / 2, satChange / 5)) / 2;
+  if (hslWeight > 0) {
+    const newRgb = hslToRgb(correctedHue, correctedSat, hsl.l);
+    correctedR = Math.round(correctedR * (1 - hslWeight) + newRgb.r * hslWeight);
+    correctedG = Math.round(correctedG * (1 - hslWeight) + newRgb.g * hslWeight);
+    correctedB = Math.round(correctedB * (1 - hslWeight) + newRgb.b * hslWeight);
+  }
+
+  if (!clip) {
+    return { r: correctedR, g: correctedG, b: correctedB };
+  }
+
+  // Ensure values are in valid range
+  return {
+    r: Math.max(0, Math.min(255, correctedR)),
+    g: Math.max(0, Math.min(255, correctedG)),
+    b: Math.max(0, Math.min(255, correctedB))
+  };
+}
+
+/**
+ * Perceptual correction: the same channel multipliers, but the hue shift and
+ * saturation boost are made in OKLCh and mixed in OKLab, so lightness holds
+ * steady and out-of-gamut results are pulled back along chroma (unless clip
+ * is off)
+ */
+function correctColorOklab(rgb, profile, brightnessHueShift, clip = true) {
+  const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+  const blended = blendCorrections(hsl.h, profile);
+  blended.hueShift += brightnessHueShift;
+
+  const scaled = rgbToOklab({
+    r: rgb.r,
+    g: Math.min(255, rgb.g * blended.greenMultiplier),
+    b: Math.min(255, rgb.b * blended.blueMultiplier)
+  });
+
+  // Boost the target in OKLCh and give it the hue the HSL shift lands on;
+  // hueShift is in HSL degrees, which aren't evenly spaced in OKLCh
+  const target = rgbToOklab(rgb);
+  const chroma = Math.hypot(target.a, target.b) * profile.saturationBoost;
+  const shifted = rgbToOklab(hslToRgb(wrapHue(hsl.h + blended.hueShift), hsl.s, hsl.l));
+  const hue = Math.atan2(shifted.b, shifted.a);
+
+  // Same ramp as the classic algorithm, so both start correcting at the same point
+  const satChange = Math.abs(Math.min(100, hsl.s * profile.saturationBoost) - hsl.s);
+  const weight = Math.min(1, Math.max(Math.abs(blended.hueShift) / 2, satChange / 5)) / 2;
+
+  const mixed = {
+    L: scaled.L * (1 - weight) + target.L * weight,
+    a: scaled.a * (1 - weight) + chroma * Math.cos(hue) * weight,
+    b: scaled.b * (1 - weight) + chroma * Math.sin(hue) * weight
+  };
+  if (!clip) {
+    const linear = oklabToLinear(mixed);
+    return { r: linearToSrgb(linear.r), g: linearToSrgb(linear.g), b: linearToSrgb(linear.b) };
+  }
+  return oklabToRgb(mixed);
+}
+
+/**
+ * Run a profile's correction algorithm at a brightness, before dimming
+ */
+function runCorrection(rgb, profile, { algorithm, brightness = 100 }, clip) {
+  const method = algorithm || profile.algorithm || 'hsl';
+  const { hueShift } = getBrightnessResponse(profile, brightness);
+  return method === 'oklab'
+    ? correctColorOklab(rgb, profile, hueShift, clip)
+    : correctColorHsl(rgb, profile, hueShift, clip);
+}
+
+/**
+ * Apply device-specific color correction
+ * @param {{r: number, g: number, b: number}} rgb - Target color
+ * @param {string|object} deviceProfile - Key of DEVICE_PROFILES, or a profile object
+ * @param {{algorithm?: string, brightness?: number}} [options] - Key of
+ *   ALGORITHMS, overriding the profile's own algorithm (default 'hsl'), and
+ *   the brightness in percent to show the color at (default 100)
+ */
+export function correctColor(rgb, deviceProfile, { algorithm, brightness = 100 } = {}) {
+  const profile = profileOf(deviceProfile);
+  const { level } = getBrightnessResponse(profile, brightness);
+  return applyBrightness(runCorrection(rgb, profile, { algorithm, brightness }, true), level);
+}
+
+/**
+ * How far a correction had to be clipped to fit in 0-255, as ΔE between
+ * the ideal value and the one actually sent (0 when nothing was clipped)
+ */
+export function correctionOverflow(rgb, deviceProfile, options = {}) {
+  const profile = profileOf(deviceProfile);
+  return deltaE(runCorrection(rgb, profile, options, false), runCorrection(rgb, profile, options, true));
+}
+
+// ===== White Balance =====
+
+// Named white points for the white balance mode, in Kelvin
+export const NAMED_WHITES = {
+  'Warm White': 2700,
+  'Soft White': 3000,
+  'Neutral White': 4000,
+  'Daylight': 5500,
+  'Cool White': 6500,
+  'Overcast': 7500,
+  'Blue Sky': 10000
+};
+
+export const KELVIN_RANGE = [2700, 10000];
+
+/**
+ * Convert a color temperature to RGB (Tanner Helland's blackbody fit)
+ */
+export function kelvinToRgb(kelvin) {
+  const t = Math.max(1000, Math.min(40000, kelvin)) / 100;
+
+  const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const g = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  let b;
+  if (t >= 66) {
+    b = 255;
+  } else if (t <= 19) {
+    b = 0;
+  } else {
+    b = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  }
+
+  return { r: clampChannel(r), g: clampChannel(g), b: clampChannel(b) };
+}
+
+/**
+ * Correct a white point so the device shows it as a neutral white.
+ * The profile's whiteBalance gains are applied, then the result is scaled
+ * back up so the brightest channel matches the target's.
+ */
+export function correctWhiteColor(kelvin, deviceProfile) {
+  const profile = profileOf(deviceProfile);
+  const gains = profile.whiteBalance || { r: 1, g: 1, b: 1 };
+  const target = kelvinToRgb(kelvin);
+
+  const balanced = {
+    r: target.r * gains.r,
+    g: target.g * gains.g,
+    b: target.b * gains.b
+  };
+  const scale = Math.max(target.r, target.g, target.b) / Math.max(balanced.r, balanced.g, balanced.b, 1);
+
+  return {
+    r: Math.max(0, Math.min(255, Math.round(balanced.r * scale))),
+    g: Math.max(0, Math.min(255, Math.round(balanced.g * scale))),
+    b: Math.max(0, Math.min(255, Math.round(balanced.b * scale)))
+  };
+}
+
+// ===== LED Forward Model =====
+
+// Grid spacing for the seed table and iteration limits for inverting correctColor
+const SIMULATE_GRID_STEP = 15;
+const SIMULATE_MAX_STEPS = 30;
+const SIMULATE_TOLERANCE = 1;
+
+// Profiles are tuned against the classic algorithm, so its inverse is the
+// device model whichever algorithm a profile corrects with. That makes the
+// prediction for a classic correction the target itself, so it can't rate
+// one algorithm against the other.
+const DEVICE_MODEL = { algorithm: 'hsl' };
+
+// Per-profile tables of { target, sent } pairs, built on first use and
+// dropped with the profile object when it's replaced
+const simulationSeeds = new WeakMap();
+
+/**
+ * Sample correctColor over a coarse RGB grid for a profile
+ */
+function getSimulationSeeds(deviceProfile) {
+  const profile = profileOf(deviceProfile);
+  if (!simulationSeeds.has(profile)) {
+    const seeds = [];
+    for (let r = 0; r <= 255; r += SIMULATE_GRID_STEP) {
+      for (let g = 0; g <= 255; g += SIMULATE_GRID_STEP) {
+        for (let b = 0; b <= 255; b += SIMULATE_GRID_STEP) {
+          const target = { r, g, b };
+          seeds.push({ target, sent: correctColor(target, profile, DEVICE_MODEL) });
+        }
+      }
+    }
+    simulationSeeds.set(profile, seeds);
+  }
+  return simulationSeeds.get(profile);
+}
+
+/**
+ * Largest per-channel difference between two colors
+ */
+function channelDistance(a, b) {
+  return Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b));
+}
+
+/**
+ * Refine a guess with Newton steps until its correction matches rgb
+ * @returns {{target: {r, g, b}, error: number}} Best guess and its channel error
+ */
+function invertCorrection(rgb, guess, deviceProfile, model) {
+  const channels = ['r', 'g', 'b'];
+  let best = { target: guess, error: Infinity };
+  for (let step = 0; step < SIMULATE_MAX_STEPS; step++) {
+    const output = correctColor(guess, deviceProfile, model);
+    const error = channelDistance(rgb, output);
+    if (error < best.error) {
+      best = { target: guess, error };
+    }
+    if (error <= SIMULATE_TOLERANCE) break;
+
+    const next = { ...guess };
+    for (const c of channels) {
+      // Estimate how strongly this channel responds, probing towards the middle
+      const probe = guess[c] < 128 ? 8 : -8;
+      const nudged = correctColor({ ...guess, [c]: guess[c] + probe }, deviceProfile, model);
+      const slope = Math.max(0.05, (nudged[c] - output[c]) / probe);
+      next[c] = clampChannel(guess[c] + (rgb[c] - output[c]) / slope);
+    }
+    guess = next;
+  }
+  return best;
+}
+
+/**
+ * Predict the color a device shows when it is sent an RGB value.
+ * The profiles describe corrections, so the LED response is modelled as
+ * their inverse: the target whose correction is the value being sent.
+ * Profiles can correct several targets to the same value (heavy green cuts
+ * fold pale oranges onto pinks), so the answer isn't always unique. When
+ * near corrects to the value it is the answer; otherwise the search starts
+ * from the value itself and from the closest grid sample, refines both with
+ * Newton steps and keeps the better, preferring the first on a tie.
+ * @param {{r: number, g: number, b: number}} rgb - Value sent to the device
+ * @param {string|object} deviceProfile - Key of DEVICE_PROFILES, or a profile object
+ * @param {{brightness?: number, near?: {r, g, b}}} [options] - Brightness the
+ *   device runs at, and the color the value was corrected from, if known
+ */
+export function simulateColor(rgb, deviceProfile, { brightness = 100, near } = {}) {
+  const model = { ...DEVICE_MODEL, brightness };
+  const { level } = getBrightnessResponse(deviceProfile, brightness);
+
+  if (near && channelDistance(rgb, correctColor(near, deviceProfile, model)) <= SIMULATE_TOLERANCE) {
+    return { ...near };
+  }
+
+  // Seeds are corrected at full brightness, so dim them to compare
+  const sent = { r: clampChannel(rgb.r), g: clampChannel(rgb.g), b: clampChannel(rgb.b) };
+  let seed = sent;
+  let seedError = Infinity;
+  for (const sample of getSimulationSeeds(deviceProfile)) {
+    const error = channelDistance(rgb, applyBrightness(sample.sent, level));
+    if (error < seedError) {
+      seed = sample.target;
+      seedError = error;
+    }
+  }
+
+  const starts = near ? [near, sent, seed] : [sent, seed];
+  return starts
+    .map((start) => invertCorrection(rgb, start, deviceProfile, model))
+    .reduce((best, candidate) => (candidate.error < best.error ? candidate : best))
+    .target;
+}
+
+// ===== Profile Resolution =====
+// DEVICE_PROFILES holds every profile with extends already applied, so code
+// reading a profile always finds every field. The variant and zone in use
+// are layered on top when a color is corrected.
+
+// Profiles as defined or registered, before extends is applied
+const profileSources = new Map();
+
+// Profiles with a variant or zone applied, by device profile object and then
+// "variant/zone", so each combination is built (and simulated) once
+const layeredProfiles = new WeakMap();
+
+/**
+ * A device id's full profile, or a profile object as it is
+ */
+function profileOf(deviceProfile) {
+  return typeof deviceProfile === 'string' ? resolveProfile(deviceProfile) : deviceProfile;
+}
+
+/**
+ * A registered profile with its extends chain applied: each base's fields,
+ * then the profile's own on top. The algorithm and variant picked for a base
+ * aren't inherited; they describe how the base is used, not its LEDs.
+ */
+function applyExtends(deviceId, seen = []) {
+  const source = profileSources.get(deviceId);
+  if (!source.extends) return source;
+  if (seen.includes(deviceId)) {
+    throw new Error(`Profiles extend each other in a loop: ${[...seen, deviceId].join(' → ')}`);
+  }
+  if (!profileSources.has(source.extends)) {
+    throw new Error(`${deviceId} extends unknown profile ${source.extends}`);
+  }
+  const { extends: base, ...own } = source;
+  const { algorithm, variant, ...inherited } = applyExtends(base, [...seen, deviceId]);
+  return { ...inherited, ...own };
+}
+
+/**
+ * Re-apply extends to every profile that has one, after a base changed
+ */
+function resolveExtends() {
+  profileSources.forEach((source, id) => {
+    if (source.extends) {
+      DEVICE_PROFILES[id] = applyExtends(id);
+    }
+  });
+}
+
+/**
+ * Id of the variant a profile corrects with: its variant field, or else its
+ * first variant (undefined when it has none)
+ */
+function activeVariant(profile) {
+  const ids = Object.keys(profile.variants || {});
+  return ids.includes(profile.variant) ? profile.variant : ids[0];
+}
+
+/**
+ * A device's variants in display order, marking the one in use
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @returns {Array<{id: string, name: string, active: boolean}>}
+ */
+export function getVariants(deviceId) {
+  const profile = DEVICE_PROFILES[deviceId];
+  const active = profile && activeVariant(profile);
+  return Object.entries(profile?.variants || {})
+    .map(([id, variant]) => ({ id, name: variant.name || id, active: id === active }));
+}
+
+/**
+ * A device's zones in display order (empty when it lights as one)
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getZones(deviceId) {
+  const zones = DEVICE_PROFILES[deviceId]?.zones || {};
+  return Object.entries(zones).map(([id, zone]) => ({ id, name: zone.name || id }));
+}
+
+/**
+ * The full profile to correct a device with: the device's fields, then its
+ * variant's, then the zone's. Nested fields (whiteBalance,
+ * brightnessResponse, hueCorrections) are replaced whole, not merged.
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{variant?: string, zone?: string}} [options] - Variant to use
+ *   instead of the device's own choice, and a zone to correct for
+ * @returns {object} The same object for the same device, variant and zone
+ */
+export function resolveProfile(deviceId, { variant, zone } = {}) {
+  const profile = DEVICE_PROFILES[deviceId];
+  if (!profile) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+  const variantId = variant ?? activeVariant(profile);
+  if (variantId !== undefined && !Object.hasOwn(profile.variants || {}, variantId)) {
+    throw new Error(`Unknown variant for ${deviceId}: ${variantId}`);
+  }
+  if (zone !== undefined && !Object.hasOwn(profile.zones || {}, zone)) {
+    throw new Error(`Unknown zone for ${deviceId}: ${zone}`);
+  }
+  if (variantId === undefined && zone === undefined) return profile;
+
+  if (!layeredProfiles.has(profile)) {
+    layeredProfiles.set(profile, new Map());
+  }
+  const cache = layeredProfiles.get(profile);
+  const key = `${variantId ?? ''}/${zone ?? ''}`;
+  if (!cache.has(key)) {
+    const { zones, variants, variant: chosen, ...device } = profile;
+    const layers = [variants?.[variantId], zones?.[zone]].filter(Boolean);
+    const overrides = layers.map(({ name, ...fields }) => fields);
+    const names = layers.map(({ name }) => name);
+    cache.set(key, Object.assign({}, device, ...overrides, { name: `${profile.name} (${names.join(', ')})` }));
+  }
+  return cache.get(key);
+}
+
+// Built-in profiles can extend each other too
+Object.entries(DEVICE_PROFILES).forEach(([id, profile]) => profileSources.set(id, profile));
+resolveExtends();
+
+// ===== Public API =====
+
+/**
+ * Add or replace a device profile (custom or imported devices). A profile
+ * with extends gets every field of the profile it names, then its own.
+ * @throws {Error} When extends names an unknown profile or loops
+ */
+export function registerProfile(deviceId, profile) {
+  const previous = profileSources.get(deviceId);
+  profileSources.set(deviceId, profile);
+  try {
+    DEVICE_PROFILES[deviceId] = applyExtends(deviceId);
+  } catch (err) {
+    if (previous) {
+      profileSources.set(deviceId, previous);
+    } else {
+      profileSources.delete(deviceId);
+    }
+    throw err;
+  }
+  resolveExtends();
+}
+
+/**
+ * A profile as defined or registered, before extends is applied, so it can
+ * be registered again with a change and still follow its base
+ */
+export function getProfileSource(deviceId) {
+  return profileSources.get(deviceId);
+}
+
+/**
+ * Remove a device profile. Profiles extending it keep the fields they had.
+ */
+export function unregisterProfile(deviceId) {
+  profileSources.forEach((source, id) => {
+    if (source.extends === deviceId) {
+      profileSources.set(id, DEVICE_PROFILES[id]);
+    }
+  });
+  profileSources.delete(deviceId);
+  delete DEVICE_PROFILES[deviceId];
+}
+
+/**
+ * Scale an RGB color by a brightness percentage (0-100)
+ */
+export function applyBrightness(rgb, brightness = 100) {
+  const factor = brightness / 100;
+  return {
+    r: Math.round(rgb.r * factor),
+    g: Math.round(rgb.g * factor),
+    b: Math.round(rgb.b * factor)
+  };
+}
+
+/**
+ * Correct a target color for a device at a given brightness
+ * @param {{r: number, g: number, b: number}} rgb - Color you want to see
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number, algorithm?: string, variant?: string, zone?: string}} [options] -
+ *   brightness in percent (default 100), a key of ALGORITHMS to override the
+ *   profile's, a variant to use instead of the device's chosen one, and one
+ *   of the device's zones to correct for
+ * @returns {{r: number, g: number, b: number}} Value to enter in the software
+ */
+export function correct(rgb, deviceId, { brightness = 100, algorithm, variant, zone } = {}) {
+  return correctColor(rgb, resolveProfile(deviceId, { variant, zone }), { algorithm, brightness });
+}
+
+/**
+ * Correct a color for every zone of a device
+ * @param {{r: number, g: number, b: number}} rgb - Color you want to see
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number, algorithm?: string, variant?: string, targets?: Object<string, {r, g, b}>}} [options] -
+ *   as for correct(), plus colors for zones that should show their own
+ * @returns {Array<{zone: string, name: string, target: {r, g, b}, corrected: {r, g, b}}>}
+ *   One entry per zone, empty when the device has none
+ */
+export function correctZones(rgb, deviceId, { brightness = 100, algorithm, variant, targets = {} } = {}) {
+  return getZones(deviceId).map(({ id, name }) => {
+    const target = targets[id] || rgb;
+    return { zone: id, name, target, corrected: correct(target, deviceId, { brightness, algorithm, variant, zone: id }) };
+  });
+}
+
+/**
+ * Predict what a device shows for a value entered in its software
+ * @param {{r: number, g: number, b: number}} rgb - Value set in the software
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number, variant?: string, zone?: string, near?: {r, g, b}}} [options] -
+ *   brightness the value was corrected for, the variant and zone showing it,
+ *   and the target it was corrected from (see simulateColor)
+ * @returns {{r: number, g: number, b: number}} Color the LEDs should appear as
+ */
+export function simulate(rgb, deviceId, { brightness = 100, variant, zone, near } = {}) {
+  return simulateColor(rgb, resolveProfile(deviceId, { variant, zone }), { brightness, near });
+}
+
+/**
+ * Correct a white of a given color temperature for a device
+ * @param {number} kelvin - White point, e.g. 2700 (warm) to 10000 (cool)
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number, variant?: string}} [options] - brightness in
+ *   percent (default 100), and a variant as for correct()
+ * @returns {{r: number, g: number, b: number}} Value to enter in the software
+ */
+export function correctWhite(kelvin, deviceId, { brightness = 100, variant } = {}) {
+  const profile = resolveProfile(deviceId, { variant });
+  const { level } = getBrightnessResponse(profile, brightness);
+  return applyBrightness(correctWhiteColor(kelvin, profile), level);
+}
+
+// Clipping up to this ΔE is hard to notice on a fan
+const GAMUT_TOLERANCE = 3;
+
+// The nearest showable color is searched for in this many steps at each
+// lightness scale
+const GAMUT_SEARCH_STEPS = 10;
+const GAMUT_LIGHTNESS_STEPS = [1, 0.9, 0.8, 0.7];
+
+/**
+ * Check whether a device can show a target color
+ * @param {{r: number, g: number, b: number}} rgb - Color you want to see
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number, algorithm?: string, variant?: string, zone?: string}} [options] -
+ *   as for correct()
+ * @returns {{inGamut: boolean, deltaE: number, nearest: {r, g, b}|null}}
+ *   How far outside the device's gamut the target is (ΔE of the clipping
+ *   its correction needs), and when that's visible the closest color the
+ *   device can show without clipping
+ */
+export function checkGamut(rgb, deviceId, { variant, zone, ...options } = {}) {
+  const profile = resolveProfile(deviceId, { variant, zone });
+  const fits = (color) => correctionOverflow(color, profile, options) <= GAMUT_TOLERANCE;
+  const overflow = correctionOverflow(rgb, profile, options);
+  if (overflow <= GAMUT_TOLERANCE) {
+    return { inGamut: true, deltaE: overflow, nearest: null };
+  }
+
+  // Pull chroma in towards grey, keeping hue, until the correction fits;
+  // at a few lightness levels since some colors come into reach darker
+  const lab = rgbToOklab(rgb);
+  const candidates = GAMUT_LIGHTNESS_STEPS.map((lightness) => {
+    const at = (amount) => oklabToRgb({ L: lab.L * lightness, a: lab.a * amount, b: lab.b * amount });
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < GAMUT_SEARCH_STEPS; i++) {
+      const mid = (low + high) / 2;
+      if (fits(at(mid))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return at(low);
+  }).filter(fits);
+
+  const nearest = candidates.reduce((a, b) => (deltaE(rgb, b) < deltaE(rgb, a) ? b : a), candidates[0]);
+  return { inGamut: false, deltaE: overflow, nearest: nearest || null };
+}
@@ -0,0 +1,203 @@
+/**
+ * LED Fan Color Corrector - E1.31 (sACN) output
+ * Sends a solid color to a run of RGB pixels on a streaming ACN universe, for
+ * pixel controllers (and WLED boards) that listen for E1.31. Node only, used
+ * by bin/led-bridge.js.
+ *
+ * Layout of a data packet, all big-endian (ANSI E1.31-2018, section 4):
+ *   0   root layer: preamble, ACN identifier, flags/length, vector, CID
+ *   38  framing layer: flags/length, vector, source name, priority, sync
+ *       address, sequence, options, universe
+ *   115 DMP layer: flags/length, vector, address/data type, first address,
+ *       increment, value count, DMX start code, then the channel values
+ */
+
+import { createSocket } from 'node:dgram';
+import { randomUUID } from 'node:crypto';
+
+export const E131_PORT = 5568;
+export const UNIVERSE_RANGE = [1, 63999];
+export const DMX_CHANNELS = 512;
+
+// Receivers treat a universe as lost after 2.5 s of silence, so the last
+// frame is repeated while the color holds still
+const KEEP_ALIVE_MS = 1000;
+
+// Terminated streams are announced three times (section 6.7.1)
+const TERMINATE_REPEATS = 3;
+
+const ACN_IDENTIFIER = Buffer.from('ASC-E1.17\0\0\0', 'ascii');
+const DATA_OFFSET = 126;
+const SOURCE_NAME_BYTES = 64;
+const DEFAULT_PRIORITY = 100;
+const OPTION_STREAM_TERMINATED = 0x40;
+
+/**
+ * Error for settings that don't fit in a universe, or (with unreachable set)
+ * a packet the network wouldn't take
+ */
+export class E131Error extends Error {
+  constructor(message, { unreachable = false } = {}) {
+    super(message);
+    this.name = 'E131Error';
+    this.unreachable = unreachable;
+  }
+}
+
+/**
+ * Throw unless universe is a valid universe number
+ */
+function checkUniverse(universe) {
+  if (!Number.isInteger(universe) || universe < UNIVERSE_RANGE[0] || universe > UNIVERSE_RANGE[1]) {
+    throw new E131Error(`Universe must be from ${UNIVERSE_RANGE[0]} to ${UNIVERSE_RANGE[1]}`);
+  }
+}
+
+/**
+ * Multicast group a universe is sent to when no controller address is given
+ */
+export function multicastAddress(universe) {
+  return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+/**
+ * DMX channel values setting count pixels from start (1-based) to one color
+ * @returns {Buffer} Channels 1 up to the last pixel's blue channel
+ */
+export function pixelChannels({ r, g, b }, start, count) {
+  if (!Number.isInteger(start) || start < 1 || !Number.isInteger(count) || count < 1) {
+    throw new E131Error('Start channel and pixel count must be whole numbers from 1');
+  }
+  const last = start - 1 + count * 3;
+  if (last > DMX_CHANNELS) {
+    throw new E131Error(`${count} pixels from channel ${start} need ${last} channels; a universe has ${DMX_CHANNELS}`);
+  }
+
+  const channels = Buffer.alloc(last);
+  for (let i = start - 1; i < last; i += 3) {
+    channels[i] = r;
+    channels[i + 1] = g;
+    channels[i + 2] = b;
+  }
+  return channels;
+}
+
+/**
+ * Build an E1.31 data packet
+ * @param {{cid: Buffer, sourceName: string, universe: number, sequence: number,
+ *   channels: Buffer, terminated?: boolean}} frame
+ */
+export function buildE131Packet({ cid, sourceName, universe, sequence, channels, terminated = false }) {
+  checkUniverse(universe);
+  const packet = Buffer.alloc(DATA_OFFSET + channels.length);
+  // Flags (0x7) in the top 4 bits, then the length of the layer from here on
+  const flagsAndLength = (offset) => packet.writeUInt16BE(0x7000 | (packet.length - offset), offset);
+
+  // Root layer
+  packet.writeUInt16BE(0x0010, 0);
+  ACN_IDENTIFIER.copy(packet, 4);
+  flagsAndLength(16);
+  packet.writeUInt32BE(0x00000004, 18);
+  cid.copy(packet, 22, 0, 16);
+
+  // Framing layer
+  flagsAndLength(38);
+  packet.writeUInt32BE(0x00000002, 40);
+  packet.write(sourceName, 44, SOURCE_NAME_BYTES - 1, 'utf8');
+  packet[108] = DEFAULT_PRIORITY;
+  packet[111] = sequence & 0xff;
+  packet[112] = terminated ? OPTION_STREAM_TERMINATED : 0;
+  packet.writeUInt16BE(universe, 113);
+
+  // DMP layer
+  flagsAndLength(115);
+  packet[117] = 0x02;
+  packet[118] = 0xa1;
+  packet.writeUInt16BE(0x0001, 121);
+  packet.writeUInt16BE(channels.length + 1, 123);
+  channels.copy(packet, DATA_OFFSET);
+  return packet;
+}
+
+/**
+ * Sends and keeps alive one stream per controller and universe
+ */
+export class E131Sender {
+  /**
+   * @param {{sourceName?: string, port?: number}} [options]
+   */
+  constructor({ sourceName = 'LED Color Corrector', port = E131_PORT } = {}) {
+    this.sourceName = sourceName;
+    this.port = port;
+    this.cid = Buffer.from(randomUUID().replace(/-/g, ''), 'hex');
+    this.socket = createSocket('udp4');
+    this.socket.on('error', () => {}); // Send errors are reported per call
+    this.streams = new Map(); // { host, universe, channels, sequence, timer } by "host/universe"
+  }
+
+  /**
+   * Send one frame of a stream
+   */
+  transmit(stream, terminated = false) {
+    const packet = buildE131Packet({
+      cid: this.cid,
+      sourceName: this.sourceName,
+      universe: stream.universe,
+      sequence: stream.sequence,
+      channels: stream.channels,
+      terminated
+    });
+    stream.sequence = (stream.sequence + 1) & 0xff;
+    return new Promise((resolve, reject) => {
+      this.socket.send(packet, this.port, stream.host, (err) => {
+        if (err) {
+          reject(new E131Error(`Could not send E1.31 to ${stream.host} (${err.code || err.message})`, { unreachable: true }));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Set count pixels from start to a color and keep the frame alive
+   * @param {{host?: string, universe: number, start?: number, count: number, color: {r, g, b}}} target
+   *   host defaults to the universe's multicast group
+   */
+  async send({ host, universe, start = 1, count, color }) {
+    checkUniverse(universe);
+    const channels = pixelChannels(color, start, count);
+    const address = host || multicastAddress(universe);
+    const key = `${address}/${universe}`;
+    const stream = this.streams.get(key) || { host: address, universe, sequence: 0 };
+    stream.channels = channels;
+    this.streams.set(key, stream);
+
+    clearInterval(stream.timer);
+    stream.timer = setInterval(() => this.transmit(stream).catch(() => {}), KEEP_ALIVE_MS);
+    stream.timer.unref();
+    await this.transmit(stream);
+  }
+
+  /**
+   * Stop a stream, telling the receiver it ended
+   */
+  async stop({ host, universe }) {
+    const key = `${host || multicastAddress(universe)}/${universe}`;
+    const stream = this.streams.get(key);
+    if (!stream) return;
+    clearInterval(stream.timer);
+    this.streams.delete(key);
+    for (let i = 0; i < TERMINATE_REPEATS; i++) {
+      await this.transmit(stream, true);
+    }
+  }
+
+  /**
+   * Stop every stream and release the socket
+   */
+  async close() {
+    await Promise.all([...this.streams.values()].map((stream) => this.stop(stream)));
+    this.socket.close();
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * LED Fan Color Corrector - animated effects
+ * Turns breathing, color cycle and wave effects into keyframes corrected one
+ * frame at a time, so the dim part of a breath gets the hue correction that
+ * brightness needs instead of the full-brightness one.
+ */
+
+import { DEVICE_PROFILES, rgbToHex, applyBrightness, correct } from './correction.js';
+import { mixColors } from './gradient.js';
+
+// Display names, in the order the picker shows them
+export const EFFECTS = {
+  breathing: 'Breathing',
+  cycle: 'Color cycle',
+  wave: 'Wave'
+};
+
+export const EFFECT_FORMAT = 'led-color-corrector-effect';
+export const EFFECT_FORMAT_VERSION = 1;
+
+// Speed as vendor software shows it: 1 is slowest
+export const SPEED_RANGE = [1, 10];
+
+// Allowed number of effect colors
+export const EFFECT_COLORS = { min: 1, max: 8 };
+
+// One breath, or one step of a cycle or wave, at speed 1
+const SLOWEST_STEP_MS = 12000;
+
+// Keyframe spacing; 20 fps is smooth on fans and keeps exports small
+export const FRAME_MS = 50;
+
+// LEDs across one wave, roughly one fan ring
+const WAVE_LEDS = 16;
+
+/**
+ * Length of one breath or color step at a speed
+ */
+function stepDuration(speed) {
+  return Math.round(SLOWEST_STEP_MS / speed);
+}
+
+/**
+ * Breathing envelope: 0 at the ends, 1 in the middle, eased like vendor
+ * breathing effects
+ */
+function breath(t) {
+  return Math.sin(Math.PI * t) ** 2;
+}
+
+/**
+ * Color at position p (0-1) around a closed loop of colors
+ */
+function loopColor(colors, p) {
+  const scaled = (((p % 1) + 1) % 1) * colors.length;
+  const index = Math.floor(scaled);
+  return mixColors(colors[index], colors[(index + 1) % colors.length], scaled - index);
+}
+
+/**
+ * Build corrected keyframes for an effect
+ * @param {{type: string, colors: Array<{r, g, b}>, speed: number}} effect
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number}} [options] - Brightness the effect peaks at
+ * @returns {{type, device, brightness, speed, colors, frameMs: number, duration: number,
+ *   keyframes: Array<{time: number, leds: Array<{target: {r, g, b}, corrected: {r, g, b}}>}>}}
+ *   One loop of the effect. Breathing and color cycle light every LED the
+ *   same, so their keyframes have one LED; waves have one per LED position.
+ */
+export function buildEffect({ type, colors, speed }, deviceId, { brightness = 100 } = {}) {
+  if (!EFFECTS[type]) {
+    throw new Error(`Unknown effect: ${type}`);
+  }
+  if (!DEVICE_PROFILES[deviceId]) {
+    throw new Error(`Unknown device: ${deviceId}`);
+  }
+  const minColors = type === 'breathing' ? EFFECT_COLORS.min : 2;
+  if (colors.length < minColors || colors.length > EFFECT_COLORS.max) {
+    throw new Error(`${EFFECTS[type]} needs between ${minColors} and ${EFFECT_COLORS.max} colors`);
+  }
+  if (!Number.isInteger(speed) || speed < SPEED_RANGE[0] || speed > SPEED_RANGE[1]) {
+    throw new Error(`Speed must be a whole number from ${SPEED_RANGE[0]} to ${SPEED_RANGE[1]}`);
+  }
+
+  const step = stepDuration(speed);
+  const duration = step * colors.length;
+  const frameCount = Math.round(duration / FRAME_MS);
+
+  // Waves repeat the same colors across LEDs and frames, so correct each once
+  const cache = new Map();
+  const led = (target, level = brightness) => {
+    const key = `${target.r},${target.g},${target.b}@${level}`;
+    if (!cache.has(key)) {
+      cache.set(key, {
+        target: applyBrightness(target, level),
+        corrected: correct(target, deviceId, { brightness: level })
+      });
+    }
+    return cache.get(key);
+  };
+
+  const keyframes = Array.from({ length: frameCount }, (_, frame) => {
+    const time = frame * FRAME_MS;
+    const position = time / duration;
+    let leds;
+    if (type === 'breathing') {
+      // Each color takes one full breath; the correction follows the dimming
+      const index = Math.floor(time / step);
+      const level = Math.round(brightness * breath((time % step) / step) * 10) / 10;
+      leds = [led(colors[index], level)];
+    } else if (type === 'cycle') {
+      leds = [led(loopColor(colors, position))];
+    } else {
+      leds = Array.from({ length: WAVE_LEDS }, (_, i) => led(loopColor(colors, position + i / WAVE_LEDS)));
+    }
+    return { time, leds };
+  });
+
+  return { type, device: deviceId, brightness, speed, colors, frameMs: FRAME_MS, duration, keyframes };
+}
+
+/**
+ * Serialize an effect to the shareable JSON format, with colors as HEX
+ */
+export function exportEffect(effect) {
+  const hex = ({ r, g, b }) => rgbToHex(r, g, b);
+  return JSON.stringify({
+    format: EFFECT_FORMAT,
+    version: EFFECT_FORMAT_VERSION,
+    type: effect.type,
+    device: effect.device,
+    brightness: effect.brightness,
+    speed: effect.speed,
+    colors: effect.colors.map(hex),
+    frameMs: effect.frameMs,
+    duration: effect.duration,
+    keyframes: effect.keyframes.map(({ time, leds }) => ({
+      time,
+      leds: leds.map(({ target, corrected }) => ({ target: hex(target), corrected: hex(corrected) }))
+    }))
+  });
+}
@@ -0,0 +1,211 @@
+/**
+ * LED Fan Color Corrector - lighting software exports
+ * Turns corrected colors into files a lighting tool can load. Only formats
+ * that can be written offline are produced: OpenRGB's command line, SignalRGB
+ * effects, WLED presets, and a plain color sheet for software with no import
+ * format (L-Connect, iCUE, CAM, MasterPlus+). OpenRGB profiles describe the
+ * user's own controllers, so they are saved by OpenRGB itself through
+ * bin/led-bridge.js instead.
+ */
+
+import { rgbToHex } from './correction.js';
+
+// WLED keeps presets 1-250
+const WLED_MAX_PRESETS = 250;
+
+// ===== Helpers =====
+
+/**
+ * HEX without the leading #
+ */
+function bareHex({ r, g, b }) {
+  return rgbToHex(r, g, b).slice(1);
+}
+
+/**
+ * File-name-safe version of a title
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'colors';
+}
+
+/**
+ * Make text safe inside a shell comment (one line)
+ */
+function shellComment(text) {
+  return text.replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Escape text for HTML attributes and content
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Quote a CSV field when it needs it; undefined becomes an empty field
+ */
+export function csvField(value) {
+  const text = value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ===== Exporters =====
+
+/**
+ * POSIX shell script driving the OpenRGB command line. With several colors
+ * the first argument picks which one to apply (default 1).
+ */
+function buildOpenRgb(entries, { title, deviceName }) {
+  const lines = [
+    '#!/bin/sh',
+    `# ${shellComment(title)} - corrected for ${shellComment(deviceName)} by LED Color Corrector`,
+    '# Needs the OpenRGB command line (openrgb) on your PATH. Sets every device;',
+    '# add --device <n> or --zone <n> to the openrgb line to target one.',
+    ''
+  ];
+
+  if (entries.length === 1) {
+    lines.push(`# ${shellComment(entries[0].name)} (${rgbToHex(entries[0].target.r, entries[0].target.g, entries[0].target.b)})`);
+    lines.push(`openrgb --mode static --color ${bareHex(entries[0].corrected)}`);
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('case "${1:-1}" in');
+  entries.forEach((entry, index) => {
+    const target = rgbToHex(entry.target.r, entry.target.g, entry.target.b);
+    lines.push(`  ${index + 1}) color=${bareHex(entry.corrected)} ;; # ${shellComment(entry.name)} (${target})`);
+  });
+  lines.push(`  *) echo "Usage: $0 [1-${entries.length}]" >&2; exit 1 ;;`);
+  lines.push('esac');
+  lines.push('');
+  lines.push('openrgb --mode static --color "$color"');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * SignalRGB effect: an HTML canvas effect with one color property per entry,
+ * drawn as equal bands across the canvas
+ */
+function buildSignalRgb(entries, { title, deviceName }) {
+  const properties = entries.map((entry, index) =>
+    `<meta property="color${index + 1}" label="${escapeHtml(entry.name)}" type="color" default="${rgbToHex(entry.corrected.r, entry.corrected.g, entry.corrected.b)}" min="0" max="360"/>`);
+  const names = entries.map((_, index) => `color${index + 1}`).join(', ');
+
+  return `<head>
+  <title>${escapeHtml(title)}</title>
+  <meta description="${escapeHtml(`Corrected for ${deviceName} by LED Color Corrector`)}"/>
+  <meta publisher="LED Color Corrector"/>
+  ${properties.join('\n  ')}
+</head>
+
+<body style="margin: 0; padding: 0;">
+  <canvas id="exCanvas" width="320" height="200"></canvas>
+</body>
+
+<script>
+  const canvas = document.getElementById('exCanvas');
+  const ctx = canvas.getContext('2d');
+
+  function update() {
+    const colors = [${names}];
+    const band = canvas.width / colors.length;
+    colors.forEach((color, index) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.floor(index * band), 0, Math.ceil(band), canvas.height);
+    });
+    window.requestAnimationFrame(update);
+  }
+
+  window.requestAnimationFrame(update);
+</script>
+`;
+}
+
+/**
+ * CSV sheet of target and corrected values, for typing into software that
+ * can't import colors
+ */
+function buildSheet(entries) {
+  const lines = entries.map((entry) => [
+    entry.name,
+    rgbToHex(entry.target.r, entry.target.g, entry.target.b),
+    rgbToHex(entry.corrected.r, entry.corrected.g, entry.corrected.b),
+    entry.corrected.r,
+    entry.corrected.g,
+    entry.corrected.b
+  ].map(csvField).join(','));
+  return ['name,target,enter,r,g,b', ...lines].join('\n') + '\n';
+}
+
+/**
+ * WLED presets file (Config > Security & Updates > Restore presets), one
+ * solid-color preset per entry. Restoring replaces the board's presets.
+ */
+function buildWled(entries) {
+  if (entries.length > WLED_MAX_PRESETS) {
+    throw new Error(`A WLED board holds at most ${WLED_MAX_PRESETS} presets`);
+  }
+  // Preset 0 is never used but WLED's own backups always include it
+  const presets = { 0: {} };
+  entries.forEach((entry, index) => {
+    const { r, g, b } = entry.corrected;
+    presets[index + 1] = { n: entry.name, on: true, bri: 255, seg: [{ id: 0, fx: 0, col: [[r, g, b]] }] };
+  });
+  return JSON.stringify(presets) + '\n';
+}
+
+export const EXPORTERS = {
+  openrgb: { label: 'OpenRGB script', extension: 'sh', mimeType: 'text/x-shellscript', build: buildOpenRgb },
+  signalrgb: { label: 'SignalRGB effect', extension: 'html', mimeType: 'text/html', build: buildSignalRgb },
+  wled: { label: 'WLED presets', extension: 'json', mimeType: 'application/json', build: buildWled },
+  sheet: { label: 'Color sheet (CSV)', extension: 'csv', mimeType: 'text/csv', build: buildSheet }
+};
+
+// Exporter for each profile software value. The vendor tools can't import
+// colors from a file, so they get the sheet to type values from.
+const SOFTWARE_EXPORTERS = {
+  openrgb: 'openrgb',
+  signalrgb: 'signalrgb',
+  wled: 'wled',
+  'l-connect': 'sheet',
+  icue: 'sheet',
+  cam: 'sheet',
+  'masterplus+': 'sheet'
+};
+
+// ===== Public API =====
+
+/**
+ * Exporter that fits a profile's software field. Custom profiles may name
+ * the software loosely (e.g. "OpenRGB 0.9"), so unknown values are searched
+ * for the tools that have a file format.
+ * @returns {string} Key of EXPORTERS
+ */
+export function exporterFor(profile) {
+  const software = (profile.software || '').trim().toLowerCase();
+  if (Object.hasOwn(SOFTWARE_EXPORTERS, software)) return SOFTWARE_EXPORTERS[software];
+  return ['openrgb', 'signalrgb', 'wled'].find((name) => software.includes(name)) || 'sheet';
+}
+
+/**
+ * Build an export file
+ * @param {Array<{name: string, target: {r, g, b}, corrected: {r, g, b}}>} entries
+ * @param {{exporter: string, title: string, deviceName: string}} details
+ * @returns {{filename: string, mimeType: string, content: string}}
+ */
+export function exportColors(entries, { exporter, title, deviceName }) {
+  const format = EXPORTERS[exporter];
+  if (!format) {
+    throw new Error(`Unknown exporter: ${exporter}`);
+  }
+  if (!entries.length) {
+    throw new Error('Nothing to export');
+  }
+  return {
+    filename: `${slugify(title)}-${slugify(deviceName)}.${format.extension}`,
+    mimeType: format.mimeType,
+    content: format.build(entries, { title, deviceName })
+  };
+}
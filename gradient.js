@@ -0,0 +1,149 @@
+/**
+ * LED Fan Color Corrector - gradient correction
+ * Corrects multi-stop gradients for a device and flags where the correction
+ * breaks the smooth progression between stops.
+ */
+
+import {
+  resolveProfile,
+  rgbToHsl,
+  hueRangeWeight,
+  correct
+} from './correction.js';
+
+// Corrected channels that reverse by more than this count as non-monotonic
+const MONOTONIC_TOLERANCE = 3;
+
+// A corrected step this many times larger than the target step (and at
+// least BANDING_MIN_JUMP) shows up as a visible band
+const BANDING_RATIO = 3;
+const BANDING_MIN_JUMP = 12;
+
+/**
+ * Linearly interpolate between two colors
+ */
+export function mixColors(a, b, t) {
+  return {
+    r: Math.round(a.r + (b.r - a.r) * t),
+    g: Math.round(a.g + (b.g - a.g) * t),
+    b: Math.round(a.b + (b.b - a.b) * t)
+  };
+}
+
+/**
+ * Sample a gradient with evenly spaced stops
+ * @param {Array<{r, g, b}>} stops - At least two colors
+ * @param {number} count - Number of samples, including both ends
+ * @returns {Array<{position: number, segment: number, color: {r, g, b}}>}
+ */
+export function sampleGradient(stops, count) {
+  const segments = stops.length - 1;
+  return Array.from({ length: count }, (_, i) => {
+    const position = i / (count - 1);
+    const segment = Math.min(segments - 1, Math.floor(position * segments));
+    const t = position * segments - segment;
+    return { position, segment, color: mixColors(stops[segment], stops[segment + 1], t) };
+  });
+}
+
+/**
+ * Whether a series only rises or only falls, ignoring wobbles within
+ * MONOTONIC_TOLERANCE
+ */
+function isMonotonic(values) {
+  let rises = false;
+  let falls = false;
+  let min = values[0];
+  let max = values[0];
+  for (const value of values) {
+    if (value - min > MONOTONIC_TOLERANCE) rises = true;
+    if (max - value > MONOTONIC_TOLERANCE) falls = true;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+  return !(rises && falls);
+}
+
+/**
+ * Index of the hueCorrections range that dominates a color, or -1 when the
+ * base correction does
+ */
+function dominantRange(color, profile) {
+  const hsl = rgbToHsl(color.r, color.g, color.b);
+  if (hsl.s === 0) return -1;
+
+  let best = -1;
+  let bestWeight = 0.5;
+  profile.hueCorrections.forEach((correction, index) => {
+    const weight = hueRangeWeight(hsl.h, correction.range);
+    if (weight > bestWeight) {
+      best = index;
+      bestWeight = weight;
+    }
+  });
+  return best;
+}
+
+/**
+ * Describe a hueCorrections range for warnings
+ */
+function describeRange(profile, index) {
+  if (index < 0) return 'the base correction';
+  const [start, end] = profile.hueCorrections[index].range;
+  return `the ${start}°–${end}° correction`;
+}
+
+/**
+ * Correct a gradient for a device
+ * @param {Array<{r, g, b}>} stops - Target colors, evenly spaced
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{brightness?: number, samples?: number}} [options]
+ * @returns {{stops: Array, samples: Array, warnings: string[]}} Corrected stops,
+ *   corrected samples along the gradient and any problems found
+ */
+export function correctGradient(stops, deviceId, { brightness = 100, samples = 32 } = {}) {
+  if (stops.length < 2) {
+    throw new Error('A gradient needs at least two stops');
+  }
+  const profile = resolveProfile(deviceId);
+  const fix = (color) => correct(color, deviceId, { brightness });
+
+  const correctedStops = stops.map((target) => ({ target, corrected: fix(target) }));
+  const correctedSamples = sampleGradient(stops, Math.max(samples, stops.length * 2))
+    .map((sample) => ({ ...sample, target: sample.color, corrected: fix(sample.color) }));
+
+  const warnings = [];
+
+  // Neighbouring stops corrected by different ranges tend to band
+  for (let i = 0; i < stops.length - 1; i++) {
+    const from = dominantRange(stops[i], profile);
+    const to = dominantRange(stops[i + 1], profile);
+    if (from !== to) {
+      warnings.push(`Stops ${i + 1} and ${i + 2} use different corrections ` +
+        `(${describeRange(profile, from)} and ${describeRange(profile, to)}), so the blend between them may band`);
+    }
+  }
+
+  // Within each segment the target channels move one way, so the corrected ones should too
+  for (let segment = 0; segment < stops.length - 1; segment++) {
+    const inSegment = correctedSamples.filter((s) => s.segment === segment);
+    const reversed = ['r', 'g', 'b'].filter((channel) =>
+      !isMonotonic(inSegment.map(({ corrected }) => corrected[channel])));
+    if (reversed.length) {
+      warnings.push(`Between stops ${segment + 1} and ${segment + 2} the corrected ` +
+        `${reversed.map((c) => c.toUpperCase()).join('/')} channel goes back on itself`);
+    }
+
+    const jumps = inSegment.slice(1).filter((sample, i) => {
+      const prev = inSegment[i];
+      const targetStep = Math.max(...['r', 'g', 'b'].map((c) => Math.abs(sample.target[c] - prev.target[c])));
+      const correctedStep = Math.max(...['r', 'g', 'b'].map((c) => Math.abs(sample.corrected[c] - prev.corrected[c])));
+      return correctedStep >= BANDING_MIN_JUMP && correctedStep > targetStep * BANDING_RATIO;
+    });
+    if (jumps.length) {
+      warnings.push(`Between stops ${segment + 1} and ${segment + 2} the corrected colors jump sharply, which shows as a band`);
+    }
+  }
+
+  return { stops: correctedStops, samples: correctedSamples, warnings };
+}
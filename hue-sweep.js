@@ -0,0 +1,78 @@
+/**
+ * LED Fan Color Corrector - hue sweeps
+ * Runs the whole hue wheel through a device's correction so profiles can be
+ * charted and compared: where their hueCorrections ranges sit, where the
+ * corrected color jumps, and where two devices disagree most.
+ */
+
+import { resolveProfile, hslToRgb, rgbToHsl, deltaE, correct } from './correction.js';
+
+// Degrees between samples; small enough to show every range's blend
+export const HUE_STEP = 2;
+
+// A corrected step at least JUMP_MIN_DELTA_E and JUMP_RATIO times the
+// target step is a discontinuity rather than a steep blend
+const JUMP_MIN_DELTA_E = 6;
+const JUMP_RATIO = 3;
+
+/**
+ * Correct one color per hue around the wheel for a device
+ * @param {string} deviceId - Key of DEVICE_PROFILES
+ * @param {{saturation?: number, lightness?: number, brightness?: number, step?: number}} [options] -
+ *   HSL saturation and lightness of the swept colors in percent (default
+ *   100 and 50), the brightness to correct for and the degrees between samples
+ * @returns {{device: string, name: string, ranges: Array<{start: number, end: number}>,
+ *   samples: Array<{hue: number, target: {r, g, b}, corrected: {r, g, b}, correctedHue: number}>,
+ *   jumps: number[]}} jumps are the hues where the corrected color changes
+ *   far faster than the target does
+ */
+export function sweepHues(deviceId, { saturation = 100, lightness = 50, brightness = 100, step = HUE_STEP } = {}) {
+  const profile = resolveProfile(deviceId);
+  const samples = Array.from({ length: Math.ceil(360 / step) }, (_, i) => {
+    const hue = i * step;
+    const target = hslToRgb(hue, saturation, lightness);
+    const corrected = correct(target, deviceId, { brightness });
+    return { hue, target, corrected, correctedHue: rgbToHsl(corrected.r, corrected.g, corrected.b).h };
+  });
+
+  // Compare each sample with the one before it, wrapping past 360°, and
+  // report a run of jumping samples once
+  const jumping = samples.map((sample, i) => {
+    const prev = samples[(i + samples.length - 1) % samples.length];
+    const correctedStep = deltaE(prev.corrected, sample.corrected);
+    return correctedStep >= JUMP_MIN_DELTA_E && correctedStep > deltaE(prev.target, sample.target) * JUMP_RATIO;
+  });
+  const jumps = samples
+    .filter((_, i) => jumping[i] && !jumping[(i + samples.length - 1) % samples.length])
+    .map(({ hue }) => hue);
+
+  return {
+    device: deviceId,
+    name: profile.name,
+    ranges: profile.hueCorrections.map(({ range: [start, end] }) => ({ start, end })),
+    samples,
+    jumps
+  };
+}
+
+/**
+ * Hue where the corrected colors of several sweeps differ most
+ * @param {Array<ReturnType<typeof sweepHues>>} sweeps - Taken with the same options
+ * @returns {{hue: number, deltaE: number, devices: string[]}|null} The hue, the
+ *   ΔE between the two devices furthest apart there, and those devices;
+ *   null with fewer than two sweeps
+ */
+export function largestDisagreement(sweeps) {
+  let largest = null;
+  for (let i = 0; i < sweeps.length; i++) {
+    for (let j = i + 1; j < sweeps.length; j++) {
+      sweeps[i].samples.forEach((sample, index) => {
+        const difference = deltaE(sample.corrected, sweeps[j].samples[index].corrected);
+        if (!largest || difference > largest.deltaE) {
+          largest = { hue: sample.hue, deltaE: difference, devices: [sweeps[i].device, sweeps[j].device] };
+        }
+      });
+    }
+  }
+  return largest;
+}
@@ -0,0 +1,474 @@
+/**
+ * LED Fan Color Corrector - OpenRGB SDK client
+ * Speaks the OpenRGB SDK network protocol (TCP, port 6742 by default) so
+ * corrected colors can be set on devices directly. Node only: the page
+ * reaches it through bin/led-bridge.js.
+ *
+ * Every packet is a 16-byte header ("ORGB", device index, packet id, data
+ * size, all little-endian uint32) followed by the data.
+ */
+
+import { connect } from 'node:net';
+
+export const OPENRGB_PORT = 6742;
+
+// Highest SDK protocol version this client can parse
+export const CLIENT_PROTOCOL_VERSION = 3;
+
+// How long to wait for an answer before giving up
+const REPLY_TIMEOUT_MS = 2000;
+
+// Servers older than protocol version 1 never answer the version request
+const VERSION_TIMEOUT_MS = 500;
+
+// Saved profiles arrived in protocol version 2
+const PROFILES_PROTOCOL_VERSION = 2;
+
+// OpenRGB names the profile file after the profile, so keep names to
+// characters that are safe in a file name on every platform
+const PROFILE_NAME_PATTERN = /^[\w][\w ().,+-]{0,59}$/;
+
+const MAGIC = 'ORGB';
+const HEADER_SIZE = 16;
+
+export const PACKET = {
+  REQUEST_CONTROLLER_COUNT: 0,
+  REQUEST_CONTROLLER_DATA: 1,
+  REQUEST_PROTOCOL_VERSION: 40,
+  SET_CLIENT_NAME: 50,
+  DEVICE_LIST_UPDATED: 100,
+  REQUEST_PROFILE_LIST: 150,
+  REQUEST_SAVE_PROFILE: 151,
+  UPDATE_LEDS: 1050,
+  UPDATE_ZONE_LEDS: 1051,
+  SET_CUSTOM_MODE: 1100
+};
+
+/**
+ * Error for an unreachable server or a reply that can't be understood, or
+ * (with unreachable false) a request for something the server doesn't have
+ */
+export class OpenRgbError extends Error {
+  constructor(message, { unreachable = true } = {}) {
+    super(message);
+    this.name = 'OpenRgbError';
+    this.unreachable = unreachable;
+  }
+}
+
+/**
+ * Whether a name can be used for a saved OpenRGB profile
+ */
+export function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name) && name.trim() === name;
+}
+
+// ===== Packets =====
+
+/**
+ * Build a packet
+ * @param {number} deviceIndex - Controller the packet is about (0 when none)
+ * @param {number} packetId - One of PACKET
+ * @param {Buffer} [data]
+ */
+export function encodePacket(deviceIndex, packetId, data = Buffer.alloc(0)) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(deviceIndex, 4);
+  header.writeUInt32LE(packetId, 8);
+  header.writeUInt32LE(data.length, 12);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * A single little-endian uint32 as a buffer
+ */
+function uint32(value) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(value, 0);
+  return data;
+}
+
+/**
+ * Split the complete packets off the front of a receive buffer
+ * @returns {{packets: Array<{deviceIndex, packetId, data}>, rest: Buffer}} The
+ *   packets and the bytes of any packet still arriving
+ */
+export function decodePackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (buffer.length - offset >= HEADER_SIZE) {
+    if (buffer.toString('ascii', offset, offset + 4) !== MAGIC) {
+      throw new OpenRgbError('Received a packet that is not from an OpenRGB server');
+    }
+    const size = buffer.readUInt32LE(offset + 12);
+    if (buffer.length - offset - HEADER_SIZE < size) break;
+    packets.push({
+      deviceIndex: buffer.readUInt32LE(offset + 4),
+      packetId: buffer.readUInt32LE(offset + 8),
+      data: buffer.subarray(offset + HEADER_SIZE, offset + HEADER_SIZE + size)
+    });
+    offset += HEADER_SIZE + size;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Data of an UPDATE_LEDS or UPDATE_ZONE_LEDS packet setting count LEDs to
+ * one color
+ * @param {number|null} zoneIndex - Zone to set, or null for the whole controller
+ */
+export function encodeColors({ r, g, b }, count, zoneIndex = null) {
+  const zoneBytes = zoneIndex === null ? 0 : 4;
+  const data = Buffer.alloc(4 + zoneBytes + 2 + count * 4);
+  data.writeUInt32LE(data.length, 0);
+  if (zoneIndex !== null) data.writeUInt32LE(zoneIndex, 4);
+  data.writeUInt16LE(count, 4 + zoneBytes);
+  for (let i = 0; i < count; i++) {
+    const offset = 6 + zoneBytes + i * 4;
+    data[offset] = r;
+    data[offset + 1] = g;
+    data[offset + 2] = b;
+  }
+  return data;
+}
+
+/**
+ * Sequential reader over little-endian packet data
+ */
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new OpenRgbError('Data from OpenRGB is truncated');
+    }
+    const start = this.offset;
+    this.offset += size;
+    return start;
+  }
+
+  u16() {
+    return this.buffer.readUInt16LE(this.take(2));
+  }
+
+  u32() {
+    return this.buffer.readUInt32LE(this.take(4));
+  }
+
+  i32() {
+    return this.buffer.readInt32LE(this.take(4));
+  }
+
+  // Strings are a uint16 length (including the trailing NUL) and the bytes
+  string() {
+    const length = this.u16();
+    const start = this.take(length);
+    return this.buffer.toString('utf8', start, start + Math.max(0, length - 1));
+  }
+
+  skip(size) {
+    this.take(size);
+  }
+}
+
+/**
+ * Parse a REQUEST_CONTROLLER_DATA reply. Only the parts needed to pick a
+ * device and set its color are kept.
+ * @param {Buffer} data
+ * @param {number} version - Protocol version agreed with the server
+ * @returns {{name, vendor, description, location, zones: Array<{index, name, ledCount}>, ledCount}}
+ */
+export function parseControllerData(data, version) {
+  const reader = new Reader(data);
+  reader.u32(); // data size
+  reader.i32(); // device type
+  const name = reader.string();
+  const vendor = version >= 1 ? reader.string() : '';
+  const description = reader.string();
+  reader.string(); // firmware version
+  reader.string(); // serial
+  const location = reader.string();
+
+  const modeCount = reader.u16();
+  reader.i32(); // active mode
+  for (let i = 0; i < modeCount; i++) {
+    reader.string(); // mode name
+    reader.skip(16); // value, flags, speed min/max
+    if (version >= 3) reader.skip(8); // brightness min/max
+    reader.skip(12); // colors min/max, speed
+    if (version >= 3) reader.skip(4); // brightness
+    reader.skip(8); // direction, color mode
+    reader.skip(reader.u16() * 4); // mode colors
+  }
+
+  const zoneCount = reader.u16();
+  const zones = [];
+  for (let index = 0; index < zoneCount; index++) {
+    const zoneName = reader.string();
+    reader.skip(12); // type, LEDs min/max
+    const ledCount = reader.u32();
+    reader.skip(reader.u16()); // matrix map
+    zones.push({ index, name: zoneName, ledCount });
+  }
+
+  const ledCount = reader.u16();
+  return { name, vendor, description, location, zones, ledCount };
+}
+
+/**
+ * Parse a REQUEST_PROFILE_LIST reply
+ * @returns {string[]} Profile names
+ */
+export function parseProfileList(data) {
+  const reader = new Reader(data);
+  reader.u32(); // data size
+  const count = reader.u16();
+  return Array.from({ length: count }, () => reader.string());
+}
+
+// ===== Client =====
+
+/**
+ * Connection to an OpenRGB server. Connects on first use and again after
+ * the connection drops, so one client can live as long as the bridge.
+ */
+export class OpenRgbClient {
+  /**
+   * @param {{host?: string, port?: number, name?: string}} [options]
+   */
+  constructor({ host = '127.0.0.1', port = OPENRGB_PORT, name = 'LED Color Corrector' } = {}) {
+    this.host = host;
+    this.port = port;
+    this.name = name;
+    this.socket = null;
+    this.connecting = null;
+    this.version = 0;
+    this.received = Buffer.alloc(0);
+    this.waiting = []; // { packetId, resolve, reject, timer } in send order
+    this.controllerCount = null; // Fetched once per connection
+    this.controllers = new Map(); // Parsed controller data by index
+    this.customMode = new Set(); // Controllers already switched to direct control
+  }
+
+  get address() {
+    return `${this.host}:${this.port}`;
+  }
+
+  get connected() {
+    return this.socket !== null && this.connecting === null;
+  }
+
+  /**
+   * Open the connection and agree on a protocol version
+   */
+  connect() {
+    if (this.socket) return this.connecting || Promise.resolve();
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = connect({ host: this.host, port: this.port });
+      this.socket = socket;
+      socket.setNoDelay(true);
+
+      socket.once('connect', async () => {
+        try {
+          const reply = await this.request(0, PACKET.REQUEST_PROTOCOL_VERSION,
+            uint32(CLIENT_PROTOCOL_VERSION), VERSION_TIMEOUT_MS).catch(() => null);
+          this.version = reply ? Math.min(reply.readUInt32LE(0), CLIENT_PROTOCOL_VERSION) : 0;
+          this.send(0, PACKET.SET_CLIENT_NAME, Buffer.from(`${this.name}\0`, 'utf8'));
+          this.connecting = null;
+          resolve();
+        } catch (err) {
+          this.close();
+          reject(err);
+        }
+      });
+      socket.on('data', (chunk) => this.receive(chunk));
+      socket.on('error', (err) => {
+        const error = new OpenRgbError(`Could not reach OpenRGB at ${this.address} (${err.code || err.message})`);
+        if (this.connecting) reject(error);
+        this.drop(error);
+      });
+      socket.on('close', () => this.drop(new OpenRgbError(`Connection to OpenRGB at ${this.address} closed`)));
+    });
+    return this.connecting;
+  }
+
+  /**
+   * Forget the connection and fail anything still waiting on it
+   */
+  drop(error) {
+    if (this.socket) this.socket.destroy();
+    this.socket = null;
+    this.connecting = null;
+    this.received = Buffer.alloc(0);
+    this.controllerCount = null;
+    this.controllers.clear();
+    this.customMode.clear();
+    this.waiting.splice(0).forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  }
+
+  close() {
+    this.drop(new OpenRgbError('Connection closed'));
+  }
+
+  /**
+   * Handle incoming bytes, answering waiting requests in order
+   */
+  receive(chunk) {
+    let decoded;
+    try {
+      decoded = decodePackets(Buffer.concat([this.received, chunk]));
+    } catch (err) {
+      this.drop(err);
+      return;
+    }
+    this.received = decoded.rest;
+
+    for (const packet of decoded.packets) {
+      if (packet.packetId === PACKET.DEVICE_LIST_UPDATED) {
+        this.controllerCount = null;
+        this.controllers.clear();
+        this.customMode.clear();
+        continue;
+      }
+      const index = this.waiting.findIndex((entry) => entry.packetId === packet.packetId);
+      if (index === -1) continue;
+      const [entry] = this.waiting.splice(index, 1);
+      clearTimeout(entry.timer);
+      entry.resolve(packet.data);
+    }
+  }
+
+  send(deviceIndex, packetId, data) {
+    if (!this.socket) {
+      throw new OpenRgbError(`Not connected to OpenRGB at ${this.address}`);
+    }
+    this.socket.write(encodePacket(deviceIndex, packetId, data));
+  }
+
+  /**
+   * Send a packet and wait for the reply with the same packet id
+   * @returns {Promise<Buffer>} Reply data
+   */
+  request(deviceIndex, packetId, data, timeout = REPLY_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const entry = { packetId, resolve, reject };
+      entry.timer = setTimeout(() => {
+        this.waiting.splice(this.waiting.indexOf(entry), 1);
+        reject(new OpenRgbError(`OpenRGB at ${this.address} did not answer`));
+      }, timeout);
+      this.waiting.push(entry);
+      this.send(deviceIndex, packetId, data);
+    });
+  }
+
+  /**
+   * Number of controllers the server knows about
+   */
+  async countControllers() {
+    await this.connect();
+    if (this.controllerCount === null) {
+      this.controllerCount = (await this.request(0, PACKET.REQUEST_CONTROLLER_COUNT)).readUInt32LE(0);
+    }
+    return this.controllerCount;
+  }
+
+  /**
+   * Data for one controller, fetched once per connection. The index is
+   * checked first: the server never answers for a controller it doesn't have.
+   */
+  async getController(index) {
+    const count = await this.countControllers();
+    if (index >= count) {
+      throw new OpenRgbError(`OpenRGB has no controller ${index} (it has ${count})`, { unreachable: false });
+    }
+    if (!this.controllers.has(index)) {
+      const data = await this.request(index, PACKET.REQUEST_CONTROLLER_DATA,
+        this.version > 0 ? uint32(this.version) : undefined);
+      this.controllers.set(index, parseControllerData(data, this.version));
+    }
+    return this.controllers.get(index);
+  }
+
+  /**
+   * Every controller the server knows about
+   * @returns {Promise<Array<{index, name, vendor, description, location, zones, ledCount}>>}
+   */
+  async listControllers() {
+    const count = await this.countControllers();
+    const controllers = [];
+    for (let index = 0; index < count; index++) {
+      controllers.push({ index, ...(await this.getController(index)) });
+    }
+    return controllers;
+  }
+
+  /**
+   * Set every LED of a controller, or of one of its zones, to a color
+   * @param {number} controllerIndex
+   * @param {{r, g, b}} color
+   * @param {number|null} [zoneIndex]
+   */
+  async setColor(controllerIndex, color, zoneIndex = null) {
+    const controller = await this.getController(controllerIndex);
+    const zone = zoneIndex === null ? null : controller.zones[zoneIndex];
+    if (zoneIndex !== null && !zone) {
+      throw new OpenRgbError(`${controller.name} has no zone ${zoneIndex}`, { unreachable: false });
+    }
+
+    // Colors only stick once the controller is in direct (custom) mode
+    if (!this.customMode.has(controllerIndex)) {
+      this.send(controllerIndex, PACKET.SET_CUSTOM_MODE);
+      this.customMode.add(controllerIndex);
+    }
+    if (zone) {
+      this.send(controllerIndex, PACKET.UPDATE_ZONE_LEDS, encodeColors(color, zone.ledCount, zoneIndex));
+    } else {
+      this.send(controllerIndex, PACKET.UPDATE_LEDS, encodeColors(color, controller.ledCount));
+    }
+  }
+
+  /**
+   * Names of the profiles saved in OpenRGB
+   * @returns {Promise<string[]>}
+   */
+  async listProfiles() {
+    await this.connect();
+    this.requireProfiles();
+    return parseProfileList(await this.request(0, PACKET.REQUEST_PROFILE_LIST));
+  }
+
+  /**
+   * Save every device's current colors as an OpenRGB profile, which then
+   * shows in OpenRGB's profile list and can be loaded at startup. The server
+   * doesn't answer a save, so the profile list is checked afterwards.
+   * @param {string} name - Replaces any profile with the same name
+   */
+  async saveProfile(name) {
+    if (!isValidProfileName(name)) {
+      throw new OpenRgbError(`"${name}" can't be used as an OpenRGB profile name`, { unreachable: false });
+    }
+    await this.connect();
+    this.requireProfiles();
+    this.send(0, PACKET.REQUEST_SAVE_PROFILE, Buffer.from(`${name}\0`, 'utf8'));
+    if (!(await this.listProfiles()).includes(name)) {
+      throw new OpenRgbError(`OpenRGB at ${this.address} did not save the profile "${name}"`);
+    }
+  }
+
+  /**
+   * Throw unless the server speaks a protocol version with profiles
+   */
+  requireProfiles() {
+    if (this.version < PROFILES_PROTOCOL_VERSION) {
+      throw new OpenRgbError(`OpenRGB at ${this.address} is too old to save profiles; update to 0.6 or later`);
+    }
+  }
+}
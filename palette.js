@@ -0,0 +1,146 @@
+/**
+ * LED Fan Color Corrector - image palettes
+ * Pulls the dominant colors out of an image's pixels so case lighting can be
+ * matched to a wallpaper or game theme. Works on raw RGBA data, so images
+ * never leave the browser.
+ */
+
+// Allowed number of colors in a palette
+export const PALETTE_SIZE = { min: 3, max: 8 };
+
+// Pixels more transparent than this are ignored
+const MIN_ALPHA = 128;
+
+// Boxes whose channels all vary less than this are one color already
+const MIN_SPLIT_RANGE = 24;
+
+// k-means passes used to settle the boxes onto real clusters
+const REFINE_PASSES = 4;
+
+const CHANNELS = ['r', 'g', 'b'];
+
+/**
+ * Opaque pixels of RGBA data as { r, g, b }
+ */
+function readPixels(data) {
+  const pixels = [];
+  for (let i = 0; i + 3 < data.length; i += 4) {
+    if (data[i + 3] >= MIN_ALPHA) {
+      pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Channel with the widest spread in a set of pixels, and that spread
+ */
+function widestChannel(pixels) {
+  let best = { channel: 'r', range: -1 };
+  for (const channel of CHANNELS) {
+    let min = 255;
+    let max = 0;
+    for (const pixel of pixels) {
+      min = Math.min(min, pixel[channel]);
+      max = Math.max(max, pixel[channel]);
+    }
+    if (max - min > best.range) {
+      best = { channel, range: max - min };
+    }
+  }
+  return best;
+}
+
+/**
+ * Average color of a set of pixels
+ */
+function meanColor(pixels) {
+  const sum = { r: 0, g: 0, b: 0 };
+  for (const pixel of pixels) {
+    sum.r += pixel.r;
+    sum.g += pixel.g;
+    sum.b += pixel.b;
+  }
+  return { r: sum.r / pixels.length, g: sum.g / pixels.length, b: sum.b / pixels.length };
+}
+
+/**
+ * Split pixels into up to count boxes, always cutting the box with the
+ * widest channel spread at the middle of that spread. Cutting at the middle
+ * rather than the median keeps a small, distinct accent color from being
+ * swallowed by a large neighbouring area.
+ */
+function splitBoxes(pixels, count) {
+  const boxes = [pixels];
+  while (boxes.length < count) {
+    let target = -1;
+    let widest = null;
+    boxes.forEach((box, index) => {
+      const spread = widestChannel(box);
+      if (spread.range >= MIN_SPLIT_RANGE && (!widest || spread.range > widest.range)) {
+        target = index;
+        widest = spread;
+      }
+    });
+    if (target < 0) break;
+
+    const { channel, range } = widest;
+    const min = boxes[target].reduce((lowest, pixel) => Math.min(lowest, pixel[channel]), 255);
+    const cut = min + range / 2;
+    boxes.splice(target, 1,
+      boxes[target].filter((pixel) => pixel[channel] < cut),
+      boxes[target].filter((pixel) => pixel[channel] >= cut));
+  }
+  return boxes;
+}
+
+/**
+ * Squared RGB distance between two colors
+ */
+function distance(a, b) {
+  return (a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2;
+}
+
+/**
+ * Find the dominant colors of an image
+ * @param {Uint8ClampedArray|number[]} data - RGBA pixel data, e.g. from getImageData
+ * @param {number} count - Number of colors, between PALETTE_SIZE.min and max
+ * @returns {Array<{color: {r, g, b}, share: number}>} Colors with the fraction
+ *   of the image they cover, most common first. Fewer than count when the
+ *   image has fewer distinct colors.
+ */
+export function extractPalette(data, count) {
+  if (!Number.isInteger(count) || count < PALETTE_SIZE.min || count > PALETTE_SIZE.max) {
+    throw new Error(`Palette size must be between ${PALETTE_SIZE.min} and ${PALETTE_SIZE.max}`);
+  }
+  const pixels = readPixels(data);
+  if (!pixels.length) {
+    throw new Error('The image has no opaque pixels');
+  }
+
+  let centers = splitBoxes(pixels, count).map(meanColor);
+  let members = [];
+  for (let pass = 0; pass < REFINE_PASSES; pass++) {
+    members = centers.map(() => []);
+    for (const pixel of pixels) {
+      let nearest = 0;
+      centers.forEach((center, index) => {
+        if (distance(pixel, center) < distance(pixel, centers[nearest])) nearest = index;
+      });
+      members[nearest].push(pixel);
+    }
+    centers = members.map((group, index) => (group.length ? meanColor(group) : centers[index]));
+  }
+
+  // Merge clusters that round to the same color
+  const palette = new Map();
+  centers.forEach((center, index) => {
+    if (!members[index].length) return;
+    const color = { r: Math.round(center.r), g: Math.round(center.g), b: Math.round(center.b) };
+    const key = `${color.r},${color.g},${color.b}`;
+    const share = members[index].length / pixels.length;
+    palette.set(key, { color, share: (palette.get(key)?.share || 0) + share });
+  });
+
+  return [...palette.values()].sort((a, b) => b.share - a.share);
+}
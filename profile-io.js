@@ -0,0 +1,364 @@
+/**
+ * LED Fan Color Corrector - profile import/export
+ * Versioned JSON format for sharing device profiles, with strict validation
+ * so a bad file is rejected with readable messages instead of reaching the
+ * correction engine.
+ */
+
+// ===== File Format =====
+export const PROFILE_FORMAT = 'led-color-corrector-profile';
+// Raised whenever profiles gain fields, so older readers report the version
+// instead of unknown fields. Version 2 added model, description, icon,
+// whiteBalance, brightnessResponse, algorithm, zones, variants, variant and
+// extends; version 1 files are still valid.
+export const PROFILE_FORMAT_VERSION = 2;
+
+// Allowed values for profile parameters
+export const PROFILE_LIMITS = {
+  multiplier: [0, 1.5],
+  hueShift: [-45, 45],
+  saturationBoost: [0.5, 2],
+  whiteGain: [0.3, 1],
+  brightnessRecommendation: [10, 100],
+  brightness: [1, 100],
+  gamma: [0.5, 3],
+  maxBrightnessPoints: 12,
+  maxHueCorrections: 24,
+  maxLayers: 8,
+  maxTextLength: 60
+};
+
+const PROFILE_FIELDS = [
+  'name', 'model', 'description', 'icon', 'brand', 'software', 'custom',
+  'greenReduction', 'hueShift', 'saturationBoost', 'blueReduction', 'whiteBalance',
+  'brightnessResponse', 'brightnessRecommendation', 'algorithm', 'hueCorrections', 'zones',
+  'variants', 'variant'
+];
+
+// Fields a zone or variant can set for itself, besides its name
+const LAYER_FIELDS = [
+  'greenReduction', 'hueShift', 'saturationBoost', 'blueReduction', 'whiteBalance',
+  'brightnessResponse', 'hueCorrections'
+];
+
+// Keys of ALGORITHMS in correction.js
+const ALGORITHM_NAMES = ['hsl', 'oklab'];
+const HUE_CORRECTION_FIELDS = ['range', 'greenMultiplier', 'blueMultiplier', 'hueShift'];
+
+/**
+ * Error thrown when a profile file can't be imported
+ */
+export class ProfileValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid profile: ${errors.join('; ')}`);
+    this.name = 'ProfileValidationError';
+    this.errors = errors;
+  }
+}
+
+// ===== Validation =====
+
+/**
+ * Check that a value is a finite number within [min, max]
+ */
+function checkNumber(errors, label, value, [min, max]) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${label} must be a number`);
+  } else if (value < min || value > max) {
+    errors.push(`${label} must be between ${min} and ${max} (got ${value})`);
+  }
+}
+
+/**
+ * Check that a value is a non-empty string of reasonable length
+ */
+function checkText(errors, label, value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${label} must be a non-empty string`);
+  } else if (value.length > PROFILE_LIMITS.maxTextLength) {
+    errors.push(`${label} must be at most ${PROFILE_LIMITS.maxTextLength} characters`);
+  }
+}
+
+/**
+ * Report keys that aren't part of the format
+ */
+function checkKeys(errors, label, object, allowed) {
+  Object.keys(object)
+    .filter((key) => !allowed.includes(key))
+    .forEach((key) => errors.push(`${label} has unknown field "${key}"`));
+}
+
+/**
+ * Convert a [start, end] hue range into one or two plain [from, to] arcs
+ */
+function rangeArcs([start, end]) {
+  if (end - start >= 360) return [[0, 360]];
+  return start <= end ? [[start, end]] : [[start, 360], [0, end]];
+}
+
+/**
+ * Whether two hue ranges share more than an edge
+ */
+function rangesOverlap(a, b) {
+  return rangeArcs(a).some(([aFrom, aTo]) =>
+    rangeArcs(b).some(([bFrom, bTo]) => aFrom < bTo && bFrom < aTo));
+}
+
+/**
+ * Validate one hueCorrections entry
+ */
+function validateHueCorrection(errors, correction, index) {
+  const label = `hueCorrections[${index}]`;
+  if (!correction || typeof correction !== 'object' || Array.isArray(correction)) {
+    errors.push(`${label} must be an object`);
+    return false;
+  }
+  checkKeys(errors, label, correction, HUE_CORRECTION_FIELDS);
+
+  const { range } = correction;
+  let rangeValid = Array.isArray(range) && range.length === 2 &&
+    range.every((n) => typeof n === 'number' && Number.isFinite(n) && n >= 0 && n <= 360);
+  if (!rangeValid) {
+    errors.push(`${label}.range must be [start, end] with both hues between 0 and 360`);
+  } else if (range[0] === range[1]) {
+    errors.push(`${label}.range must not be empty (start and end are both ${range[0]})`);
+    rangeValid = false;
+  }
+
+  if (correction.greenMultiplier !== undefined) {
+    checkNumber(errors, `${label}.greenMultiplier`, correction.greenMultiplier, PROFILE_LIMITS.multiplier);
+  }
+  if (correction.blueMultiplier !== undefined) {
+    checkNumber(errors, `${label}.blueMultiplier`, correction.blueMultiplier, PROFILE_LIMITS.multiplier);
+  }
+  checkNumber(errors, `${label}.hueShift`, correction.hueShift, PROFILE_LIMITS.hueShift);
+
+  return rangeValid;
+}
+
+/**
+ * Validate a brightnessResponse curve
+ */
+function validateBrightnessResponse(errors, response) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    errors.push('brightnessResponse must be an object with gamma and hueShifts');
+    return;
+  }
+  checkKeys(errors, 'brightnessResponse', response, ['gamma', 'hueShifts']);
+  checkNumber(errors, 'brightnessResponse.gamma', response.gamma, PROFILE_LIMITS.gamma);
+
+  if (!Array.isArray(response.hueShifts)) {
+    errors.push('brightnessResponse.hueShifts must be an array');
+    return;
+  }
+  if (response.hueShifts.length > PROFILE_LIMITS.maxBrightnessPoints) {
+    errors.push(`brightnessResponse.hueShifts can have at most ${PROFILE_LIMITS.maxBrightnessPoints} entries`);
+  }
+
+  let previous = -Infinity;
+  response.hueShifts.forEach((point, index) => {
+    const label = `brightnessResponse.hueShifts[${index}]`;
+    if (!point || typeof point !== 'object' || Array.isArray(point)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    checkKeys(errors, label, point, ['brightness', 'hueShift']);
+    checkNumber(errors, `${label}.brightness`, point.brightness, PROFILE_LIMITS.brightness);
+    checkNumber(errors, `${label}.hueShift`, point.hueShift, PROFILE_LIMITS.hueShift);
+    if (typeof point.brightness === 'number') {
+      if (point.brightness <= previous) {
+        errors.push(`${label}.brightness must be higher than the entry before it`);
+      }
+      previous = point.brightness;
+    }
+  });
+}
+
+/**
+ * Validate a profile's zones or variants. Each one is checked as the profile
+ * it corrects with, when the device itself is valid.
+ */
+function validateLayers(errors, profile, field, deviceValid) {
+  const layers = profile[field];
+  if (!layers || typeof layers !== 'object' || Array.isArray(layers)) {
+    errors.push(`${field} must be an object of entries by id`);
+    return;
+  }
+  const ids = Object.keys(layers);
+  if (ids.length > PROFILE_LIMITS.maxLayers) {
+    errors.push(`${field} can have at most ${PROFILE_LIMITS.maxLayers} entries`);
+  }
+
+  ids.forEach((id) => {
+    const label = `${field}.${id}`;
+    const layer = layers[id];
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      errors.push(`${label}: ids must be lowercase letters, digits and dashes`);
+    }
+    if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    checkKeys(errors, label, layer, ['name', ...LAYER_FIELDS]);
+    checkText(errors, `${label}.name`, layer.name);
+    if (deviceValid) {
+      const overrides = Object.fromEntries(LAYER_FIELDS.filter((key) => key in layer).map((key) => [key, layer[key]]));
+      validateProfile({ ...profile, ...overrides, zones: undefined, variants: undefined, variant: undefined })
+        .forEach((error) => errors.push(`${label}: ${error}`));
+    }
+  });
+}
+
+/**
+ * Validate a device profile
+ * @param {object} profile
+ * @param {{bases?: Object<string, object>}} [options] - Profiles by id that
+ *   an extends field may name; the profile is checked with its base's fields
+ *   filled in
+ * @returns {string[]} Readable error messages, empty when the profile is valid
+ */
+export function validateProfile(profile, { bases = {} } = {}) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object'];
+  }
+  if (profile.extends !== undefined) {
+    const { extends: base, ...own } = profile;
+    if (typeof base !== 'string' || !Object.hasOwn(bases, base)) {
+      return [`extends must be the id of a known device (got ${JSON.stringify(base)})`];
+    }
+    return validateProfile({ ...bases[base], ...own });
+  }
+  checkKeys(errors, 'profile', profile, PROFILE_FIELDS);
+
+  checkText(errors, 'name', profile.name);
+  if (profile.custom !== undefined && typeof profile.custom !== 'boolean') {
+    errors.push('custom must be true or false');
+  }
+  checkText(errors, 'software', profile.software);
+  ['model', 'description', 'icon'].forEach((field) => {
+    if (profile[field] !== undefined) {
+      checkText(errors, field, profile[field]);
+    }
+  });
+  if (typeof profile.brand !== 'string' || !/^[a-z0-9-]+$/.test(profile.brand)) {
+    errors.push('brand must be lowercase letters, digits and dashes');
+  }
+
+  checkNumber(errors, 'greenReduction', profile.greenReduction, PROFILE_LIMITS.multiplier);
+  checkNumber(errors, 'blueReduction', profile.blueReduction, PROFILE_LIMITS.multiplier);
+  checkNumber(errors, 'saturationBoost', profile.saturationBoost, PROFILE_LIMITS.saturationBoost);
+  checkNumber(errors, 'hueShift', profile.hueShift, PROFILE_LIMITS.hueShift);
+  if (profile.whiteBalance !== undefined) {
+    const gains = profile.whiteBalance;
+    if (!gains || typeof gains !== 'object' || Array.isArray(gains)) {
+      errors.push('whiteBalance must be an object with r, g and b gains');
+    } else {
+      checkKeys(errors, 'whiteBalance', gains, ['r', 'g', 'b']);
+      ['r', 'g', 'b'].forEach((channel) => {
+        checkNumber(errors, `whiteBalance.${channel}`, gains[channel], PROFILE_LIMITS.whiteGain);
+      });
+    }
+  }
+  if (profile.brightnessResponse !== undefined) {
+    validateBrightnessResponse(errors, profile.brightnessResponse);
+  }
+  if (profile.brightnessRecommendation !== undefined) {
+    checkNumber(errors, 'brightnessRecommendation', profile.brightnessRecommendation,
+      PROFILE_LIMITS.brightnessRecommendation);
+  }
+
+  if (profile.algorithm !== undefined && !ALGORITHM_NAMES.includes(profile.algorithm)) {
+    errors.push(`algorithm must be one of ${ALGORITHM_NAMES.join(', ')}`);
+  }
+
+  if (!Array.isArray(profile.hueCorrections)) {
+    errors.push('hueCorrections must be an array');
+    return errors;
+  }
+  if (profile.hueCorrections.length > PROFILE_LIMITS.maxHueCorrections) {
+    errors.push(`hueCorrections can have at most ${PROFILE_LIMITS.maxHueCorrections} entries`);
+  }
+
+  const validRanges = [];
+  profile.hueCorrections.forEach((correction, index) => {
+    if (validateHueCorrection(errors, correction, index)) {
+      validRanges.push({ index, range: correction.range });
+    }
+  });
+
+  validRanges.forEach((a, i) => {
+    validRanges.slice(i + 1).forEach((b) => {
+      if (rangesOverlap(a.range, b.range)) {
+        errors.push(`hueCorrections[${a.index}].range [${a.range.join(', ')}] overlaps ` +
+          `hueCorrections[${b.index}].range [${b.range.join(', ')}]`);
+      }
+    });
+  });
+
+  const deviceValid = errors.length === 0;
+  if (profile.zones !== undefined) {
+    validateLayers(errors, profile, 'zones', deviceValid);
+  }
+  if (profile.variants !== undefined) {
+    validateLayers(errors, profile, 'variants', deviceValid);
+  }
+  if (profile.variant !== undefined && !Object.hasOwn(profile.variants || {}, profile.variant)) {
+    errors.push('variant must be the id of one of the profile\'s variants');
+  }
+  return errors;
+}
+
+// ===== Import / Export =====
+
+/**
+ * Serialize a profile to the shareable JSON format
+ */
+export function exportProfile(deviceId, profile) {
+  const { custom, ...shared } = profile;
+  return JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_FORMAT_VERSION,
+    id: deviceId,
+    profile: shared
+  }, null, 2);
+}
+
+/**
+ * Parse and validate a profile file
+ * @param {string} text - File contents
+ * @param {{bases?: Object<string, object>}} [options] - as for validateProfile()
+ * @returns {{id: string, profile: object}} The profile and the id it was exported under
+ * @throws {ProfileValidationError} With every problem found
+ */
+export function importProfile(text, { bases } = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ProfileValidationError(['file is not valid JSON']);
+  }
+
+  if (!data || data.format !== PROFILE_FORMAT) {
+    throw new ProfileValidationError(['file is not an LED Color Corrector profile']);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ProfileValidationError(['version must be a positive integer']);
+  }
+  if (data.version > PROFILE_FORMAT_VERSION) {
+    throw new ProfileValidationError([
+      `profile uses format version ${data.version}, this app supports up to ${PROFILE_FORMAT_VERSION}`
+    ]);
+  }
+  if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) {
+    throw new ProfileValidationError(['id must be lowercase letters, digits and dashes']);
+  }
+
+  const errors = validateProfile(data.profile, { bases });
+  if (errors.length) {
+    throw new ProfileValidationError(errors);
+  }
+
+  return { id: data.id, profile: data.profile };
+}
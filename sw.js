@@ -0,0 +1,71 @@
+/**
+ * LED Fan Color Corrector - service worker
+ * Caches the page, its modules and fonts so the corrector installs and works
+ * without a network. Each deploy stamps CACHE_VERSION with the commit (see
+ * .github/workflows/static.yml), so browsers download the new files into a
+ * fresh cache and the page offers to reload onto them. A checkout served
+ * locally keeps 'dev' and caches nothing, so edits show up on reload.
+ */
+
+// Replaced with the deployed commit; 'dev' when served from a checkout
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'led-color-corrector-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const CACHING = CACHE_VERSION !== 'dev';
+
+// Everything the page loads. The Node-only modules (openrgb-sdk.js, e131.js,
+// wled.js) and bin/ never run in the browser, so they aren't cached.
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'app.js',
+  'correction.js',
+  'calibration.js',
+  'profile-io.js',
+  'gradient.js',
+  'effects.js',
+  'hue-sweep.js',
+  'palette.js',
+  'exporters.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-maskable.svg',
+  'fonts/inter-latin-wght-normal.woff2',
+  'fonts/inter-greek-wght-normal.woff2'
+];
+
+self.addEventListener('install', (event) => {
+  if (!CACHING) return;
+  // Bypass the HTTP cache so a new version never caches the old files
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) =>
+    cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then((names) => Promise.all(names
+      // In dev this also clears what an earlier build cached on this origin
+      .filter((name) => name.startsWith(CACHE_PREFIX) && (name !== CACHE_NAME || !CACHING))
+      .map((name) => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (!CACHING) return;
+  // The LED bridge and anything else off-site go straight to the network
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Shared links carry the color in the query string, so ignore it when matching
+  event.respondWith(caches.open(CACHE_NAME)
+    .then((cache) => cache.match(request, { ignoreSearch: true }))
+    .then((cached) => cached || fetch(request)));
+});
+
+// The page sends this when the user accepts an update
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skipWaiting') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { sampleLedColor, photoSample, fitProfile, CALIBRATION_COLORS } from '../calibration.js';
+import { validateProfile } from '../profile-io.js';
+import { fixtureUrl, assertFixture, readPng } from './helpers.js';
+
+// test/fixtures/photos holds one rendered photo of a lit fan per calibration
+// color, named by the value sent. Each LED ring shows the color listed as
+// "shown" in photos.json, under uneven exposure with sensor noise, glow on the
+// case and a few blown-out highlights. region is the area a user would mark.
+const PHOTOS = JSON.parse(readFileSync(fixtureUrl('photos/photos.json'), 'utf8'));
+
+// Sensor noise and rounding move a sampled channel by about 1
+const SAMPLE_TOLERANCE = 2;
+
+function samplesFromPhotos() {
+  return PHOTOS.map((photo) => photoSample(readPng(`photos/${photo.file}`), photo.region, photo.sent));
+}
+
+test('photo fixtures cover every calibration color', () => {
+  assert.deepEqual(PHOTOS.map((photo) => photo.sent), CALIBRATION_COLORS);
+});
+
+test('photo samples recover the color the LEDs showed', () => {
+  for (const [i, sample] of samplesFromPhotos().entries()) {
+    const { file, shown } = PHOTOS[i];
+    for (const channel of ['r', 'g', 'b']) {
+      assert.ok(Math.abs(sample.observed[channel] - shown[channel]) <= SAMPLE_TOLERANCE,
+        `${file}: sampled ${JSON.stringify(sample.observed)}, LEDs showed ${JSON.stringify(shown)}`);
+    }
+  }
+});
+
+test('blown-out pixels are skipped', () => {
+  const image = { width: 2, height: 1, data: new Uint8ClampedArray([255, 255, 255, 255, 200, 40, 10, 255]) };
+  assert.deepEqual(sampleLedColor(image, { x: 0, y: 0, width: 2, height: 1 }), { r: 200, g: 40, b: 10 });
+  assert.throws(() => sampleLedColor(image, { x: 0, y: 0, width: 1, height: 1 }), /no usable pixels/);
+});
+
+test('fitting photo samples matches fitting the true colors', () => {
+  const fromPhotos = fitProfile(samplesFromPhotos());
+  const exact = fitProfile(PHOTOS.map((photo) => ({ sent: photo.sent, observed: photo.shown })));
+
+  assert.deepEqual(validateProfile(fromPhotos.profile), []);
+  assert.equal(fromPhotos.errors.length, CALIBRATION_COLORS.length);
+  for (const [i, { hue, error }] of fromPhotos.errors.entries()) {
+    assert.ok(Math.abs(hue - exact.errors[i].hue) <= 1, `${PHOTOS[i].file}: hue ${hue}`);
+    assert.ok(Math.abs(error - exact.errors[i].error) <= 1,
+      `${PHOTOS[i].file}: fit error ${error}, ${exact.errors[i].error} from the true colors`);
+  }
+
+  assertFixture('photo-fit.json', `${JSON.stringify(fromPhotos, null, 2)}\n`);
+});
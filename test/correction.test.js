@@ -0,0 +1,455 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEVICE_PROFILES,
+  getVariants,
+  correct,
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  isValidHex,
+  deltaE,
+  wrapHue,
+  hueRangeWeight,
+  blendCorrections,
+  registerProfile,
+  unregisterProfile,
+  resolveProfile,
+  simulate,
+  checkGamut,
+  kelvinToRgb,
+  correctWhite,
+  rgbToOklab,
+  hueDelta,
+  getBrightnessResponse,
+  recommendBrightness,
+  correctionOverflow,
+  getZones,
+  correctZones,
+  getProfileSource
+} from '../correction.js';
+import { assertFixture } from './helpers.js';
+
+// The Quick Presets on the page, plus primaries and white
+const PRESET_COLORS = ['#FF6600', '#800080', '#00CED1', '#FFD700', '#FF1493', '#00FF00', '#FF0000', '#0000FF', '#FFFFFF'];
+const BRIGHTNESS_LEVELS = [100, 60, 20];
+
+test('color conversions round-trip', () => {
+  assert.deepEqual(hexToRgb('#FF6600'), { r: 255, g: 102, b: 0 });
+  assert.equal(rgbToHex(255, 102, 0), '#FF6600');
+  assert.deepEqual(rgbToHsl(255, 102, 0), { h: 24, s: 100, l: 50 });
+  assert.deepEqual(hslToRgb(24, 100, 50), { r: 255, g: 102, b: 0 });
+  assert.equal(isValidHex('#ff6600'), true);
+  assert.equal(isValidHex('#ff660'), false);
+  assert.equal(hexToRgb('orange'), null);
+});
+
+test('every profile and preset color corrects to its pinned value', () => {
+  const pinned = {};
+  for (const id of Object.keys(DEVICE_PROFILES)) {
+    // Each variant is pinned too, the default one under the plain device id
+    const variants = getVariants(id);
+    const specs = [[id, undefined], ...variants.slice(1).map((v) => [`${id}:${v.id}`, v.id])];
+    for (const [spec, variant] of specs) {
+      pinned[spec] = Object.fromEntries(BRIGHTNESS_LEVELS.map((brightness) => [brightness,
+        Object.fromEntries(PRESET_COLORS.map((hex) => {
+          const { r, g, b } = correct(hexToRgb(hex), id, { brightness, variant });
+          return [hex, rgbToHex(r, g, b)];
+        }))]));
+    }
+  }
+  assertFixture('pinned-corrections.json', JSON.stringify(pinned, null, 2) + '\n');
+});
+
+// Hues pinned for the OKLab algorithm, at full saturation and half lightness
+const OKLAB_HUES = [0, 30, 60, 120, 180, 240, 300];
+
+test('every profile corrects a few hues with OKLab to its pinned value', () => {
+  const pinned = {};
+  for (const id of Object.keys(DEVICE_PROFILES)) {
+    pinned[id] = Object.fromEntries(OKLAB_HUES.map((hue) => {
+      const { r, g, b } = correct(hslToRgb(hue, 100, 50), id, { algorithm: 'oklab' });
+      return [hue, rgbToHex(r, g, b)];
+    }));
+  }
+  assertFixture('pinned-oklab.json', JSON.stringify(pinned, null, 2) + '\n');
+});
+
+test('OKLab shifts to the hue the HSL shift lands on', () => {
+  // Only a hue shift, so both algorithms should agree on where it ends up
+  registerProfile('test-hue-shift', {
+    ...DEVICE_PROFILES['tl-fans'],
+    greenReduction: 1,
+    blueReduction: 1,
+    saturationBoost: 1,
+    brightnessResponse: undefined,
+    hueCorrections: [{ range: [0, 360], hueShift: -12 }]
+  });
+  const oklchHue = (rgb) => {
+    const { a, b } = rgbToOklab(rgb);
+    return Math.atan2(b, a) * 180 / Math.PI;
+  };
+  try {
+    for (let hue = 0; hue < 360; hue += 5) {
+      const target = hslToRgb(hue, 100, 50);
+      const classic = correct(target, 'test-hue-shift', { algorithm: 'hsl' });
+      const perceptual = correct(target, 'test-hue-shift', { algorithm: 'oklab' });
+      const gap = Math.abs(hueDelta(oklchHue(classic), oklchHue(perceptual)));
+      assert.ok(gap < 2.5, `${hue}°: OKLab lands ${gap.toFixed(1)}° away from HSL`);
+    }
+  } finally {
+    unregisterProfile('test-hue-shift');
+  }
+});
+
+// A 1° hue step may move the corrected color by at most this much. Hard range
+// edges used to jump by well over 10; blended ones stay near the target's step.
+const MAX_HUE_STEP_DELTA_E = 4;
+
+/**
+ * Largest ΔE between corrections 1° apart, all the way round the wheel
+ */
+function largestHueStep(deviceId, { saturation = 100, lightness = 50, brightness = 100 } = {}) {
+  let largest = { deltaE: 0, hue: 0 };
+  for (let hue = 0; hue < 360; hue++) {
+    const from = correct(hslToRgb(hue, saturation, lightness), deviceId, { brightness });
+    const to = correct(hslToRgb((hue + 1) % 360, saturation, lightness), deviceId, { brightness });
+    const step = deltaE(from, to);
+    if (step > largest.deltaE) largest = { deltaE: step, hue };
+  }
+  return largest;
+}
+
+test('corrections change smoothly around the whole wheel, including 359°→0°', () => {
+  for (const id of Object.keys(DEVICE_PROFILES)) {
+    for (const options of [{}, { saturation: 30, lightness: 70 }, { brightness: 40 }]) {
+      const { deltaE: step, hue } = largestHueStep(id, options);
+      assert.ok(step <= MAX_HUE_STEP_DELTA_E,
+        `${id} ${JSON.stringify(options)} jumps by ΔE ${step.toFixed(1)} between ${hue}° and ${hue + 1}°`);
+    }
+  }
+});
+
+test('hue ranges can cross 0°', () => {
+  assert.equal(hueRangeWeight(0, [345, 15]), 1);
+  assert.equal(hueRangeWeight(355, [345, 15]), 1);
+  assert.equal(hueRangeWeight(345, [345, 15]), 0.5);
+  assert.equal(hueRangeWeight(180, [345, 15]), 0);
+  assert.equal(wrapHue(-10), 350);
+  assert.equal(wrapHue(370), 10);
+
+  registerProfile('test-wrapping-range', {
+    ...DEVICE_PROFILES['tl-fans'],
+    hueCorrections: [{ range: [345, 15], greenMultiplier: 0.5, blueMultiplier: 0.5, hueShift: 6 }]
+  });
+  try {
+    // Reds either side of 0° get the same correction
+    const just = blendCorrections(359, DEVICE_PROFILES['test-wrapping-range']);
+    const past = blendCorrections(1, DEVICE_PROFILES['test-wrapping-range']);
+    assert.deepEqual(just, past);
+    assert.equal(just.hueShift, 6);
+    assert.ok(largestHueStep('test-wrapping-range').deltaE <= MAX_HUE_STEP_DELTA_E);
+  } finally {
+    unregisterProfile('test-wrapping-range');
+  }
+});
+
+test('the warm hue shift stops at red instead of wrapping into magenta', () => {
+  for (const id of Object.keys(DEVICE_PROFILES)) {
+    assert.equal(Math.abs(blendCorrections(0, resolveProfile(id)).hueShift), 0, id);
+  }
+  assert.equal(rgbToHex(...Object.values(correct(hexToRgb('#FF0000'), 'tl-fans'))), '#FF0000');
+  assert.equal(rgbToHex(...Object.values(correct(hexToRgb('#FF0000'), 'corsair-ql'))), '#FF0000');
+  // Oranges are still pulled towards red
+  assert.ok(blendCorrections(8, resolveProfile('tl-fans')).hueShift < 0);
+});
+
+test('correcting then simulating gets back to the target', () => {
+  for (const id of Object.keys(DEVICE_PROFILES)) {
+    for (let hue = 0; hue < 360; hue += 20) {
+      for (const [saturation, lightness] of [[100, 50], [100, 75], [60, 50], [25, 75]]) {
+        for (const brightness of [100, 60, 20]) {
+          const target = hslToRgb(hue, saturation, lightness);
+          // Out-of-gamut targets are clipped, so nothing maps back to them
+          if (!checkGamut(target, id, { brightness }).inGamut) continue;
+          const sent = correct(target, id, { brightness });
+          const predicted = simulate(sent, id, { brightness, near: target });
+          assert.ok(deltaE(predicted, target) < 1,
+            `${id} at ${brightness}%: ${rgbToHex(target.r, target.g, target.b)} predicted as ` +
+            `${rgbToHex(predicted.r, predicted.g, predicted.b)}`);
+        }
+      }
+    }
+  }
+});
+
+test('simulating a value several targets correct to prefers the known target', () => {
+  // Pale oranges lose most of their green, landing on the same value as a pink
+  const beige = hexToRgb('#C9BA9C');
+  const sent = correct(beige, 'tl-fans');
+  assert.deepEqual(simulate(sent, 'tl-fans', { near: beige }), beige);
+
+  // Without a target, any color that corrects to the value will do
+  const predicted = simulate(sent, 'tl-fans');
+  const back = correct(predicted, 'tl-fans');
+  assert.ok(Math.max(Math.abs(back.r - sent.r), Math.abs(back.g - sent.g), Math.abs(back.b - sent.b)) <= 1);
+});
+
+test('profiles that extend another inherit what they leave out', () => {
+  const ql = DEVICE_PROFILES['corsair-ql'];
+  const ll = DEVICE_PROFILES['corsair-ll'];
+  assert.equal(ll.extends, undefined);
+  assert.equal(ll.brand, ql.brand);
+  assert.equal(ll.software, ql.software);
+  assert.deepEqual(ll.brightnessResponse, ql.brightnessResponse);
+  assert.equal(ll.greenReduction, 0.78);
+  assert.notDeepEqual(ll.hueCorrections, ql.hueCorrections);
+  assert.deepEqual(resolveProfile('corsair-ll', { variant: 'header' }).brightnessResponse,
+    resolveProfile('corsair-ql', { variant: 'header' }).brightnessResponse);
+});
+
+test('extends: choices made for a base leave the profiles extending it alone', () => {
+  const qlSource = getProfileSource('corsair-ql');
+  const llSource = getProfileSource('corsair-ll');
+  const orange = hexToRgb('#FF6600');
+  const before = correct(orange, 'corsair-ll');
+  try {
+    registerProfile('corsair-ql', { ...qlSource, algorithm: 'oklab', variant: 'header' });
+    assert.equal(getVariants('corsair-ql').find((v) => v.active).id, 'header');
+    assert.equal(getVariants('corsair-ll').find((v) => v.active).id, 'commander');
+    assert.equal(DEVICE_PROFILES['corsair-ll'].algorithm, undefined);
+    assert.deepEqual(correct(orange, 'corsair-ll'), before);
+
+    // A choice made for the derived profile keeps it following its base
+    registerProfile('corsair-ll', { ...getProfileSource('corsair-ll'), algorithm: 'oklab' });
+    assert.equal(getProfileSource('corsair-ll').extends, 'corsair-ql');
+    registerProfile('corsair-ql', { ...getProfileSource('corsair-ql'), software: 'iCUE 5' });
+    assert.equal(DEVICE_PROFILES['corsair-ll'].software, 'iCUE 5');
+  } finally {
+    registerProfile('corsair-ll', llSource);
+    registerProfile('corsair-ql', qlSource);
+  }
+  assert.deepEqual(correct(orange, 'corsair-ll'), before);
+});
+
+test('extends: overrides win and nested fields are replaced whole', () => {
+  registerProfile('test-base', {
+    ...DEVICE_PROFILES['tl-fans'],
+    whiteBalance: { r: 1, g: 0.8, b: 0.9 },
+    zones: { hub: { name: 'Hub', hueShift: -2 } }
+  });
+  registerProfile('test-child', {
+    extends: 'test-base',
+    name: 'Child',
+    greenReduction: 0.5,
+    whiteBalance: { g: 0.7 }
+  });
+  try {
+    const child = DEVICE_PROFILES['test-child'];
+    assert.equal(child.name, 'Child');
+    assert.equal(child.greenReduction, 0.5);
+    assert.equal(child.hueShift, DEVICE_PROFILES['tl-fans'].hueShift);
+    assert.deepEqual(child.whiteBalance, { g: 0.7 });
+    assert.deepEqual(child.zones, { hub: { name: 'Hub', hueShift: -2 } });
+    assert.equal(resolveProfile('test-child', { zone: 'hub' }).hueShift, -2);
+
+    // Changing the base reaches the profiles extending it
+    registerProfile('test-base', { ...DEVICE_PROFILES['test-base'], saturationBoost: 1.5 });
+    assert.equal(DEVICE_PROFILES['test-child'].saturationBoost, 1.5);
+  } finally {
+    unregisterProfile('test-child');
+    unregisterProfile('test-base');
+  }
+});
+
+test('extends: unknown bases and loops are rejected', () => {
+  assert.throws(() => registerProfile('test-orphan', { extends: 'no-such-device', name: 'Orphan' }),
+    /test-orphan extends unknown profile no-such-device/);
+  assert.equal(DEVICE_PROFILES['test-orphan'], undefined);
+
+  registerProfile('test-a', { extends: 'tl-fans', name: 'A' });
+  registerProfile('test-b', { extends: 'test-a', name: 'B' });
+  try {
+    assert.throws(() => registerProfile('test-a', { extends: 'test-b', name: 'A' }), /loop: test-a → test-b → test-a/);
+    assert.throws(() => registerProfile('test-a', { extends: 'test-a', name: 'A' }), /loop/);
+    // A rejected profile leaves the previous one in place
+    assert.equal(DEVICE_PROFILES['test-a'].name, 'A');
+    assert.equal(DEVICE_PROFILES['test-b'].greenReduction, DEVICE_PROFILES['tl-fans'].greenReduction);
+  } finally {
+    unregisterProfile('test-b');
+    unregisterProfile('test-a');
+  }
+});
+
+test('extends: removing a base leaves its fields on the profiles extending it', () => {
+  registerProfile('test-base', { ...DEVICE_PROFILES['tl-fans'], greenReduction: 0.6 });
+  registerProfile('test-child', { extends: 'test-base', name: 'Child' });
+  try {
+    unregisterProfile('test-base');
+    assert.equal(DEVICE_PROFILES['test-base'], undefined);
+    assert.equal(DEVICE_PROFILES['test-child'].greenReduction, 0.6);
+
+    // ...and they no longer follow it when an id is reused
+    registerProfile('test-base', { ...DEVICE_PROFILES['tl-fans'], greenReduction: 0.9 });
+    assert.equal(DEVICE_PROFILES['test-child'].greenReduction, 0.6);
+  } finally {
+    unregisterProfile('test-child');
+    unregisterProfile('test-base');
+  }
+});
+
+test('white balance scales each channel, then restores the brightest one', () => {
+  assert.deepEqual(kelvinToRgb(6500), { r: 255, g: 254, b: 250 });
+  const warm = kelvinToRgb(2700);
+  assert.ok(warm.r > warm.g && warm.g > warm.b);
+  const cool = kelvinToRgb(10000);
+  assert.ok(cool.b > cool.g && cool.g > cool.r);
+
+  // tl-fans: { r: 1, g: 0.86, b: 0.9 }
+  assert.deepEqual(correctWhite(6500, 'tl-fans'), { r: 255, g: 218, b: 225 });
+  // A variant's gains replace the device's: { r: 1, g: 0.8, b: 0.86 }
+  assert.deepEqual(correctWhite(6500, 'tl-fans', { variant: 'header' }), { r: 255, g: 203, b: 215 });
+  // cm-masterfan cuts red instead: { r: 0.82, g: 0.9, b: 1 }
+  const masterfan = correctWhite(6500, 'cm-masterfan');
+  assert.equal(Math.max(masterfan.r, masterfan.g, masterfan.b), 255);
+  assert.ok(masterfan.r < masterfan.b);
+});
+
+test('white balance without gains leaves the white point alone', () => {
+  registerProfile('test-no-gains', { ...DEVICE_PROFILES['tl-fans'], whiteBalance: undefined });
+  try {
+    for (const kelvin of [2700, 4000, 6500, 10000]) {
+      assert.deepEqual(correctWhite(kelvin, 'test-no-gains'), kelvinToRgb(kelvin), `${kelvin} K`);
+    }
+  } finally {
+    unregisterProfile('test-no-gains');
+  }
+});
+
+test('brightness hue shifts follow the profile between its points', () => {
+  // tl-fans: -8 at 10%, -4 at 30%, -1 at 60%, 0 at 100%
+  assert.equal(getBrightnessResponse('tl-fans', 5).hueShift, -8);
+  assert.equal(getBrightnessResponse('tl-fans', 20).hueShift, -6);
+  assert.equal(getBrightnessResponse('tl-fans', 45).hueShift, -2.5);
+  assert.equal(getBrightnessResponse('tl-fans', 100).hueShift, 0);
+
+  // A profile that only shifts hue when dimmed: green turns further as it dims
+  registerProfile('test-dimming', {
+    ...DEVICE_PROFILES['tl-fans'],
+    greenReduction: 1,
+    blueReduction: 1,
+    saturationBoost: 1,
+    hueShift: 0,
+    hueCorrections: [],
+    brightnessResponse: { gamma: 1, hueShifts: [{ brightness: 10, hueShift: -20 }, { brightness: 100, hueShift: 0 }] }
+  });
+  try {
+    const hueAt = (brightness) => {
+      const { r, g, b } = correct({ r: 0, g: 255, b: 0 }, 'test-dimming', { brightness });
+      return rgbToHsl(r, g, b).h;
+    };
+    assert.equal(hueAt(100), 120);
+    assert.ok(hueAt(10) < hueAt(55) && hueAt(55) < hueAt(100), `${hueAt(10)}°, ${hueAt(55)}°, ${hueAt(100)}°`);
+  } finally {
+    unregisterProfile('test-dimming');
+  }
+});
+
+test('the gamma curve only rises with brightness', () => {
+  for (const id of Object.keys(DEVICE_PROFILES)) {
+    for (const { id: variant } of [{}, ...getVariants(id)]) {
+      const profile = resolveProfile(id, { variant });
+      const { gamma = 1 } = profile.brightnessResponse || {};
+      let previous = 0;
+      for (let brightness = 1; brightness <= 100; brightness++) {
+        const { level } = getBrightnessResponse(profile, brightness);
+        assert.ok(level > previous, `${id} ${variant || ''} at ${brightness}%`);
+        previous = level;
+      }
+      assert.equal(previous, 100);
+      assert.ok(Math.abs(getBrightnessResponse(profile, 50).level - 100 * 0.5 ** (1 / gamma)) < 1e-9);
+    }
+  }
+});
+
+test('the recommended brightness is where the least hue correction is needed', () => {
+  // strimer needs no extra shift at 40%, tl-fans needs least at full brightness
+  assert.equal(recommendBrightness('strimer'), 40);
+  assert.equal(recommendBrightness('tl-fans'), null);
+  assert.equal(recommendBrightness({ brightnessRecommendation: 70 }), 70);
+});
+
+// Clipping up to this ΔE counts as in gamut (GAMUT_TOLERANCE in correction.js)
+const GAMUT_TOLERANCE = 3;
+
+test('colors a device can show are in gamut with no alternative', () => {
+  const result = checkGamut(hexToRgb('#FF6600'), 'tl-fans');
+  assert.equal(result.inGamut, true);
+  assert.equal(result.nearest, null);
+  assert.equal(result.deltaE, correctionOverflow(hexToRgb('#FF6600'), 'tl-fans'));
+});
+
+test('out-of-gamut colors get the nearest color that fits', () => {
+  const cyan = hexToRgb('#00FFFF');
+  const result = checkGamut(cyan, 'strimer');
+  assert.equal(result.inGamut, false);
+  assert.ok(result.deltaE > GAMUT_TOLERANCE);
+  assert.ok(correctionOverflow(result.nearest, 'strimer') <= GAMUT_TOLERANCE);
+  // Chroma is pulled in, keeping the hue
+  const hue = (rgb) => Math.atan2(rgbToOklab(rgb).b, rgbToOklab(rgb).a) * 180 / Math.PI;
+  assert.ok(Math.abs(hueDelta(hue(cyan), hue(result.nearest))) < 2);
+  assert.ok(deltaE(cyan, result.nearest) < result.deltaE);
+});
+
+test('the gamut check splits at its tolerance', () => {
+  // #AAFF00 needs just over the tolerance on tl-fans, so a barely different color is offered
+  const lime = checkGamut(hexToRgb('#AAFF00'), 'tl-fans');
+  assert.equal(lime.inGamut, false);
+  assert.ok(lime.deltaE - GAMUT_TOLERANCE < 0.01);
+  assert.ok(deltaE(hexToRgb('#AAFF00'), lime.nearest) < 1);
+
+  for (let hue = 0; hue < 360; hue++) {
+    const target = hslToRgb(hue, 100, 50);
+    const result = checkGamut(target, 'tl-fans');
+    assert.equal(result.inGamut, result.deltaE <= GAMUT_TOLERANCE, `${hue}°`);
+    if (!result.inGamut) {
+      assert.ok(correctionOverflow(result.nearest, 'tl-fans') <= GAMUT_TOLERANCE, `${hue}°`);
+    }
+  }
+});
+
+test('a zone\'s fields beat the device\'s and the rest come from the device', () => {
+  const device = DEVICE_PROFILES['tl-fans'];
+  assert.deepEqual(getZones('tl-fans'), [{ id: 'inner', name: 'Inner hub' }, { id: 'outer', name: 'Outer frame' }]);
+
+  const outer = resolveProfile('tl-fans', { zone: 'outer' });
+  assert.equal(outer.greenReduction, 0.8);
+  assert.notEqual(device.greenReduction, 0.8);
+  assert.equal(outer.blueReduction, device.blueReduction);
+  assert.deepEqual(outer.whiteBalance, device.whiteBalance);
+
+  // The zone goes on top of the variant
+  const headerOuter = resolveProfile('tl-fans', { variant: 'header', zone: 'outer' });
+  assert.deepEqual(headerOuter.whiteBalance, device.variants.header.whiteBalance);
+  assert.equal(headerOuter.saturationBoost, 1.2);
+
+  assert.throws(() => resolveProfile('tl-fans', { zone: 'fan-3' }), /Unknown zone for tl-fans: fan-3/);
+});
+
+test('each zone is corrected with its own fields', () => {
+  const orange = hexToRgb('#FF6600');
+  const teal = hexToRgb('#00CED1');
+  const [inner, outer] = correctZones(orange, 'tl-fans', { brightness: 60, targets: { outer: teal } });
+  assert.deepEqual(inner, { zone: 'inner', name: 'Inner hub', target: orange, corrected: correct(orange, 'tl-fans', { brightness: 60 }) });
+  assert.deepEqual(outer.target, teal);
+  assert.deepEqual(outer.corrected, correct(teal, 'tl-fans', { brightness: 60, zone: 'outer' }));
+  assert.notDeepEqual(correct(teal, 'tl-fans', { zone: 'outer' }), correct(teal, 'tl-fans'));
+
+  registerProfile('test-no-zones', { ...DEVICE_PROFILES['tl-fans'], zones: undefined });
+  try {
+    assert.deepEqual(correctZones(orange, 'test-no-zones'), []);
+  } finally {
+    unregisterProfile('test-no-zones');
+  }
+});
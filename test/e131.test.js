@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSocket } from 'node:dgram';
+import { once } from 'node:events';
+import { E131Sender, E131Error, buildE131Packet, pixelChannels, multicastAddress } from '../e131.js';
+import { startScript, waitForOutput } from './helpers.js';
+
+/**
+ * UDP listener on a free port that collects the packets it receives
+ */
+async function listen() {
+  const socket = createSocket('udp4');
+  const packets = [];
+  socket.on('message', (packet) => packets.push(packet));
+  socket.bind(0, '127.0.0.1');
+  await once(socket, 'listening');
+  return {
+    port: socket.address().port,
+    packets,
+    async next(count) {
+      const deadline = Date.now() + 2000;
+      while (packets.length < count && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      assert.ok(packets.length >= count, `expected ${count} packets, got ${packets.length}`);
+      return packets.slice(0, count);
+    },
+    close: () => socket.close()
+  };
+}
+
+test('data packets follow the E1.31 layout byte for byte', async () => {
+  const listener = await listen();
+  const sender = new E131Sender({ sourceName: 'Test source', port: listener.port });
+  try {
+    await sender.send({ host: '127.0.0.1', universe: 300, start: 4, count: 2, color: { r: 255, g: 34, b: 0 } });
+    const [packet] = await listener.next(1);
+    const channels = [0, 0, 0, 255, 34, 0, 255, 34, 0];
+    assert.equal(packet.length, 126 + channels.length);
+
+    // Root layer
+    assert.equal(packet.readUInt16BE(0), 0x0010); // preamble size
+    assert.equal(packet.readUInt16BE(2), 0x0000); // postamble size
+    assert.equal(packet.toString('latin1', 4, 16), 'ASC-E1.17\0\0\0');
+    assert.equal(packet.readUInt16BE(16), 0x7000 | (packet.length - 16));
+    assert.equal(packet.readUInt32BE(18), 0x00000004); // VECTOR_ROOT_E131_DATA
+    assert.deepEqual(packet.subarray(22, 38), sender.cid);
+
+    // Framing layer
+    assert.equal(packet.readUInt16BE(38), 0x7000 | (packet.length - 38));
+    assert.equal(packet.readUInt32BE(40), 0x00000002); // VECTOR_E131_DATA_PACKET
+    assert.equal(packet.toString('utf8', 44, 108), 'Test source'.padEnd(64, '\0'));
+    assert.equal(packet[108], 100); // priority
+    assert.equal(packet.readUInt16BE(109), 0); // synchronization address
+    assert.equal(packet[111], 0); // sequence
+    assert.equal(packet[112], 0); // options
+    assert.equal(packet.readUInt16BE(113), 300);
+
+    // DMP layer
+    assert.equal(packet.readUInt16BE(115), 0x7000 | (packet.length - 115));
+    assert.equal(packet[117], 0x02); // VECTOR_DMP_SET_PROPERTY
+    assert.equal(packet[118], 0xa1); // address and data type
+    assert.equal(packet.readUInt16BE(119), 0x0000); // first property address
+    assert.equal(packet.readUInt16BE(121), 0x0001); // address increment
+    assert.equal(packet.readUInt16BE(123), channels.length + 1); // values, with the start code
+    assert.equal(packet[125], 0); // DMX start code
+    assert.deepEqual([...packet.subarray(126)], channels);
+  } finally {
+    await sender.close();
+    listener.close();
+  }
+});
+
+test('stopping announces the end three times with rising sequence numbers', async () => {
+  const listener = await listen();
+  const sender = new E131Sender({ port: listener.port });
+  try {
+    await sender.send({ host: '127.0.0.1', universe: 1, count: 1, color: { r: 1, g: 2, b: 3 } });
+    await sender.stop({ host: '127.0.0.1', universe: 1 });
+    const packets = await listener.next(4);
+    assert.deepEqual(packets.map((packet) => packet[111]), [0, 1, 2, 3]);
+    assert.deepEqual(packets.map((packet) => packet[112]), [0, 0x40, 0x40, 0x40]);
+  } finally {
+    await sender.close();
+    listener.close();
+  }
+});
+
+test('a WLED board receives the color', async () => {
+  const board = await startScript('wled-mock.js', ['--e131-port', '0']);
+  await waitForOutput(board, /^Listening for E1\.31 on UDP port \d+$/);
+  const port = Number(board.output.find((line) => line.startsWith('Listening for E1.31')).match(/\d+$/)[0]);
+  const sender = new E131Sender({ port });
+  try {
+    await sender.send({ host: '127.0.0.1', universe: 1, count: 60, color: { r: 0, g: 118, b: 128 } });
+    await waitForOutput(board, /^E1\.31 universe 1: #007680 up to pixel 60 \(180 channels\)$/);
+  } finally {
+    await sender.close();
+    await board.stop();
+  }
+});
+
+test('settings that do not fit a universe are rejected', () => {
+  assert.throws(() => pixelChannels({ r: 0, g: 0, b: 0 }, 511, 1), E131Error);
+  assert.throws(() => pixelChannels({ r: 0, g: 0, b: 0 }, 1, 171), /need 513 channels/);
+  assert.throws(() => pixelChannels({ r: 0, g: 0, b: 0 }, 0, 1), /whole numbers from 1/);
+  assert.throws(() => buildE131Packet({ cid: Buffer.alloc(16), sourceName: '', universe: 64000, sequence: 0, channels: Buffer.alloc(3) }),
+    /Universe must be from 1 to 63999/);
+  assert.equal(multicastAddress(300), '239.255.1.44');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEffect, exportEffect, EFFECT_FORMAT, EFFECT_FORMAT_VERSION, FRAME_MS } from '../effects.js';
+import { correct, hexToRgb, rgbToHex } from '../correction.js';
+import { mixColors } from '../gradient.js';
+
+const ORANGE = hexToRgb('#FF6600');
+const TEAL = hexToRgb('#00CED1');
+
+test('breathing corrects each frame for the brightness it dims to', () => {
+  const effect = buildEffect({ type: 'breathing', colors: [ORANGE], speed: 4 }, 'tl-fans');
+  // One 3 s breath at speed 4
+  assert.equal(effect.duration, 3000);
+  assert.equal(effect.keyframes.length, 3000 / FRAME_MS);
+
+  const at = (frame) => effect.keyframes[frame].leds[0];
+  assert.deepEqual(at(0).corrected, { r: 0, g: 0, b: 0 });
+  // A quarter of the way in the breath is at half brightness
+  assert.deepEqual(at(15).corrected, correct(ORANGE, 'tl-fans', { brightness: 50 }));
+  assert.deepEqual(at(30).target, ORANGE);
+  assert.deepEqual(at(30).corrected, correct(ORANGE, 'tl-fans'));
+});
+
+test('a color cycle blends from each color into the next', () => {
+  const effect = buildEffect({ type: 'cycle', colors: [ORANGE, TEAL], speed: 10 }, 'corsair-ql', { brightness: 60 });
+  const quarter = effect.keyframes.length / 4;
+  assert.equal(effect.keyframes[0].leds.length, 1);
+  assert.deepEqual(effect.keyframes[0].leds[0].corrected, correct(ORANGE, 'corsair-ql', { brightness: 60 }));
+  // Halfway from the first color to the second
+  const middle = mixColors(ORANGE, TEAL, 0.5);
+  assert.deepEqual(effect.keyframes[quarter].leds[0].corrected, correct(middle, 'corsair-ql', { brightness: 60 }));
+});
+
+test('a wave spreads the colors across the LEDs', () => {
+  const effect = buildEffect({ type: 'wave', colors: [ORANGE, TEAL], speed: 5 }, 'tl-fans');
+  const [first] = effect.keyframes;
+  assert.equal(first.leds.length, 16);
+  assert.deepEqual(first.leds[0].target, ORANGE);
+  assert.deepEqual(first.leds[8].target, TEAL);
+  assert.deepEqual(first.leds[4].target, mixColors(ORANGE, TEAL, 0.5));
+});
+
+test('effects export as HEX keyframes', () => {
+  const effect = buildEffect({ type: 'breathing', colors: [ORANGE, TEAL], speed: 10 }, 'tl-fans');
+  const exported = JSON.parse(exportEffect(effect));
+  assert.equal(exported.format, EFFECT_FORMAT);
+  assert.equal(exported.version, EFFECT_FORMAT_VERSION);
+  assert.deepEqual(exported.colors, ['#FF6600', '#00CED1']);
+  assert.equal(exported.keyframes.length, effect.keyframes.length);
+  const { target, corrected } = effect.keyframes[12].leds[0];
+  assert.deepEqual(exported.keyframes[12], {
+    time: 12 * FRAME_MS,
+    leds: [{ target: rgbToHex(target.r, target.g, target.b), corrected: rgbToHex(corrected.r, corrected.g, corrected.b) }]
+  });
+});
+
+test('bad effects are rejected', () => {
+  assert.throws(() => buildEffect({ type: 'strobe', colors: [ORANGE], speed: 1 }, 'tl-fans'), /Unknown effect: strobe/);
+  assert.throws(() => buildEffect({ type: 'cycle', colors: [ORANGE], speed: 1 }, 'tl-fans'), /between 2 and 8 colors/);
+  assert.throws(() => buildEffect({ type: 'wave', colors: [ORANGE, TEAL], speed: 11 }, 'tl-fans'), /Speed must be/);
+  assert.throws(() => buildEffect({ type: 'breathing', colors: [ORANGE], speed: 1 }, 'nope'), /Unknown device: nope/);
+});
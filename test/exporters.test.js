@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEVICE_PROFILES, correct } from '../correction.js';
+import { EXPORTERS, exporterFor, exportColors } from '../exporters.js';
+import { assertFixture } from './helpers.js';
+
+// A palette with names that need escaping in every format
+const TARGETS = [
+  { name: 'Sunset "orange"', target: { r: 255, g: 102, b: 0 } },
+  { name: 'Teal, deep', target: { r: 0, g: 128, b: 128 } },
+  { name: 'Violet <3 & more', target: { r: 148, g: 0, b: 211 } }
+];
+
+function entries(deviceId, targets = TARGETS) {
+  return targets.map(({ name, target }) => ({ name, target, corrected: correct(target, deviceId) }));
+}
+
+test('every exporter matches its golden file', () => {
+  for (const [key, exporter] of Object.entries(EXPORTERS)) {
+    for (const [suffix, list] of [['single', entries('tl-fans', TARGETS.slice(0, 1))], ['palette', entries('tl-fans')]]) {
+      const file = exportColors(list, { exporter: key, title: 'My Build', deviceName: 'Lian Li UNI FAN TL' });
+      assert.equal(file.filename, `my-build-lian-li-uni-fan-tl.${exporter.extension}`);
+      assert.equal(file.mimeType, exporter.mimeType);
+      assertFixture(`exports/${key}-${suffix}.${exporter.extension}`, file.content);
+    }
+  }
+});
+
+test('exporters follow the profile software field', () => {
+  const bySoftware = {};
+  for (const profile of Object.values(DEVICE_PROFILES)) {
+    bySoftware[profile.software] = exporterFor(profile);
+  }
+  assert.deepEqual(bySoftware, {
+    'L-Connect': 'sheet',
+    iCUE: 'sheet',
+    CAM: 'sheet',
+    'MasterPlus+': 'sheet',
+    WLED: 'wled'
+  });
+
+  assert.equal(exporterFor({ software: 'OpenRGB 0.9' }), 'openrgb');
+  assert.equal(exporterFor({ software: 'SignalRGB' }), 'signalrgb');
+  assert.equal(exporterFor({ software: 'your RGB software' }), 'sheet');
+  assert.equal(exporterFor({}), 'sheet');
+});
+
+test('export errors', () => {
+  assert.throws(() => exportColors(entries('tl-fans'), { exporter: 'icue', title: 'x', deviceName: 'y' }),
+    /Unknown exporter: icue/);
+  assert.throws(() => exportColors([], { exporter: 'sheet', title: 'x', deviceName: 'y' }), /Nothing to export/);
+
+  const many = Array.from({ length: 251 }, () => entries('tl-fans')[0]);
+  assert.throws(() => exportColors(many, { exporter: 'wled', title: 'x', deviceName: 'y' }), /at most 250 presets/);
+});
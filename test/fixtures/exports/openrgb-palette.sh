@@ -0,0 +1,13 @@
+#!/bin/sh
+# My Build - corrected for Lian Li UNI FAN TL by LED Color Corrector
+# Needs the OpenRGB command line (openrgb) on your PATH. Sets every device;
+# add --device <n> or --zone <n> to the openrgb line to target one.
+
+case "${1:-1}" in
+  1) color=FF2200 ;; # Sunset "orange" (#FF6600)
+  2) color=007680 ;; # Teal, deep (#008080)
+  3) color=9C00C2 ;; # Violet <3 & more (#9400D3)
+  *) echo "Usage: $0 [1-3]" >&2; exit 1 ;;
+esac
+
+openrgb --mode static --color "$color"
@@ -0,0 +1,7 @@
+#!/bin/sh
+# My Build - corrected for Lian Li UNI FAN TL by LED Color Corrector
+# Needs the OpenRGB command line (openrgb) on your PATH. Sets every device;
+# add --device <n> or --zone <n> to the openrgb line to target one.
+
+# Sunset "orange" (#FF6600)
+openrgb --mode static --color FF2200
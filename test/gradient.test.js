@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { correctGradient, sampleGradient, mixColors } from '../gradient.js';
+import { DEVICE_PROFILES, correct, hexToRgb, registerProfile, unregisterProfile } from '../correction.js';
+
+/**
+ * Warnings for a two-stop gradient
+ */
+function warningsFor(from, to, deviceId = 'tl-fans') {
+  return correctGradient([hexToRgb(from), hexToRgb(to)], deviceId).warnings;
+}
+
+test('samples run evenly from the first stop to the last', () => {
+  const stops = [hexToRgb('#000000'), hexToRgb('#FF0000'), hexToRgb('#FFFFFF')];
+  const samples = sampleGradient(stops, 5);
+  assert.deepEqual(samples.map((s) => s.position), [0, 0.25, 0.5, 0.75, 1]);
+  assert.deepEqual(samples.map((s) => s.segment), [0, 0, 1, 1, 1]);
+  assert.deepEqual(samples[0].color, stops[0]);
+  assert.deepEqual(samples[2].color, stops[1]);
+  assert.deepEqual(samples[4].color, stops[2]);
+  assert.deepEqual(mixColors(stops[0], stops[1], 0.5), { r: 128, g: 0, b: 0 });
+});
+
+test('each stop is corrected like a single color', () => {
+  const stops = [hexToRgb('#FF6600'), hexToRgb('#00CED1')];
+  const result = correctGradient(stops, 'corsair-ql', { brightness: 60 });
+  assert.deepEqual(result.stops.map((s) => s.corrected), stops.map((c) => correct(c, 'corsair-ql', { brightness: 60 })));
+  assert.equal(result.samples.length, 32);
+});
+
+test('smooth gradients have no warnings', () => {
+  assert.deepEqual(warningsFor('#FF6600', '#FF6A00'), []);
+  assert.deepEqual(warningsFor('#000000', '#FFFFFF'), []);
+});
+
+test('stops corrected by different ranges may band', () => {
+  assert.deepEqual(warningsFor('#FF0000', '#FFFF00'), [
+    'Stops 1 and 2 use different corrections (the base correction and the 45°–65° correction), so the blend between them may band'
+  ]);
+});
+
+test('a corrected channel that goes back on itself is flagged', () => {
+  assert.ok(warningsFor('#FF8000', '#8000FF').includes('Between stops 1 and 2 the corrected G channel goes back on itself'));
+});
+
+test('a sharp step in the correction is flagged as a band', () => {
+  registerProfile('test-sharp-range', {
+    ...DEVICE_PROFILES['tl-fans'],
+    hueCorrections: [{ range: [100, 140], greenMultiplier: 0.2 }]
+  });
+  try {
+    assert.ok(warningsFor('#80FF00', '#00FF80', 'test-sharp-range')
+      .includes('Between stops 1 and 2 the corrected colors jump sharply, which shows as a band'));
+  } finally {
+    unregisterProfile('test-sharp-range');
+  }
+});
+
+test('a gradient needs two stops', () => {
+  assert.throws(() => correctGradient([hexToRgb('#FF0000')], 'tl-fans'), /at least two stops/);
+});
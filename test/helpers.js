@@ -0,0 +1,155 @@
+/**
+ * Shared test helpers
+ * Pinned outputs live in test/fixtures. After a change that is meant to move
+ * them, rerun with UPDATE_FIXTURES=1 to rewrite them and commit the diff with
+ * the change.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { inflateSync } from 'node:zlib';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+// How long a script in bin/ gets to start listening
+const START_TIMEOUT_MS = 5000;
+
+/**
+ * URL of a file in test/fixtures
+ */
+export function fixtureUrl(name) {
+  return new URL(name, FIXTURES);
+}
+
+/**
+ * Assert that text matches a pinned fixture file, or rewrite the file when
+ * UPDATE_FIXTURES=1
+ */
+export function assertFixture(name, actual) {
+  if (process.env.UPDATE_FIXTURES === '1') {
+    writeFileSync(fixtureUrl(name), actual);
+    return;
+  }
+  assert.equal(actual, readFileSync(fixtureUrl(name), 'utf8'),
+    `${name} no longer matches; if that is intended, rerun with UPDATE_FIXTURES=1`);
+}
+
+/**
+ * Decode an 8-bit RGB or RGBA PNG from test/fixtures into RGBA pixels shaped
+ * like ImageData, so photo fixtures can go through the same code as the page
+ */
+export function readPng(name) {
+  const file = readFileSync(fixtureUrl(name));
+  let offset = 8;
+  let header;
+  const data = [];
+  while (offset < file.length) {
+    const length = file.readUInt32BE(offset);
+    const type = file.toString('ascii', offset + 4, offset + 8);
+    const body = file.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') header = body;
+    if (type === 'IDAT') data.push(body);
+    offset += length + 12;
+  }
+
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const channels = { 2: 3, 6: 4 }[header[9]];
+  if (header[8] !== 8 || !channels || header[12] !== 0) {
+    throw new Error(`${name}: only 8-bit, non-interlaced RGB or RGBA PNGs are supported`);
+  }
+
+  // Undo the per-row filters (PNG spec section 9)
+  const raw = inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let i = 0; i < stride; i++) {
+      const value = raw[y * (stride + 1) + 1 + i];
+      const left = i >= channels ? pixels[y * stride + i - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + i] : 0;
+      const upLeft = y > 0 && i >= channels ? pixels[(y - 1) * stride + i - channels] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      if (filter === 2) predicted = up;
+      if (filter === 3) predicted = Math.floor((left + up) / 2);
+      if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [a, b, c] = [left, up, upLeft].map((n) => Math.abs(estimate - n));
+        predicted = a <= b && a <= c ? left : b <= c ? up : upLeft;
+      }
+      pixels[y * stride + i] = (value + predicted) & 0xff;
+    }
+  }
+
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    rgba.set(pixels.subarray(p * channels, p * channels + 3), p * 4);
+    rgba[p * 4 + 3] = channels === 4 ? pixels[p * channels + 3] : 255;
+  }
+  return { data: rgba, width, height };
+}
+
+/**
+ * Run a script from bin/ with --port 0 and wait for it to print the port it
+ * listens on
+ * @param {string} script - e.g. 'openrgb-mock.js'
+ * @param {string[]} [args]
+ * @returns {Promise<{port: number, output: string[], stop: () => Promise<void>}>}
+ *   output collects every line the script prints
+ */
+export async function startScript(script, args = []) {
+  const child = spawn(process.execPath, [fileURLToPath(new URL(`../bin/${script}`, import.meta.url)), '--port', '0', ...args],
+    { stdio: ['ignore', 'pipe', 'inherit'] });
+  const output = [];
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+  };
+
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${script} did not start listening`)), START_TIMEOUT_MS);
+    let pending = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        output.push(line);
+        // The first address printed is the one the script listens on
+        const match = line.match(/127\.0\.0\.1:(\d+)/);
+        if (match) {
+          clearTimeout(timer);
+          resolve(Number(match[1]));
+        }
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with code ${code}`));
+    });
+  }).catch(async (err) => {
+    await stop();
+    throw err;
+  });
+  return { port, output, stop };
+}
+
+/**
+ * Wait until a started script has printed a line matching pattern
+ */
+export async function waitForOutput(script, pattern, timeout = START_TIMEOUT_MS) {
+  const deadline = Date.now() + timeout;
+  while (!script.output.some((line) => pattern.test(line))) {
+    if (Date.now() > deadline) {
+      throw new Error(`Expected output matching ${pattern}, got:\n${script.output.join('\n')}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
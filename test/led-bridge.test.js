@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { startScript, waitForOutput } from './helpers.js';
+
+let openRgb;
+let bridge;
+
+before(async () => {
+  openRgb = await startScript('openrgb-mock.js');
+  bridge = await startScript('led-bridge.js', ['--openrgb-port', String(openRgb.port)]);
+});
+
+after(async () => {
+  await bridge?.stop();
+  await openRgb?.stop();
+});
+
+/**
+ * Call the bridge
+ * @returns {Promise<{status: number, headers: object, body: object|null}>}
+ */
+function call(method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body === undefined ? undefined : JSON.stringify(body);
+    const req = request({
+      host: '127.0.0.1',
+      port: bridge.port,
+      method,
+      path,
+      headers: { ...(data ? { 'Content-Type': 'application/json' } : {}), ...headers }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+test('lists OpenRGB controllers and sets colors', async () => {
+  const list = await call('GET', '/openrgb/controllers');
+  assert.equal(list.status, 200);
+  assert.equal(list.body.server, `127.0.0.1:${openRgb.port}`);
+  assert.deepEqual(list.body.controllers.map((controller) => controller.name),
+    ['Lian Li Uni Hub - TL', 'Corsair Commander Core', 'ARGB Strip']);
+
+  const set = await call('POST', '/openrgb/color', { body: { controller: 2, zone: 0, color: { r: 255, g: 34, b: 0 } } });
+  assert.deepEqual([set.status, set.body], [200, { ok: true }]);
+  await waitForOutput(openRgb, /^ARGB Strip \/ Strip: #FF2200 on 60 LEDs$/);
+});
+
+test('bad OpenRGB requests answer 400', async () => {
+  const unknown = await call('POST', '/openrgb/color', { body: { controller: 9, color: { r: 255, g: 0, b: 0 } } });
+  assert.deepEqual([unknown.status, unknown.body], [400, { error: 'OpenRGB has no controller 9 (it has 3)' }]);
+
+  const color = await call('POST', '/openrgb/color', { body: { controller: 0, color: { r: 256, g: 0, b: 0 } } });
+  assert.equal(color.status, 400);
+
+  const name = await call('POST', '/openrgb/profile', { body: { controller: 0, color: { r: 0, g: 0, b: 0 }, name: '../x' } });
+  assert.equal(name.status, 400);
+});
+
+test('saves OpenRGB profiles', async () => {
+  const saved = await call('POST', '/openrgb/profile', {
+    body: { controller: 0, zone: null, color: { r: 255, g: 34, b: 0 }, name: 'Orange' }
+  });
+  assert.deepEqual([saved.status, saved.body], [200, { ok: true }]);
+  await waitForOutput(openRgb, /^Saved profile: Orange$/);
+});
+
+test('only answers the page and pages on this PC', async () => {
+  for (const origin of ['https://hardik500.github.io', 'http://localhost:8000', 'http://127.0.0.1:5500']) {
+    const reply = await call('GET', '/status', { headers: { Origin: origin } });
+    assert.equal(reply.status, 200, origin);
+    assert.equal(reply.headers['access-control-allow-origin'], origin);
+
+    const preflight = await call('OPTIONS', '/openrgb/color', { headers: { Origin: origin } });
+    assert.equal(preflight.status, 204, origin);
+    assert.equal(preflight.headers['access-control-allow-private-network'], 'true');
+  }
+
+  for (const origin of ['https://evil.example', 'https://hardik500.github.io.evil.example', 'null']) {
+    for (const method of ['GET', 'OPTIONS']) {
+      const reply = await call(method, '/wled/info?host=192.168.1.1', { headers: { Origin: origin } });
+      assert.equal(reply.status, 403, `${method} from ${origin}`);
+      assert.equal(reply.headers['access-control-allow-origin'], undefined);
+    }
+  }
+
+  // A page that rebinds its own name to 127.0.0.1 calls the bridge under that name
+  const rebound = await call('GET', '/status', { headers: { Host: `evil.example:${bridge.port}` } });
+  assert.equal(rebound.status, 403);
+});
+
+test('--allow-origin replaces the published page', async () => {
+  const custom = await startScript('led-bridge.js', ['--allow-origin', 'https://fork.github.io/']);
+  try {
+    const status = (origin) => new Promise((resolve, reject) => {
+      request({ host: '127.0.0.1', port: custom.port, path: '/status', headers: { Origin: origin } },
+        (res) => resolve(res.resume().statusCode)).on('error', reject).end();
+    });
+    assert.equal(await status('https://fork.github.io'), 200);
+    assert.equal(await status('https://hardik500.github.io'), 403);
+    assert.equal(await status('http://localhost:8000'), 200);
+  } finally {
+    await custom.stop();
+  }
+});
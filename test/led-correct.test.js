@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../bin/led-correct.js', import.meta.url));
+
+/**
+ * Run led-correct and collect its exit code and output
+ */
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], { timeout: 10000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('writes results to --output', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'led-correct-'));
+  try {
+    const file = join(dir, 'out.json');
+    const result = await run(['-d', 'corsair-ql', '-f', 'json', '-o', file, '#FF6600']);
+    assert.deepEqual([result.code, result.stdout, result.stderr], [0, '', '']);
+    assert.equal(JSON.parse(readFileSync(file, 'utf8'))[0].device, 'corsair-ql');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an --output that cannot be written is a plain error', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'led-correct-'));
+  try {
+    const file = join(dir, 'missing', 'out.txt');
+    const result = await run(['-o', file, '#FF6600']);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, new RegExp(`^led-correct: Could not write ${file.replace(/[\\.]/g, '\\$&')}: ENOENT[^\\n]*\\n$`));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { once } from 'node:events';
+import { OpenRgbClient, OpenRgbError, isValidProfileName } from '../openrgb-sdk.js';
+import { startScript, waitForOutput } from './helpers.js';
+
+/**
+ * Run a test body against a fresh bin/openrgb-mock.js and a client for it
+ */
+async function withMock(args, body) {
+  const mock = await startScript('openrgb-mock.js', args);
+  const client = new OpenRgbClient({ port: mock.port });
+  try {
+    await body(client, mock);
+  } finally {
+    client.close();
+    await mock.stop();
+  }
+}
+
+test('controllers are listed at every protocol version', async () => {
+  for (const version of ['0', '1', '3']) {
+    await withMock(['--protocol', version], async (client) => {
+      const controllers = await client.listControllers();
+      assert.deepEqual(controllers.map(({ index, name, ledCount }) => ({ index, name, ledCount })), [
+        { index: 0, name: 'Lian Li Uni Hub - TL', ledCount: 39 },
+        { index: 1, name: 'Corsair Commander Core', ledCount: 34 },
+        { index: 2, name: 'ARGB Strip', ledCount: 60 }
+      ]);
+      assert.equal(controllers[0].vendor, version === '0' ? '' : 'Lian Li');
+      assert.deepEqual(controllers[0].zones, [
+        { index: 0, name: 'Front fans', ledCount: 26 },
+        { index: 1, name: 'Rear fan', ledCount: 13 }
+      ]);
+    });
+  }
+});
+
+test('colors reach the whole controller or one zone', async () => {
+  await withMock([], async (client, mock) => {
+    await client.setColor(0, { r: 255, g: 34, b: 0 });
+    await waitForOutput(mock, /^Lian Li Uni Hub - TL: #FF2200 on 39 LEDs$/);
+    await client.setColor(0, { r: 0, g: 118, b: 128 }, 1);
+    await waitForOutput(mock, /^Lian Li Uni Hub - TL \/ Rear fan: #007680 on 13 LEDs$/);
+    assert.equal(mock.output.filter((line) => line === 'Lian Li Uni Hub - TL: direct mode').length, 1);
+  });
+});
+
+test('unknown controllers and zones are rejected without waiting for OpenRGB', async () => {
+  await withMock([], async (client) => {
+    const started = Date.now();
+    await assert.rejects(client.setColor(9, { r: 255, g: 0, b: 0 }), (err) => {
+      assert.ok(err instanceof OpenRgbError);
+      assert.equal(err.message, 'OpenRGB has no controller 9 (it has 3)');
+      assert.equal(err.unreachable, false);
+      return true;
+    });
+    assert.ok(Date.now() - started < 1000);
+
+    await assert.rejects(client.setColor(1, { r: 255, g: 0, b: 0 }, 4), { message: 'Corsair Commander Core has no zone 4' });
+  });
+});
+
+test('an unreachable server is reported as unreachable', async () => {
+  // Find a free port, then close it again
+  const server = createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+
+  const client = new OpenRgbClient({ port });
+  await assert.rejects(client.listControllers(), (err) => {
+    assert.ok(err instanceof OpenRgbError);
+    assert.match(err.message, new RegExp(`Could not reach OpenRGB at 127\\.0\\.0\\.1:${port} \\(ECONNREFUSED\\)`));
+    assert.equal(err.unreachable, true);
+    return true;
+  });
+});
+
+test('profiles are saved by OpenRGB', async () => {
+  await withMock([], async (client, mock) => {
+    assert.deepEqual(await client.listProfiles(), []);
+    await client.setColor(0, { r: 255, g: 34, b: 0 });
+    await client.saveProfile('Orange (corrected)');
+    assert.deepEqual(await client.listProfiles(), ['Orange (corrected)']);
+    await waitForOutput(mock, /^Saved profile: Orange \(corrected\)$/);
+
+    await assert.rejects(client.saveProfile('../startup'), /can't be used as an OpenRGB profile name/);
+  });
+});
+
+test('saving a profile needs protocol version 2', async () => {
+  await withMock(['--protocol', '1'], async (client) => {
+    await assert.rejects(client.saveProfile('Orange'), /too old to save profiles/);
+  });
+});
+
+test('profile names are safe as file names', () => {
+  ['Orange', 'My build (night)', 'v1.2 + fans', 'a_b-c'].forEach((name) => assert.ok(isValidProfileName(name), name));
+  ['', ' Orange', 'Orange ', '../x', 'a/b', 'a\\b', 'C:', '.hidden', 'x'.repeat(61), 42].forEach((name) =>
+    assert.ok(!isValidProfileName(name), String(name)));
+});
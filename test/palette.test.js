@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPalette, PALETTE_SIZE } from '../palette.js';
+
+/**
+ * RGBA data made of flat color areas, each pixel jittered by up to ±noise
+ * @param {Array<[{r, g, b}, number, number?]>} areas - color, pixel count, alpha
+ */
+function image(areas, noise = 0) {
+  let seed = 1;
+  const jitter = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.round((seed / 2147483648 - 0.5) * 2 * noise);
+  };
+  const data = [];
+  for (const [color, count, alpha = 255] of areas) {
+    for (let i = 0; i < count; i++) {
+      data.push(color.r + jitter(), color.g + jitter(), color.b + jitter(), alpha);
+    }
+  }
+  return Uint8ClampedArray.from(data);
+}
+
+const NAVY = { r: 20, g: 30, b: 90 };
+const TEAL = { r: 0, g: 160, b: 150 };
+const PINK = { r: 250, g: 40, b: 160 };
+
+/**
+ * Assert that two colors are within tolerance on every channel
+ */
+function assertNear(actual, expected, tolerance = 2) {
+  for (const channel of ['r', 'g', 'b']) {
+    assert.ok(Math.abs(actual[channel] - expected[channel]) <= tolerance,
+      `${JSON.stringify(actual)} is not ${JSON.stringify(expected)}`);
+  }
+}
+
+test('finds each color area with its share, most common first', () => {
+  const palette = extractPalette(image([[NAVY, 600], [TEAL, 300], [PINK, 100]], 6), 3);
+  assert.equal(palette.length, 3);
+  [NAVY, TEAL, PINK].forEach((color, index) => assertNear(palette[index].color, color));
+  assert.deepEqual(palette.map(({ share }) => share), [0.6, 0.3, 0.1]);
+});
+
+test('a small accent is not swallowed by large areas', () => {
+  const darkNavy = { r: 10, g: 15, b: 60 };
+  const palette = extractPalette(image([[NAVY, 700], [darkNavy, 280], [PINK, 20]], 4), 3);
+  assert.ok(palette.some(({ color }) => Math.abs(color.r - PINK.r) <= 2 && Math.abs(color.b - PINK.b) <= 2),
+    JSON.stringify(palette));
+});
+
+test('transparent pixels are ignored', () => {
+  const palette = extractPalette(image([[TEAL, 100], [PINK, 900, 0]]), 3);
+  assert.deepEqual(palette, [{ color: TEAL, share: 1 }]);
+});
+
+test('palette sizes and empty images are rejected', () => {
+  const data = image([[TEAL, 10]]);
+  assert.throws(() => extractPalette(data, PALETTE_SIZE.min - 1), /between 3 and 8/);
+  assert.throws(() => extractPalette(data, PALETTE_SIZE.max + 1), /between 3 and 8/);
+  assert.throws(() => extractPalette(image([[TEAL, 10, 0]]), 3), /no opaque pixels/);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEVICE_PROFILES } from '../correction.js';
+import {
+  PROFILE_FORMAT,
+  PROFILE_FORMAT_VERSION,
+  exportProfile,
+  importProfile,
+  ProfileValidationError
+} from '../profile-io.js';
+
+test('exported profiles import unchanged', () => {
+  for (const [id, profile] of Object.entries(DEVICE_PROFILES)) {
+    const file = JSON.parse(exportProfile(id, profile));
+    assert.equal(file.version, PROFILE_FORMAT_VERSION);
+    assert.deepEqual(importProfile(JSON.stringify(file)), { id, profile });
+  }
+});
+
+test('version 1 files still import', () => {
+  const profile = {
+    name: 'Old Fans',
+    brand: 'custom',
+    software: 'L-Connect',
+    greenReduction: 0.8,
+    hueShift: -6,
+    saturationBoost: 1.1,
+    blueReduction: 0.75,
+    brightnessRecommendation: 80,
+    hueCorrections: [{ range: [15, 45], greenMultiplier: 0.2, hueShift: -8 }]
+  };
+  const file = JSON.stringify({ format: PROFILE_FORMAT, version: 1, id: 'old-fans', profile });
+  assert.deepEqual(importProfile(file), { id: 'old-fans', profile });
+});
+
+test('newer versions are rejected with the version, not their fields', () => {
+  const file = JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_FORMAT_VERSION + 1,
+    id: 'new-fans',
+    profile: { name: 'New Fans', software: 'L-Connect', someNewField: true }
+  });
+  assert.throws(() => importProfile(file), (err) => {
+    assert.ok(err instanceof ProfileValidationError);
+    assert.deepEqual(err.errors, [
+      `profile uses format version ${PROFILE_FORMAT_VERSION + 1}, this app supports up to ${PROFILE_FORMAT_VERSION}`
+    ]);
+    return true;
+  });
+});
+
+test('imported profiles may extend a known device', () => {
+  const file = JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_FORMAT_VERSION,
+    id: 'my-ql',
+    profile: { extends: 'corsair-ql', name: 'My QL Fans', greenReduction: 0.7 }
+  });
+  assert.equal(importProfile(file, { bases: DEVICE_PROFILES }).profile.extends, 'corsair-ql');
+  assert.throws(() => importProfile(file), /extends must be the id of a known device/);
+});
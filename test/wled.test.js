@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { getWledInfo, setWledColor, isValidHost, WledError } from '../wled.js';
+import { startScript, waitForOutput } from './helpers.js';
+
+let board;
+let host;
+
+before(async () => {
+  board = await startScript('wled-mock.js', ['--e131-port', '0', '--leds', '120']);
+  host = `127.0.0.1:${board.port}`;
+});
+
+after(async () => {
+  await board?.stop();
+});
+
+/**
+ * Run a test body against a plain HTTP server answering every request the same way
+ */
+async function withServer(status, body, run) {
+  const server = createServer((request, response) => response.writeHead(status).end(body)).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    await run(`127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+test('reads the board info', async () => {
+  assert.deepEqual(await getWledInfo(host), { name: 'WLED Mock', ledCount: 120, version: '0.14.0-mock' });
+});
+
+test('sets a solid color at full brightness', async () => {
+  await setWledColor(host, { r: 255, g: 34, b: 0 });
+  await waitForOutput(board, /^WLED: #FF2200 at brightness 255$/);
+
+  const state = await (await fetch(`http://${host}/json/state`)).json();
+  assert.equal(state.on, true);
+  assert.deepEqual(state.seg, { fx: 0, col: [[255, 34, 0]] });
+});
+
+test('failures are WledErrors that say what went wrong', async () => {
+  await assert.rejects(getWledInfo('http://evil.example/'), { name: 'WledError', message: '"http://evil.example/" is not a WLED address' });
+
+  // A port nothing listens on: find a free one, then close it again
+  let closed;
+  await withServer(200, '', async (address) => {
+    closed = address;
+  });
+  await assert.rejects(getWledInfo(closed), new WledError(`Could not reach WLED at ${closed}`));
+
+  await withServer(500, '', async (address) => {
+    await assert.rejects(setWledColor(address, { r: 0, g: 0, b: 0 }), { message: `WLED at ${address} answered with status 500` });
+  });
+  await withServer(200, '<html>router login</html>', async (address) => {
+    await assert.rejects(getWledInfo(address), { message: `${address} did not answer like a WLED board` });
+  });
+  await withServer(200, '{"ok":true}', async (address) => {
+    await assert.rejects(getWledInfo(address), { message: `${address} did not answer like a WLED board` });
+  });
+});
+
+test('hosts can only name a host', () => {
+  ['192.168.1.50', 'wled.local', 'wled-kitchen:8080'].forEach((value) => assert.ok(isValidHost(value), value));
+  ['', 'http://wled.local', 'wled.local/json', 'user@wled.local', '-wled', 'wled.local:123456', null].forEach((value) =>
+    assert.ok(!isValidHost(value), String(value)));
+});
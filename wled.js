@@ -0,0 +1,87 @@
+/**
+ * LED Fan Color Corrector - WLED output
+ * Sets a color on a WLED board through its JSON API (/json/state). Used by
+ * bin/led-bridge.js, because pages served over HTTPS can't call a board on
+ * the local network directly.
+ */
+
+// How long to wait for a board before giving up
+const WLED_TIMEOUT_MS = 2000;
+
+// A hostname or IPv4 address with an optional port; nothing that could
+// redirect the request elsewhere
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9.-]*[a-z0-9])?(:\d{1,5})?$/i;
+
+/**
+ * Error for an unreachable board or an unexpected answer
+ */
+export class WledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WledError';
+  }
+}
+
+/**
+ * Whether a host can be used as a WLED address
+ */
+export function isValidHost(host) {
+  return typeof host === 'string' && HOST_PATTERN.test(host);
+}
+
+/**
+ * Call the board's JSON API
+ */
+async function wledRequest(host, path, body) {
+  if (!isValidHost(host)) {
+    throw new WledError(`"${host}" is not a WLED address`);
+  }
+
+  let response;
+  try {
+    response = await fetch(`http://${host}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(WLED_TIMEOUT_MS)
+    });
+  } catch (err) {
+    throw new WledError(`Could not reach WLED at ${host}`);
+  }
+  if (!response.ok) {
+    throw new WledError(`WLED at ${host} answered with status ${response.status}`);
+  }
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new WledError(`${host} did not answer like a WLED board`);
+  }
+}
+
+/**
+ * Name, LED count and firmware version of a board
+ * @param {string} host - Address, e.g. 192.168.1.50 or wled.local
+ * @returns {Promise<{name: string, ledCount: number, version: string}>}
+ */
+export async function getWledInfo(host) {
+  const info = await wledRequest(host, '/json/info');
+  if (!info || typeof info.leds?.count !== 'number') {
+    throw new WledError(`${host} did not answer like a WLED board`);
+  }
+  return { name: info.name || 'WLED', ledCount: info.leds.count, version: info.ver || '' };
+}
+
+/**
+ * Turn the board on and set every selected segment to a solid color
+ * @param {string} host
+ * @param {{r, g, b}} color
+ */
+export async function setWledColor(host, { r, g, b }) {
+  // Full brightness: the brightness slider is already part of the corrected
+  // color. fx 0 is WLED's "Solid" effect.
+  await wledRequest(host, '/json/state', {
+    on: true,
+    bri: 255,
+    seg: { fx: 0, col: [[r, g, b]] }
+  });
+}